@@ -1,2 +1,31 @@
 const Sheets = require("./src/Sheets")
+const { GoogleBackend, MemoryBackend, FileBackend } = require("./src/backends")
+const RequestScheduler = require("./src/Scheduler")
+const Table = require("./src/Table")
+const Promoter = require("./src/Promoter")
+const errors = require("./src/errors")
+
 module.exports = Sheets
+module.exports.Sheets = Sheets
+module.exports.GoogleBackend = GoogleBackend
+module.exports.MemoryBackend = MemoryBackend
+module.exports.FileBackend = FileBackend
+module.exports.Table = Table
+module.exports.RequestScheduler = RequestScheduler
+module.exports.Promoter = Promoter
+module.exports.Backups = require("./src/Backups")
+module.exports.Migrator = require("./src/migrations/Migrator")
+module.exports.SchemaBuilder = require("./src/migrations/SchemaBuilder")
+module.exports.Factory = require("./src/seeders/Factory")
+module.exports.Seeder = require("./src/seeders/Seeder")
+module.exports.Logger = require("./src/Logger")
+module.exports.SheetsError = errors.SheetsError
+module.exports.NotFoundError = errors.NotFoundError
+module.exports.TableNotFoundError = errors.TableNotFoundError
+module.exports.RowNotFoundError = errors.RowNotFoundError
+module.exports.NoTableSelectedError = errors.NoTableSelectedError
+module.exports.AuthenticationError = errors.AuthenticationError
+module.exports.QuotaExceededError = errors.QuotaExceededError
+module.exports.ValidationError = errors.ValidationError
+module.exports.DuplicateKeyError = errors.DuplicateKeyError
+module.exports.ConflictError = errors.ConflictError
@@ -0,0 +1,365 @@
+const fs = require("fs")
+const path = require("path")
+const { a1, toFormulaCellData } = require("./functions")
+const { TableNotFoundError, ValidationError } = require("./errors")
+
+// Developer metadata key marking a hidden tab as the backup of a table
+const BACKUP_METADATA_KEY = "nodequentsheets.backup"
+
+// Where backups are stored: hidden tabs of the spreadsheet or JSON files
+const BACKUP_TARGETS = ["sheet", "file"]
+
+/**
+ * Takes, lists and restores point-in-time backups of a table.
+ *
+ * A backup is either a hidden copy of the tab in the same spreadsheet (`_backup_Users_20240101T120000000Z`, tagged
+ * with developer metadata so it can be told from other tabs) or a JSON file in a local directory holding the values
+ * of the tab. Both keep formulas as formulas. Backups are identified by the time they were taken, so restoring
+ * "the state of Users at 10:00" picks the last backup taken before then.
+ *
+ * Retention limits (`keep`, `maxAge`) are applied after every backup, to the backups of the same table.
+ */
+class Backups {
+    /**
+     * @param {Sheets} sheets - An initialized Sheets instance, its `backups` option holds the defaults.
+     * @param {Object} [options] - The spreadsheet to work on.
+     * @param {string} [options.spreadsheetId] - Defaults to the spreadsheet of the current mode.
+     * @param {string} [options.mode] - The mode of the spreadsheet, for the cache keys.
+     */
+    constructor(sheets, { spreadsheetId = sheets.id, mode = sheets.mode } = {}) {
+        this.sheets = sheets
+        this.spreadsheetId = spreadsheetId
+        this.mode = mode
+        this.options = sheets.backups
+    }
+
+    /**
+     * Backs up a table.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} [options] - The backup options.
+     * @param {string} [options.to] - "sheet" or "file", defaults to the `to` of the backups option.
+     * @param {string} [options.directory] - The directory of file backups.
+     * @param {string} [options.reason="manual"] - Why the backup was taken, "auto" for automatic backups.
+     * @return {Promise<Object>} The backup: `{ id, table, to, reason, createdAt, rows }` and its `title` (tab) or
+     *     `path` (file).
+     */
+    async create(table, { to = this.options.to, directory = this.options.directory, reason = "manual" } = {}) {
+        if (!BACKUP_TARGETS.includes(to)) {
+            throw new ValidationError(`Invalid backup target '${to}'. Use ${BACKUP_TARGETS.join(", ")}.`)
+        }
+        if (to === "file" && !directory) {
+            throw new ValidationError("File backups need a directory.")
+        }
+
+        const sheets = await this._sheets()
+        const source = sheets.find((sheet) => sheet.properties.title === table && !sheet.properties.hidden)
+        if (!source) {
+            throw new TableNotFoundError(`Table '${table}' not found in the spreadsheet.`, { table })
+        }
+
+        const values = await this._values(table)
+        const existing = await this.list(table, { directory, sheets })
+
+        // Backups taken within the same millisecond get a sequence number, counting on from the last one
+        const createdAt = new Date().toISOString()
+        const stamp = createdAt.replace(/[-:.]/g, "")
+        const taken = existing.filter((backup) => backup.createdAt === createdAt).map((backup) => sequence(backup.id))
+        const id = taken.length ? `${stamp}-${Math.max(...taken) + 1}` : stamp
+
+        const info = { id, table, reason, createdAt, rows: Math.max(values.length - 1, 0) }
+
+        let backup
+        if (to === "sheet") {
+            const title = `_backup_${table}_${id}`
+            const sheetId = Math.max(-1, ...sheets.map((sheet) => sheet.properties.sheetId)) + 1
+
+            await this._client().batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                resource: {
+                    requests: [
+                        {
+                            duplicateSheet: {
+                                sourceSheetId: source.properties.sheetId,
+                                insertSheetIndex: sheets.length,
+                                newSheetId: sheetId,
+                                newSheetName: title,
+                            },
+                        },
+                        { updateSheetProperties: { properties: { sheetId, hidden: true }, fields: "hidden" } },
+                        {
+                            createDeveloperMetadata: {
+                                developerMetadata: {
+                                    metadataKey: BACKUP_METADATA_KEY,
+                                    metadataValue: JSON.stringify(info),
+                                    location: { sheetId },
+                                    visibility: "DOCUMENT",
+                                },
+                            },
+                        },
+                    ],
+                },
+            })
+            backup = { ...info, to, title, sheetId }
+        } else {
+            const file = path.join(directory, `${fileName(table)}-${id}.json`)
+            const contents = { ...info, spreadsheetId: this.spreadsheetId, mode: this.mode, values }
+
+            fs.mkdirSync(directory, { recursive: true })
+            fs.writeFileSync(file, JSON.stringify(contents, null, 2))
+            backup = { ...info, to, path: file }
+        }
+
+        await this.prune(table, { directory, except: backup })
+        return backup
+    }
+
+    /**
+     * Backs up a table before a write that changes or deletes its rows, when automatic backups are on (the `auto`
+     * backups option). Used by save(), import(), restore(), promote() and the migrations dropping data.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} [options] - The backup options.
+     * @param {string} [options.directory] - The directory of file backups, defaults to the backups option.
+     * @return {Promise<Object|null>} The backup, or null when automatic backups are off.
+     */
+    async beforeWrite(table, { directory = this.options.directory } = {}) {
+        if (!this.options.auto) {
+            return null
+        }
+
+        const backup = await this.create(table, { directory, reason: "auto" })
+        this.sheets.logger.debug("Backup created before write.", {
+            operation: "backup",
+            table,
+            spreadsheetId: this.spreadsheetId,
+            backup: backup.id,
+            to: backup.to,
+        })
+        return backup
+    }
+
+    /**
+     * Lists the backups of the spreadsheet, newest first: the backup tabs, and the files in the backup directory
+     * taken from this spreadsheet.
+     *
+     * @param {string} [table] - Only list the backups of this table.
+     * @param {Object} [options] - The listing options.
+     * @param {string} [options.directory] - The directory of file backups, defaults to the backups option.
+     * @param {Array<Object>} [options.sheets] - The tabs of the spreadsheet, when they were just read.
+     * @return {Promise<Array<Object>>} The backups, as returned by create().
+     */
+    async list(table, { directory = this.options.directory, sheets } = {}) {
+        const backups = []
+        const tabs = sheets || (await this._sheets())
+
+        tabs.forEach((sheet) => {
+            const metadata = (sheet.developerMetadata || []).find((m) => m.metadataKey === BACKUP_METADATA_KEY)
+            if (metadata) {
+                const { title, sheetId } = sheet.properties
+                backups.push({ ...JSON.parse(metadata.metadataValue), to: "sheet", title, sheetId })
+            }
+        })
+
+        if (directory && fs.existsSync(directory)) {
+            fs.readdirSync(directory)
+                .filter((name) => name.endsWith(".json"))
+                .forEach((name) => {
+                    const file = path.join(directory, name)
+                    const { values, spreadsheetId, mode, ...info } = readJson(file) || {}
+                    if (info.id && spreadsheetId === this.spreadsheetId) {
+                        backups.push({ ...info, to: "file", path: file })
+                    }
+                })
+        }
+
+        return backups
+            .filter((backup) => !table || backup.table === table)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt) || sequence(b.id) - sequence(a.id))
+    }
+
+    /**
+     * Replaces the rows (and the header) of a table with those of a backup. The tab is created again if it was
+     * deleted. With automatic backups on, the current state is backed up first, so a restore can be undone.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {string|Date} [backupId] - The ID of the backup, or a point in time to restore the last backup taken
+     *     at or before it. Defaults to the latest backup.
+     * @param {Object} [options] - The restore options.
+     * @param {string} [options.directory] - The directory of file backups, defaults to the backups option.
+     * @return {Promise<Object>} The backup that was restored.
+     */
+    async restore(table, backupId, { directory = this.options.directory } = {}) {
+        const backups = await this.list(table, { directory })
+
+        let backup
+        if (backupId instanceof Date) {
+            backup = backups.find((b) => Date.parse(b.createdAt) <= backupId.getTime())
+        } else {
+            backup = backupId === undefined ? backups[0] : backups.find((b) => b.id === backupId)
+        }
+        if (!backup) {
+            const which = backupId instanceof Date ? ` taken before ${backupId.toISOString()}` : ` '${backupId}'`
+            throw new ValidationError(`No backup${backupId === undefined ? "" : which} found for table '${table}'.`, {
+                table,
+            })
+        }
+
+        const values = backup.to === "sheet" ? await this._values(backup.title) : readJson(backup.path).values
+
+        if (await this._exists(table)) {
+            await this.beforeWrite(table, { directory })
+        }
+
+        const sheets = await this._sheets()
+        const target = sheets.find((sheet) => sheet.properties.title === table && !sheet.properties.hidden)
+        const requests = []
+
+        let sheetId
+        let current = []
+        if (target) {
+            sheetId = target.properties.sheetId
+            current = await this._values(table)
+        } else {
+            sheetId = Math.max(-1, ...sheets.map((sheet) => sheet.properties.sheetId)) + 1
+            requests.push({ addSheet: { properties: { sheetId, title: table } } })
+        }
+
+        // Keep the header row, so frozen rows and column formats stay, and blank the header cells past the backup
+        if (current.length > 1) {
+            requests.push({
+                deleteDimension: { range: { sheetId, dimension: "ROWS", startIndex: 1, endIndex: current.length } },
+            })
+        }
+
+        const [header = [], ...rows] = values
+        const width = Math.max(header.length, (current[0] || []).length)
+        if (width) {
+            const cells = Array.from({ length: width }, (_, i) => (i < header.length ? header[i] : ""))
+            requests.push({
+                updateCells: {
+                    start: { sheetId, rowIndex: 0, columnIndex: 0 },
+                    rows: [{ values: cells.map(toFormulaCellData) }],
+                    fields: "userEnteredValue",
+                },
+            })
+        }
+        if (rows.length) {
+            requests.push({
+                appendCells: {
+                    sheetId,
+                    rows: rows.map((row) => ({ values: row.map(toFormulaCellData) })),
+                    fields: "userEnteredValue",
+                },
+            })
+        }
+
+        if (requests.length) {
+            await this._client().batchUpdate({ spreadsheetId: this.spreadsheetId, resource: { requests } })
+        }
+
+        if (this.sheets.cache) {
+            await this.sheets.cache.forget(this.sheets._cacheKey(table, this.spreadsheetId, this.mode))
+        }
+        if (this.spreadsheetId === this.sheets.id) {
+            await this.sheets.setTables()
+        }
+
+        return backup
+    }
+
+    /**
+     * Removes the backups of a table past the retention limits: beyond the `keep` newest, and older than
+     * `maxAge` milliseconds. The latest backup is always kept.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} [options] - The pruning options.
+     * @param {string} [options.directory] - The directory of file backups, defaults to the backups option.
+     * @param {Object} [options.except] - A backup that must not be removed, e.g. the one just taken.
+     * @return {Promise<Array<Object>>} The backups that were removed.
+     */
+    async prune(table, { directory = this.options.directory, except } = {}) {
+        const { keep, maxAge } = this.options
+        if (keep === null && maxAge === null) {
+            return []
+        }
+
+        const now = Date.now()
+        const removed = (await this.list(table, { directory })).filter((backup, index) => {
+            if (index === 0 || (except && backup.id === except.id && backup.to === except.to)) {
+                return false
+            }
+            return (keep !== null && index >= keep) || (maxAge !== null && now - Date.parse(backup.createdAt) > maxAge)
+        })
+
+        const tabs = removed.filter((backup) => backup.to === "sheet")
+        if (tabs.length) {
+            await this._client().batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                resource: { requests: tabs.map((backup) => ({ deleteSheet: { sheetId: backup.sheetId } })) },
+            })
+        }
+        removed.filter((backup) => backup.to === "file").forEach((backup) => fs.rmSync(backup.path, { force: true }))
+
+        if (removed.length) {
+            this.sheets.logger.debug("Old backups removed.", {
+                operation: "backup",
+                table,
+                spreadsheetId: this.spreadsheetId,
+                backups: removed.length,
+            })
+        }
+        return removed
+    }
+
+    _client() {
+        return this.sheets.client.spreadsheets
+    }
+
+    // The tabs of the spreadsheet with their developer metadata
+    async _sheets() {
+        const { data } = await this._client().get({
+            spreadsheetId: this.spreadsheetId,
+            fields: "sheets(properties(sheetId,title,hidden),developerMetadata)",
+        })
+        return data.sheets || []
+    }
+
+    async _exists(table) {
+        return (await this._sheets()).some((sheet) => sheet.properties.title === table && !sheet.properties.hidden)
+    }
+
+    // The values of a tab with formulas as written, so a restore writes the formulas back and not their results
+    async _values(title) {
+        const { data } = await this._client().values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: a1(title),
+            valueRenderOption: "FORMULA",
+        })
+        return data.values || []
+    }
+}
+
+// The sequence number of a backup ID, 1 for the first backup of its millisecond
+function sequence(id) {
+    const match = /-(\d+)$/.exec(id)
+    return match ? Number(match[1]) : 1
+}
+
+// A table name usable in a file name ("Sales / 2024" => "Sales_2024")
+function fileName(table) {
+    return table.replace(/[^\w.-]+/g, "_")
+}
+
+// Other JSON files may share the backup directory, they are skipped
+function readJson(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"))
+    } catch (error) {
+        return null
+    }
+}
+
+module.exports = Backups
+module.exports.BACKUP_METADATA_KEY = BACKUP_METADATA_KEY
+module.exports.BACKUP_TARGETS = BACKUP_TARGETS
@@ -0,0 +1,138 @@
+/**
+ * Default cache store, keeping entries in a Map until they expire.
+ *
+ * Any object with the same `get(key)`, `set(key, value, ttl)`, `delete(key)` and `clear()` methods can be used
+ * as a store instead (e.g. a Redis adapter). The methods may return promises.
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map()
+    }
+
+    /**
+     * Returns the value stored under the key, or undefined when it is missing or expired.
+     *
+     * @param {string} key - The cache key.
+     * @return {any}
+     */
+    get(key) {
+        const entry = this.entries.get(key)
+        if (!entry) {
+            return undefined
+        }
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key)
+            return undefined
+        }
+
+        return entry.value
+    }
+
+    /**
+     * Stores a value under the key.
+     *
+     * @param {string} key - The cache key.
+     * @param {any} value - The value to store.
+     * @param {number|null} ttl - Time to live in milliseconds, null to keep the value until it is deleted.
+     */
+    set(key, value, ttl) {
+        this.entries.set(key, { value, expiresAt: ttl ? Date.now() + ttl : null })
+    }
+
+    delete(key) {
+        this.entries.delete(key)
+    }
+
+    clear() {
+        this.entries.clear()
+    }
+}
+
+/**
+ * Caches the values read from the tabs of a spreadsheet, keyed by spreadsheet ID, mode and table.
+ */
+class Cache {
+    /**
+     * @param {Object} [options] - The cache options.
+     * @param {number|null} [options.ttl=60000] - Time to live of an entry in milliseconds, null to never expire.
+     * @param {Object} [options.store] - The store holding the entries, a MemoryStore by default.
+     */
+    constructor({ ttl = 60000, store = new MemoryStore() } = {}) {
+        this.ttl = ttl
+        this.store = store
+    }
+
+    /**
+     * Builds the cache key of a table.
+     *
+     * @param {string} spreadsheetId - The ID of the spreadsheet.
+     * @param {string} mode - The mode (Development or Production).
+     * @param {string} table - The name of the table (sheet).
+     * @return {string}
+     */
+    key(spreadsheetId, mode, table) {
+        return `${spreadsheetId}:${mode}:${table}`
+    }
+
+    /**
+     * Returns the cached value for the key, or calls the loader and caches what it resolves to.
+     *
+     * @param {string} key - The cache key.
+     * @param {Function} loader - Async function loading the value on a cache miss.
+     * @return {Promise<any>}
+     */
+    async remember(key, loader) {
+        const cached = await this.store.get(key)
+        if (cached !== undefined) {
+            return cached
+        }
+
+        const value = await loader()
+        await this.store.set(key, value, this.ttl)
+        return value
+    }
+
+    /**
+     * Returns the cached value for the key, or undefined.
+     *
+     * @param {string} key - The cache key.
+     * @return {Promise<any>}
+     */
+    async get(key) {
+        return this.store.get(key)
+    }
+
+    /**
+     * Caches a value under the key.
+     *
+     * @param {string} key - The cache key.
+     * @param {any} value - The value to cache.
+     * @return {Promise<void>}
+     */
+    async put(key, value) {
+        await this.store.set(key, value, this.ttl)
+    }
+
+    /**
+     * Removes a single entry.
+     *
+     * @param {string} key - The cache key.
+     * @return {Promise<void>}
+     */
+    async forget(key) {
+        await this.store.delete(key)
+    }
+
+    /**
+     * Removes every entry.
+     *
+     * @return {Promise<void>}
+     */
+    async flush() {
+        await this.store.clear()
+    }
+}
+
+module.exports = Cache
+module.exports.MemoryStore = MemoryStore
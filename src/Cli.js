@@ -0,0 +1,494 @@
+const fs = require("fs")
+const path = require("path")
+const { parseArgs } = require("util")
+const Sheets = require("./Sheets")
+
+const CONFIG_FILES = ["nodequentsheets.config.js", "nodequentsheets.config.json"]
+
+// File next to the config remembering the environment selected with `env <name>`
+const STATE_FILE = ".nodequentsheets"
+
+const OPTIONS = {
+    config: { type: "string", short: "c" },
+    env: { type: "string", short: "e" },
+    format: { type: "string", short: "f", default: "table" },
+    json: { type: "boolean", default: false },
+    where: { type: "string", short: "w", multiple: true },
+    "order-by": { type: "string", multiple: true },
+    select: { type: "string" },
+    limit: { type: "string" },
+    file: { type: "string" },
+    upsert: { type: "boolean", default: false },
+    "unique-key": { type: "string" },
+    path: { type: "string" },
+    steps: { type: "string", default: "1" },
+    force: { type: "boolean", default: false },
+    verbose: { type: "boolean", short: "v", default: false },
+    help: { type: "boolean", short: "h", default: false },
+}
+
+// `column operator value`, the longest operators first so ">=" is not read as ">"
+const WHERE_PATTERN = /^\s*(.+?)\s*(>=|<=|!=|<>|=|>|<|\s(?:not like|like|not regexp|regexp)\s)\s*(.*)$/i
+
+const USAGE = `Usage: nodequentsheets <command> [arguments] [options]
+
+Commands:
+  create <schema-file>          Create the development and production spreadsheets from a schema file
+  tables                        List the tables of the spreadsheet
+  describe <table>              Show the columns of a table with their row keys and types
+  dump <table>                  Print every row of a table
+  query <table>                 Print the rows matching --where, --order-by, --select and --limit
+  insert <table> [json]         Insert a JSON object or array of objects (or --file, or - for stdin)
+  migrate                       Run the pending migrations
+  migrate:rollback              Revert the last batches of migrations (--steps)
+  migrate:status                List the migrations and whether they have been applied
+  seed [name]                   Run the seeders, or only the named one (--force to seed Production)
+  env [name]                    List the environments, or switch to one
+
+Options:
+  -c, --config <file>           Config file (default: nodequentsheets.config.js or .json)
+  -e, --env <name>              Environment to use for this command only
+  -f, --format <table|json>     Output format (default: table)
+      --json                    Same as --format json
+  -w, --where <condition>       Filter rows, e.g. "age>=30" or "name like J%" (repeatable)
+      --order-by <column[:desc]>  Sort rows (repeatable)
+      --select <columns>        Comma separated columns to print
+      --limit <n>               Print at most n rows
+      --file <file>             Read the rows to insert from a JSON file
+      --upsert                  Update rows with the same key instead of failing (insert)
+      --unique-key <column>     Column to upsert on (default: the primary column)
+      --path <directory>        Migrations or seeders directory (default: from the config)
+      --steps <n>               Batches to roll back (default: 1)
+      --force                   Seed even when the environment is Production
+  -v, --verbose                 Write the log entries of the library to stderr, as JSON lines
+  -h, --help                    Show this help`
+
+/**
+ * The `nodequentsheets` command-line tool.
+ *
+ * Connection options are read from a config file exporting the options of the Sheets constructor, plus the
+ * `migrations` and `seeders` directories:
+ *
+ * ```javascript
+ * // nodequentsheets.config.js
+ * module.exports = {
+ *     serviceAccount: require("./storage/credentials.json"),
+ *     environments: { dev: "dev-sheet-id", prod: "prod-sheet-id" },
+ *     mode: "dev",
+ *     migrations: "./migrations",
+ *     seeders: "./seeders",
+ * }
+ * ```
+ */
+class Cli {
+    /**
+     * @param {Object} [options] - The streams and directory the tool works with.
+     * @param {stream.Writable} [options.stdout=process.stdout] - Where the output is written.
+     * @param {stream.Writable} [options.stderr=process.stderr] - Where errors are written.
+     * @param {stream.Readable} [options.stdin=process.stdin] - Where `insert <table> -` reads its rows from.
+     * @param {string} [options.cwd=process.cwd()] - The directory the config file is looked up in.
+     */
+    constructor({ stdout = process.stdout, stderr = process.stderr, stdin = process.stdin, cwd = process.cwd() } = {}) {
+        this.stdout = stdout
+        this.stderr = stderr
+        this.stdin = stdin
+        this.cwd = cwd
+    }
+
+    /**
+     * Runs a command.
+     *
+     * @param {Array<string>} argv - The arguments, without the node executable and script.
+     * @return {Promise<number>} The exit code.
+     */
+    async run(argv) {
+        let parsed
+        try {
+            parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+        } catch (error) {
+            this.stderr.write(`${error.message}\n\n${USAGE}\n`)
+            return 1
+        }
+
+        const { values: options, positionals } = parsed
+        const [command, ...args] = positionals
+
+        if (!command || options.help || command === "help") {
+            this.stdout.write(`${USAGE}\n`)
+            return 0
+        }
+
+        const handler = COMMANDS[command]
+        if (!handler) {
+            this.stderr.write(`Unknown command '${command}'.\n\n${USAGE}\n`)
+            return 1
+        }
+
+        try {
+            options.format = options.json ? "json" : options.format
+            if (!["table", "json"].includes(options.format)) {
+                throw new Error(`Invalid format '${options.format}'. Use 'table' or 'json'.`)
+            }
+
+            await handler.call(this, args, options)
+            return 0
+        } catch (error) {
+            this.stderr.write(`Error: ${error.message}\n`)
+            return 1
+        }
+    }
+
+    async create([file], options) {
+        if (!file) {
+            throw new Error("A schema file is required: nodequentsheets create <schema-file>.")
+        }
+
+        // `{ table, schema, devTitle, prodTitle }`, column types can be given by name ("number") in JSON
+        const data = this._require(path.resolve(this.cwd, file))
+        const db = await this._connect(options, { init: false })
+        await db.database(data)
+
+        this._print(
+            [
+                { environment: "Development", id: db.developmentId, url: spreadsheetUrl(db.developmentId) },
+                { environment: "Production", id: db.productionId, url: spreadsheetUrl(db.productionId) },
+            ],
+            options
+        )
+    }
+
+    async tables(args, options) {
+        const db = await this._connect(options)
+        this._print(
+            db.getTables().map((table) => ({ table })),
+            options
+        )
+    }
+
+    async describe([name], options) {
+        const db = await this._connect(options)
+        const table = await db.table(this._tableName(name), { lazy: true })
+        const schema = db.getSchema(table.name) || {}
+
+        this._print(
+            table.headerRow.map((column, index) => {
+                const key = table.header[index]
+                const { type, nullable } = schema[key] || { type: "string", nullable: false }
+                return { column, key, type, nullable, primary: key === table.key }
+            }),
+            options
+        )
+    }
+
+    async dump([name], options) {
+        const db = await this._connect(options)
+        const table = await db.table(this._tableName(name))
+        this._printRows(table, options)
+    }
+
+    async query([name], options) {
+        const db = await this._connect(options)
+        const table = await db.table(this._tableName(name))
+
+        ;(options.where || []).forEach((condition) => {
+            const match = condition.match(WHERE_PATTERN)
+            if (!match) {
+                throw new Error(`Invalid condition '${condition}'. Use 'column operator value', e.g. "age>=30".`)
+            }
+            const [, column, operator, value] = match
+            table.where(db._columnKey(table.name, column), operator.trim().toLowerCase(), parseValue(value))
+        })
+
+        ;(options["order-by"] || []).forEach((order) => {
+            const [column, direction = "asc"] = order.split(":")
+            if (!["asc", "desc"].includes(direction.toLowerCase())) {
+                throw new Error(`Invalid sort direction '${direction}'. Use 'asc' or 'desc'.`)
+            }
+            table.orderBy({ column: db._columnKey(table.name, column), direction: direction.toLowerCase() })
+        })
+
+        this._printRows(table, options)
+    }
+
+    async insert([name, json], options) {
+        const db = await this._connect(options)
+        const table = await db.table(this._tableName(name))
+
+        let source = json
+        if (options.file) {
+            source = fs.readFileSync(path.resolve(this.cwd, options.file), "utf8")
+        } else if (json === "-") {
+            source = await readStream(this.stdin)
+        }
+        if (!source) {
+            throw new Error("Rows are required: pass a JSON object or array, --file <file> or - for stdin.")
+        }
+
+        let rows
+        try {
+            rows = [JSON.parse(source)].flat()
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`)
+        }
+
+        for (const row of rows) {
+            await table.insert(row, { upsert: options.upsert, uniqueKey: options["unique-key"] })
+        }
+
+        this._print([{ table: table.name, inserted: rows.length }], options)
+    }
+
+    async migrate(args, options) {
+        const db = await this._connect(options)
+        const migrated = await db.migrate({ directory: this._directory("migrations", options) })
+        this._print(
+            migrated.map((migration) => ({ migration, status: "migrated" })),
+            options
+        )
+    }
+
+    async rollback(args, options) {
+        const steps = Number(options.steps)
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error(`Invalid number of steps '${options.steps}'.`)
+        }
+
+        const db = await this._connect(options)
+        const reverted = await db.rollback({ directory: this._directory("migrations", options), steps })
+        this._print(
+            reverted.map((migration) => ({ migration, status: "rolled back" })),
+            options
+        )
+    }
+
+    async migrationStatus(args, options) {
+        const db = await this._connect(options)
+        this._print(await db.migrationStatus({ directory: this._directory("migrations", options) }), options)
+    }
+
+    async seed([name], options) {
+        const db = await this._connect(options)
+        const directory = this._directory("seeders", options)
+        const seeded = await db.seed({ directory, only: name, force: options.force })
+        this._print(
+            seeded.map((seeder) => ({ seeder, status: "seeded" })),
+            options
+        )
+    }
+
+    async env([name], options) {
+        const db = await this._connect(options, { init: false })
+
+        if (name) {
+            const environments = db.getEnvironments()
+            if (!environments.includes(name)) {
+                throw new Error(`Unknown environment '${name}'. Known environments: ${environments.join(", ")}.`)
+            }
+            fs.writeFileSync(this._statePath(options), JSON.stringify({ environment: name }, null, 2))
+        }
+
+        const current = name || db.mode
+        this._print(
+            db.getEnvironments().map((environment) => ({
+                environment,
+                id: db._spreadsheetId(environment),
+                current: environment === current,
+            })),
+            options
+        )
+    }
+
+    /**
+     * Creates the Sheets instance from the config file and switches it to the environment given with `--env`,
+     * the one selected with `env <name>` or the `mode` of the config, in that order.
+     *
+     * @param {Object} options - The command-line options.
+     * @param {Object} [connect] - How far to connect.
+     * @param {boolean} [connect.init=true] - Whether to initialize the client and read the tables.
+     * @return {Promise<Sheets>}
+     */
+    async _connect(options, { init = true } = {}) {
+        const { migrations, seeders, ...config } = this._config(options)
+
+        // Log entries go to stderr as JSON lines, so they don't get mixed up with the output
+        if (options.verbose) {
+            config.logger = (entry) => this.stderr.write(`${JSON.stringify(entry)}\n`)
+            config.logLevel = "debug"
+        }
+        const db = new Sheets(config)
+
+        const environment = options.env || this._state(options).environment
+        if (environment) {
+            await db.use(environment)
+        }
+
+        if (init) {
+            if (!db.id) {
+                throw new Error("No spreadsheet selected. Set the mode in the config or pass --env <name>.")
+            }
+            await db.init()
+        }
+
+        return db
+    }
+
+    _config(options) {
+        const file = this._configPath(options)
+        if (!file) {
+            throw new Error(`No config file found. Create ${CONFIG_FILES[0]} or pass --config <file>.`)
+        }
+        return this._require(file)
+    }
+
+    _configPath(options) {
+        if (options.config) {
+            const file = path.resolve(this.cwd, options.config)
+            if (!fs.existsSync(file)) {
+                throw new Error(`Config file '${options.config}' not found.`)
+            }
+            return file
+        }
+
+        return CONFIG_FILES.map((name) => path.resolve(this.cwd, name)).find((file) => fs.existsSync(file))
+    }
+
+    _statePath(options) {
+        const config = this._configPath(options)
+        return path.join(config ? path.dirname(config) : this.cwd, STATE_FILE)
+    }
+
+    _state(options) {
+        const file = this._statePath(options)
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {}
+    }
+
+    // The migrations or seeders directory, relative to the config file
+    _directory(type, options) {
+        if (options.path) {
+            return path.resolve(this.cwd, options.path)
+        }
+
+        const directory = this._config(options)[type]
+        if (!directory) {
+            throw new Error(`No ${type} directory configured. Set '${type}' in the config or pass --path <directory>.`)
+        }
+        return path.resolve(path.dirname(this._configPath(options)), directory)
+    }
+
+    _tableName(name) {
+        if (!name) {
+            throw new Error("A table name is required.")
+        }
+        return name
+    }
+
+    _require(file) {
+        return require(file)
+    }
+
+    _printRows(table, options) {
+        if (options.select) {
+            table.select(options.select.split(",").map((column) => table.sheets._columnKey(table.name, column.trim())))
+        }
+
+        const columns = table.columns || table.header
+        let rows = table.get().map((row) => Object.fromEntries(columns.map((column) => [column, row[column]])))
+
+        if (options.limit !== undefined) {
+            const limit = Number(options.limit)
+            if (!Number.isInteger(limit) || limit < 0) {
+                throw new Error(`Invalid limit '${options.limit}'.`)
+            }
+            rows = rows.slice(0, limit)
+        }
+
+        this._print(rows, options, columns)
+    }
+
+    /**
+     * Writes a list of objects as JSON or as a text table.
+     *
+     * @param {Array<Object>} rows - The objects to print.
+     * @param {Object} options - The command-line options.
+     * @param {Array<string>} [columns] - The columns of the table, the keys of the first object by default.
+     */
+    _print(rows, options, columns = Object.keys(rows[0] || {})) {
+        if (options.format === "json") {
+            this.stdout.write(`${JSON.stringify(rows, null, 2)}\n`)
+            return
+        }
+
+        if (!rows.length) {
+            this.stdout.write("No rows.\n")
+            return
+        }
+
+        this.stdout.write(`${formatTable(rows, columns)}\n`)
+    }
+}
+
+/**
+ * Lays out objects as a text table, one column per key.
+ *
+ * @param {Array<Object>} rows - The objects to lay out.
+ * @param {Array<string>} columns - The keys to show, in order.
+ * @return {string}
+ */
+function formatTable(rows, columns) {
+    const cells = rows.map((row) => columns.map((column) => formatCell(row[column])))
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map((row) => row[i].length)))
+
+    const line = (values) => `| ${values.map((value, i) => value.padEnd(widths[i])).join(" | ")} |`
+    const border = `+${widths.map((width) => "-".repeat(width + 2)).join("+")}+`
+
+    return [border, line(columns), border, ...cells.map(line), border].join("\n")
+}
+
+function formatCell(value) {
+    if (value === null || value === undefined) {
+        return ""
+    }
+    if (value instanceof Date) {
+        return value.toISOString()
+    }
+    if (typeof value === "object") {
+        return JSON.stringify(value)
+    }
+    return String(value).replace(/\n/g, " ")
+}
+
+// Values given on the command line are strings, numbers are compared as numbers
+function parseValue(value) {
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value
+}
+
+function spreadsheetUrl(id) {
+    return `https://docs.google.com/spreadsheets/d/${id}/edit`
+}
+
+function readStream(stream) {
+    return new Promise((resolve, reject) => {
+        let data = ""
+        stream.setEncoding("utf8")
+        stream.on("data", (chunk) => (data += chunk))
+        stream.on("end", () => resolve(data))
+        stream.on("error", reject)
+    })
+}
+
+const COMMANDS = {
+    create: Cli.prototype.create,
+    tables: Cli.prototype.tables,
+    describe: Cli.prototype.describe,
+    dump: Cli.prototype.dump,
+    query: Cli.prototype.query,
+    insert: Cli.prototype.insert,
+    migrate: Cli.prototype.migrate,
+    "migrate:rollback": Cli.prototype.rollback,
+    "migrate:status": Cli.prototype.migrationStatus,
+    seed: Cli.prototype.seed,
+    env: Cli.prototype.env,
+}
+
+module.exports = Cli
+module.exports.formatTable = formatTable
@@ -0,0 +1,92 @@
+const { ValidationError } = require("./errors")
+
+// Log levels from the most to the least verbose
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity }
+
+/**
+ * Routes the log entries of the library to the logger given to the Sheets constructor.
+ *
+ * Entries are structured: each level method of the logger is called with a single object holding the `message` and
+ * fields such as `operation`, `table`, `spreadsheetId`, `rows` and `duration` (in milliseconds). Errors are logged
+ * as `error` (the message) and `status` (the HTTP status, if any). This fits pino, winston and the console alike.
+ * A function is called with the entry and its `level` instead.
+ *
+ * Without a logger nothing is logged.
+ */
+class Logger {
+    /**
+     * @param {Object} [options] - The logger options.
+     * @param {Object|Function|null} [options.logger=null] - An object with `debug`, `info`, `warn` and `error`
+     *     methods (e.g. pino, winston or console), or a function called with every entry.
+     * @param {string} [options.level="info"] - The least severe level logged: "debug", "info", "warn", "error" or
+     *     "silent".
+     */
+    constructor({ logger = null, level = "info" } = {}) {
+        if (!(level in LEVELS)) {
+            throw new ValidationError(`Invalid log level '${level}'. Use ${Object.keys(LEVELS).join(", ")}.`)
+        }
+
+        if (logger !== null && typeof logger !== "function" && typeof logger !== "object") {
+            throw new ValidationError("Invalid logger provided. Pass an object with level methods or a function.")
+        }
+
+        this.logger = logger
+        this.level = level
+    }
+
+    debug(message, fields) {
+        this._write("debug", message, fields)
+    }
+
+    info(message, fields) {
+        this._write("info", message, fields)
+    }
+
+    warn(message, fields) {
+        this._write("warn", message, fields)
+    }
+
+    error(message, fields) {
+        this._write("error", message, fields)
+    }
+
+    /**
+     * Returns whether entries of a level are logged, to skip building entries that would be dropped.
+     *
+     * @param {string} level - The level.
+     * @return {boolean}
+     */
+    enabled(level) {
+        return this.logger !== null && LEVELS[level] >= LEVELS[this.level]
+    }
+
+    _write(level, message, { error, ...fields } = {}) {
+        if (!this.enabled(level)) {
+            return
+        }
+
+        const entry = { message, ...fields }
+        if (error) {
+            entry.error = error.message || String(error)
+            const status = error.response ? error.response.status : error.status
+            if (status) {
+                entry.status = status
+            }
+        }
+
+        // Functions get the level in the entry, logger objects add it themselves
+        if (typeof this.logger === "function") {
+            this.logger({ level, ...entry })
+            return
+        }
+
+        // Loggers without the level (e.g. no debug) fall back to log() or info()
+        const method = this.logger[level] || this.logger.log || this.logger.info
+        if (typeof method === "function") {
+            method.call(this.logger, entry)
+        }
+    }
+}
+
+module.exports = Logger
+module.exports.LEVELS = LEVELS
@@ -0,0 +1,355 @@
+const SchemaBuilder = require("./migrations/SchemaBuilder")
+const { SCHEMA_METADATA_KEY, normalizeType } = require("./casts")
+const { a1, toFormulaCellData } = require("./functions")
+const { TableNotFoundError, ValidationError } = require("./errors")
+
+/**
+ * Compares a table between two environments and copies its schema and/or rows from one to the other, e.g. from
+ * staging to production.
+ *
+ * Columns are matched by header (or row key), rows by the primary column when both tabs have it and by position
+ * otherwise. Cells are compared as they are displayed in the sheet.
+ */
+class Promoter {
+    /**
+     * @param {Sheets} sheets - An initialized Sheets instance.
+     */
+    constructor(sheets) {
+        this.sheets = sheets
+    }
+
+    /**
+     * Compares a table between two environments. "Added" means present in `from` and missing in `to`, which is
+     * what promote() would add.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} environments - The environments to compare.
+     * @param {string} environments.from - The source environment, e.g. "staging".
+     * @param {string} environments.to - The target environment, e.g. "prod".
+     * @return {Promise<Object>} `{ table, from, to, exists, columns: { added, removed, changed }, rows: { added,
+     *     removed, changed }, identical }`.
+     */
+    async diff(table, { from, to } = {}) {
+        const [source, target] = await Promise.all([this._read(from, table), this._read(to, table)])
+        return this._compare(table, from, to, source, target)
+    }
+
+    /**
+     * Copies a table from one environment to another. The schema step creates the tab or adds the missing columns
+     * and changes the column types to match; columns that only exist in the target are kept. The data step
+     * replaces the rows of the target with the rows of the source, in the column order of the target.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} options - The promotion options.
+     * @param {string} options.from - The source environment.
+     * @param {string} options.to - The target environment.
+     * @param {boolean} [options.schema=true] - Whether to copy the columns and their types.
+     * @param {boolean} [options.data=false] - Whether to copy the rows.
+     * @return {Promise<Object>} The diff between both environments before the promotion.
+     */
+    async promote(table, { from, to, schema = true, data = false } = {}) {
+        if (!schema && !data) {
+            throw new ValidationError("Nothing to promote. Set `schema`, `data` or both.")
+        }
+        if (from === to) {
+            throw new ValidationError("Cannot promote a table to the environment it comes from.")
+        }
+
+        const started = Date.now()
+        const source = await this._read(from, table)
+        const target = await this._read(to, table)
+        const diff = this._compare(table, from, to, source, target)
+
+        if (!source.exists) {
+            throw new TableNotFoundError(`Table '${table}' not found in environment '${from}'.`, { table })
+        }
+
+        if (schema) {
+            await this._promoteSchema(table, source, target, diff)
+        }
+
+        if (data) {
+            // The columns of the target may just have changed
+            const current = await this._read(to, table)
+            if (!current.exists) {
+                throw new TableNotFoundError(
+                    `Table '${table}' not found in environment '${to}'. Promote its schema first.`,
+                    { table }
+                )
+            }
+            await this._promoteData(table, source, current, to)
+        }
+
+        if (this.sheets.cache) {
+            await this.sheets.cache.forget(this.sheets._cacheKey(table, target.spreadsheetId, to))
+        }
+        if (this.sheets.mode === to) {
+            await this.sheets.setTables()
+        }
+
+        this.sheets.logger.info("Table promoted.", {
+            operation: "promote",
+            table,
+            from,
+            to,
+            spreadsheetId: target.spreadsheetId,
+            rows: data ? source.rows.length : 0,
+            duration: Date.now() - started,
+        })
+        return diff
+    }
+
+    /**
+     * Formats a diff as readable lines: `+` for what `from` adds, `-` for what only `to` has, `~` for what changes,
+     * shown as the value in `to` followed by the value in `from`.
+     *
+     * @param {Object} diff - A diff returned by diff() or promote().
+     * @return {string}
+     */
+    format(diff) {
+        if (diff.identical) {
+            return `Table '${diff.table}' is identical in ${diff.from} and ${diff.to}.`
+        }
+
+        const lines = [`Table '${diff.table}': ${diff.from} -> ${diff.to}`]
+        if (!diff.exists.to) {
+            lines.push(`+ table ${diff.table} (missing in ${diff.to})`)
+        }
+        if (!diff.exists.from) {
+            lines.push(`- table ${diff.table} (missing in ${diff.from})`)
+        }
+
+        diff.columns.added.forEach((column) => lines.push(`+ column ${column}`))
+        diff.columns.removed.forEach((column) => lines.push(`- column ${column}`))
+        diff.columns.changed.forEach(({ column, from, to }) =>
+            lines.push(`~ column ${column}: ${to || "untyped"} -> ${from || "untyped"}`)
+        )
+
+        diff.rows.added.forEach(({ key, values }) => lines.push(`+ row ${key} ${JSON.stringify(values)}`))
+        diff.rows.removed.forEach(({ key, values }) => lines.push(`- row ${key} ${JSON.stringify(values)}`))
+        diff.rows.changed.forEach(({ key, changes }) => {
+            const cells = Object.entries(changes).map(
+                ([column, change]) => `${column} ${JSON.stringify(change.to)} -> ${JSON.stringify(change.from)}`
+            )
+            lines.push(`~ row ${key}: ${cells.join(", ")}`)
+        })
+
+        return lines.join("\n")
+    }
+
+    _client() {
+        return this.sheets.client.spreadsheets
+    }
+
+    /**
+     * Reads the header, rows and stored schema of a table in an environment.
+     */
+    async _read(environment, table) {
+        const spreadsheetId = this.sheets._spreadsheetId(environment)
+        if (!spreadsheetId) {
+            throw new ValidationError(`Unknown environment '${environment}'.`)
+        }
+
+        const { data } = await this._client().get({
+            spreadsheetId,
+            fields: "sheets(properties(sheetId,title),developerMetadata)",
+        })
+
+        const sheet = (data.sheets || []).find((s) => s.properties.title === table)
+        if (!sheet) {
+            return { spreadsheetId, exists: false, sheetId: null, header: [], rows: [], schema: {} }
+        }
+
+        const metadata = (sheet.developerMetadata || []).find((m) => m.metadataKey === SCHEMA_METADATA_KEY)
+        const { data: values } = await this._client().values.get({ spreadsheetId, range: a1(table) })
+        const [header = [], ...rows] = values.values || []
+
+        return {
+            spreadsheetId,
+            exists: true,
+            sheetId: sheet.properties.sheetId,
+            header,
+            rows,
+            schema: metadata ? JSON.parse(metadata.metadataValue) : {},
+        }
+    }
+
+    _same(table, a, b) {
+        return a === b || this.sheets._columnKey(table, a) === this.sheets._columnKey(table, b)
+    }
+
+    _find(table, header, column) {
+        return header.findIndex((name) => this._same(table, name, column))
+    }
+
+    // The type stored for a column, as a comparable string ("number", "date?" for nullable), or null
+    _type(table, schema, column) {
+        const stored = Object.keys(schema).find((name) => this._same(table, name, column))
+        if (!stored) {
+            return null
+        }
+        const { type, nullable } = normalizeType(schema[stored])
+        return nullable ? `${type}?` : type
+    }
+
+    /**
+     * Returns the rows of a table keyed by primary key (or by position), as objects keyed by header.
+     */
+    _index(table, { header, rows }, keyed) {
+        const keyIndex = keyed ? this._find(table, header, this.sheets.primaryColumn) : -1
+
+        return new Map(
+            rows.map((row, index) => {
+                const values = Object.fromEntries(header.map((column, i) => [column, row[i] || ""]))
+                return [keyIndex === -1 ? String(index + 1) : String(row[keyIndex] || ""), values]
+            })
+        )
+    }
+
+    _compare(table, from, to, source, target) {
+        const columns = {
+            added: source.header.filter((column) => this._find(table, target.header, column) === -1),
+            removed: target.header.filter((column) => this._find(table, source.header, column) === -1),
+            changed: [],
+        }
+
+        source.header.forEach((column) => {
+            if (this._find(table, target.header, column) === -1) {
+                return
+            }
+            const fromType = this._type(table, source.schema, column)
+            const toType = this._type(table, target.schema, column)
+            if (fromType !== toType) {
+                columns.changed.push({ column, from: fromType, to: toType })
+            }
+        })
+
+        // Rows are matched by primary key when both tabs have the primary column
+        const keyed = [source, target].every(
+            ({ header }) => this._find(table, header, this.sheets.primaryColumn) !== -1
+        )
+        const sourceRows = this._index(table, source, keyed)
+        const targetRows = this._index(table, target, keyed)
+        const shared = source.header.filter((column) => this._find(table, target.header, column) !== -1)
+
+        const rows = { added: [], removed: [], changed: [] }
+        sourceRows.forEach((values, key) => {
+            const other = targetRows.get(key)
+            if (!other) {
+                rows.added.push({ key, values })
+                return
+            }
+
+            const changes = {}
+            shared.forEach((column) => {
+                const otherValue = other[target.header[this._find(table, target.header, column)]]
+                if (values[column] !== otherValue) {
+                    changes[column] = { from: values[column], to: otherValue }
+                }
+            })
+            if (Object.keys(changes).length) {
+                rows.changed.push({ key, changes })
+            }
+        })
+        targetRows.forEach((values, key) => {
+            if (!sourceRows.has(key)) {
+                rows.removed.push({ key, values })
+            }
+        })
+
+        const identical =
+            source.exists === target.exists &&
+            [columns.added, columns.removed, columns.changed, rows.added, rows.removed, rows.changed].every(
+                (list) => list.length === 0
+            )
+
+        return { table, from, to, exists: { from: source.exists, to: target.exists }, columns, rows, identical }
+    }
+
+    async _promoteSchema(table, source, target, diff) {
+        const builder = new SchemaBuilder(this.sheets, { spreadsheetId: target.spreadsheetId })
+        const typeOf = (column) => {
+            const stored = Object.keys(source.schema).find((name) => this._same(table, name, column))
+            return stored ? source.schema[stored] : String
+        }
+
+        if (!target.exists) {
+            await builder.createTable(table, Object.fromEntries(source.header.map((column) => [column, typeOf(column)])))
+            return
+        }
+
+        // Add the missing columns after the column that precedes them in the source
+        const header = [...target.header]
+        for (const [index, column] of source.header.entries()) {
+            if (this._find(table, header, column) !== -1) {
+                continue
+            }
+
+            const previous = source.header
+                .slice(0, index)
+                .reverse()
+                .find((name) => this._find(table, header, name) !== -1)
+
+            await builder.addColumn(table, column, typeOf(column), previous ? { after: previous } : { position: 0 })
+
+            const at = previous ? this._find(table, header, previous) + 1 : 0
+            header.splice(at, 0, column)
+        }
+
+        for (const { column } of diff.columns.changed) {
+            await builder.changeFormat(table, column, typeOf(column))
+        }
+    }
+
+    /**
+     * Replaces the rows of the target with those of the source, keeping the header row of the target. The target is
+     * backed up first when automatic backups are on.
+     */
+    async _promoteData(table, source, target, to) {
+        // The source cells as they were entered (formulas, unformatted numbers), not as they are displayed
+        const { data } = await this._client().values.get({
+            spreadsheetId: source.spreadsheetId,
+            range: a1(table),
+            valueRenderOption: "FORMULA",
+        })
+        const [header = [], ...values] = data.values || []
+
+        // Source cells in the column order of the target, columns the target does not have are left out
+        const positions = target.header.map((column) => this._find(table, header, column))
+        const rows = values.map((row) => positions.map((i) => (i === -1 || row[i] === undefined ? "" : row[i])))
+
+        // Clearing and writing in a single batchUpdate, so a failure never leaves the target empty
+        const requests = []
+        if (target.rows.length) {
+            requests.push({
+                deleteDimension: {
+                    range: {
+                        sheetId: target.sheetId,
+                        dimension: "ROWS",
+                        startIndex: 1,
+                        endIndex: target.rows.length + 1,
+                    },
+                },
+            })
+        }
+        if (rows.length) {
+            requests.push({
+                appendCells: {
+                    sheetId: target.sheetId,
+                    rows: rows.map((row) => ({ values: row.map(toFormulaCellData) })),
+                    fields: "userEnteredValue",
+                },
+            })
+        }
+
+        if (target.rows.length && this.sheets.backups.auto) {
+            await this.sheets._backups({ spreadsheetId: target.spreadsheetId, mode: to }).beforeWrite(table)
+        }
+
+        if (requests.length) {
+            await this._client().batchUpdate({ spreadsheetId: target.spreadsheetId, resource: { requests } })
+        }
+    }
+}
+
+module.exports = Promoter
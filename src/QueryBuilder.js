@@ -0,0 +1,400 @@
+const { ValidationError } = require("./errors")
+
+const OPERATORS = ["=", "!=", "<>", ">", "<", ">=", "<=", "like", "not like", "regexp", "not regexp"]
+
+/**
+ * Normalizes a value before it is compared, so dates compare by their timestamp.
+ *
+ * @param {any} value - The value to normalize.
+ * @return {any}
+ */
+function normalize(value) {
+    return value instanceof Date ? value.getTime() : value
+}
+
+/**
+ * Compares two values the way orderBy() always has: strings case-insensitively, anything else natively.
+ *
+ * @param {any} a - The first value.
+ * @param {any} b - The second value.
+ * @return {number} A negative number, zero or a positive number.
+ */
+function compare(a, b) {
+    const aValue = normalize(a)
+    const bValue = normalize(b)
+
+    // Handle different data types for comparison
+    if (typeof aValue === "string" && typeof bValue === "string") {
+        return aValue.localeCompare(bValue, undefined, { sensitivity: "base" })
+    } else if (aValue < bValue) {
+        return -1
+    } else if (aValue > bValue) {
+        return 1
+    }
+    return 0
+}
+
+/**
+ * Turns a SQL style `like` pattern into a case-insensitive regular expression.
+ * `%` matches any number of characters and `_` matches a single character.
+ *
+ * @param {string} pattern - The like pattern.
+ * @return {RegExp}
+ */
+function likeToRegExp(pattern) {
+    const source = String(pattern)
+        .split("")
+        .map((char) => {
+            if (char === "%") return ".*"
+            if (char === "_") return "."
+            return char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+        })
+        .join("")
+
+    return new RegExp(`^${source}$`, "is")
+}
+
+/**
+ * Returns true for cells that hold no value. Empty cells are read back from the sheet as empty strings.
+ *
+ * @param {any} value - The cell value.
+ * @return {boolean}
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === ""
+}
+
+/**
+ * Collects where clauses and order clauses and applies them to the rows of a table.
+ *
+ * Clauses are chained with AND unless they are added through one of the `or*` methods. Like SQL, AND binds tighter
+ * than OR, so `where(a).where(b).orWhere(c)` matches `(a AND b) OR c`. Groups are added by passing a callback,
+ * which receives a nested query builder: `where((q) => q.where(a).orWhere(b))`.
+ */
+class QueryBuilder {
+    constructor() {
+        this.wheres = []
+        this.orders = []
+        this.rawOrders = []
+    }
+
+    /**
+     * Adds a where clause joined with AND.
+     *
+     * Accepts `where(column, operator, value)`, `where(column, value)` (equality),
+     * `where({ column, operator, value })` or `where(callback)` for a nested group.
+     *
+     * @return {this}
+     */
+    where(...args) {
+        return this._addWhere("and", args)
+    }
+
+    /**
+     * Adds a where clause joined with OR. Accepts the same arguments as where().
+     *
+     * @return {this}
+     */
+    orWhere(...args) {
+        return this._addWhere("or", args)
+    }
+
+    /**
+     * Adds a clause matching rows whose column value is one of the given values.
+     *
+     * @param {string} column - The column to filter by.
+     * @param {Array<any>} values - The accepted values.
+     * @return {this}
+     */
+    whereIn(column, values) {
+        return this._addIn("and", column, values, false)
+    }
+
+    orWhereIn(column, values) {
+        return this._addIn("or", column, values, false)
+    }
+
+    whereNotIn(column, values) {
+        return this._addIn("and", column, values, true)
+    }
+
+    orWhereNotIn(column, values) {
+        return this._addIn("or", column, values, true)
+    }
+
+    /**
+     * Adds a clause matching rows whose column is empty.
+     *
+     * @param {string} column - The column to filter by.
+     * @return {this}
+     */
+    whereNull(column) {
+        return this._push({ type: "null", boolean: "and", column: this._column(column), not: false })
+    }
+
+    orWhereNull(column) {
+        return this._push({ type: "null", boolean: "or", column: this._column(column), not: false })
+    }
+
+    whereNotNull(column) {
+        return this._push({ type: "null", boolean: "and", column: this._column(column), not: true })
+    }
+
+    orWhereNotNull(column) {
+        return this._push({ type: "null", boolean: "or", column: this._column(column), not: true })
+    }
+
+    /**
+     * Adds a clause matching rows whose column value lies between two values (inclusive).
+     *
+     * @param {string} column - The column to filter by.
+     * @param {Array<any>} range - The lower and upper bound, e.g. `[18, 65]`.
+     * @return {this}
+     */
+    whereBetween(column, range) {
+        return this._addBetween("and", column, range, false)
+    }
+
+    orWhereBetween(column, range) {
+        return this._addBetween("or", column, range, false)
+    }
+
+    whereNotBetween(column, range) {
+        return this._addBetween("and", column, range, true)
+    }
+
+    orWhereNotBetween(column, range) {
+        return this._addBetween("or", column, range, true)
+    }
+
+    /**
+     * Adds a clause matching rows whose column value matches a regular expression.
+     *
+     * @param {string} column - The column to filter by.
+     * @param {RegExp|string} pattern - The regular expression, strings are compiled with `new RegExp()`.
+     * @return {this}
+     */
+    whereRegex(column, pattern) {
+        return this.where(column, "regexp", pattern)
+    }
+
+    orWhereRegex(column, pattern) {
+        return this.orWhere(column, "regexp", pattern)
+    }
+
+    /**
+     * Adds a sort on the given column. Later calls are used to break ties of earlier ones.
+     *
+     * @param {Object} options - An object containing the `column` and `direction` to sort by.
+     * @param {string} options.column - The column to sort by.
+     * @param {string} [options.direction="asc"] - The direction of the sort, "asc" or "desc".
+     * @return {this}
+     */
+    orderBy({ column, direction = "asc" }) {
+        // Validate the provided column and direction
+        if (!column || typeof column !== "string") {
+            throw new ValidationError("Invalid column name provided.")
+        }
+
+        if (!["asc", "desc"].includes(direction.toLowerCase())) {
+            throw new ValidationError('Invalid direction. Use "asc" or "desc".')
+        }
+
+        this.orders.push({ column, direction: direction.toLowerCase() })
+        return this
+    }
+
+    /**
+     * Adds a custom sort. The callback receives the filtered rows and either sorts them in place or returns
+     * the rows in their new order.
+     *
+     * @param {Function} callback - The sorting callback.
+     * @return {this}
+     */
+    orderByRaw(callback) {
+        if (typeof callback !== "function") {
+            throw new ValidationError("Callback must be a function.")
+        }
+
+        this.rawOrders.push(callback)
+        return this
+    }
+
+    /**
+     * Returns true when the builder has no clauses.
+     *
+     * @return {boolean}
+     */
+    isEmpty() {
+        return !this.wheres.length && !this.orders.length && !this.rawOrders.length
+    }
+
+    /**
+     * Returns whether a row satisfies the where clauses.
+     *
+     * @param {Object} row - The row to test.
+     * @return {boolean}
+     */
+    matches(row) {
+        let result = false
+        let current = true
+        let started = false
+
+        for (const clause of this.wheres) {
+            // An OR closes the current AND chain
+            if (clause.boolean === "or" && started) {
+                result = result || current
+                current = true
+            }
+
+            current = current && this._evaluate(clause, row)
+            started = true
+        }
+
+        return !started || result || current
+    }
+
+    /**
+     * Filters and sorts the given rows. The rows themselves are not copied.
+     *
+     * @param {Array<Object>} rows - The rows of the table.
+     * @return {Array<Object>} The matching rows in order.
+     */
+    apply(rows) {
+        let results = rows.filter((row) => this.matches(row))
+
+        if (this.orders.length) {
+            results.sort((a, b) => {
+                for (const { column, direction } of this.orders) {
+                    const order = compare(a[column], b[column])
+                    if (order !== 0) {
+                        return direction === "desc" ? -order : order
+                    }
+                }
+                return 0
+            })
+        }
+
+        for (const callback of this.rawOrders) {
+            const sorted = callback(results)
+            if (Array.isArray(sorted)) {
+                results = sorted
+            }
+        }
+
+        return results
+    }
+
+    _addWhere(boolean, args) {
+        const [first] = args
+
+        // Nested group: where((query) => query.where(...).orWhere(...))
+        if (typeof first === "function") {
+            const group = new QueryBuilder()
+            first(group)
+            return this._push({ type: "group", boolean, query: group })
+        }
+
+        let column, operator, value
+        if (first && typeof first === "object") {
+            ;({ column, operator = "=", value } = first)
+        } else if (args.length === 2) {
+            ;[column, value] = args
+            operator = "="
+        } else {
+            ;[column, operator, value] = args
+        }
+
+        operator = typeof operator === "string" ? operator.toLowerCase() : operator
+        if (!OPERATORS.includes(operator)) {
+            throw new ValidationError(
+                `Unsupported operator '${operator}'. Supported operators are: ${OPERATORS.join(", ")}`
+            )
+        }
+
+        return this._push({ type: "basic", boolean, column: this._column(column), operator, value })
+    }
+
+    _addIn(boolean, column, values, not) {
+        if (!Array.isArray(values)) {
+            throw new ValidationError("whereIn() expects an array of values.")
+        }
+        return this._push({ type: "in", boolean, column: this._column(column), values, not })
+    }
+
+    _addBetween(boolean, column, range, not) {
+        if (!Array.isArray(range) || range.length !== 2) {
+            throw new ValidationError("whereBetween() expects an array with a lower and an upper bound.")
+        }
+        return this._push({ type: "between", boolean, column: this._column(column), range, not })
+    }
+
+    _column(column) {
+        if (!column || typeof column !== "string") {
+            throw new ValidationError("Invalid column name provided.")
+        }
+        return column
+    }
+
+    _push(clause) {
+        this.wheres.push(clause)
+        return this
+    }
+
+    _evaluate(clause, row) {
+        const cellValue = clause.column ? row[clause.column] : undefined
+
+        switch (clause.type) {
+            case "group":
+                return clause.query.matches(row)
+            case "in": {
+                const found = clause.values.some((value) => normalize(cellValue) == normalize(value))
+                return clause.not ? !found : found
+            }
+            case "null":
+                return clause.not ? !isEmpty(cellValue) : isEmpty(cellValue)
+            case "between": {
+                const [min, max] = clause.range
+                const within = compare(cellValue, min) >= 0 && compare(cellValue, max) <= 0
+                return clause.not ? !within : within
+            }
+            default:
+                return this._compare(cellValue, clause.operator, clause.value)
+        }
+    }
+
+    _compare(cellValue, operator, value) {
+        const a = normalize(cellValue)
+        const b = normalize(value)
+
+        switch (operator) {
+            case "=":
+                return a == b
+            case "!=":
+            case "<>":
+                return a != b
+            case ">":
+                return a > b
+            case "<":
+                return a < b
+            case ">=":
+                return a >= b
+            case "<=":
+                return a <= b
+            case "like":
+                return !isEmpty(cellValue) && likeToRegExp(value).test(String(cellValue))
+            case "not like":
+                return isEmpty(cellValue) || !likeToRegExp(value).test(String(cellValue))
+            case "regexp":
+                return !isEmpty(cellValue) && new RegExp(value).test(String(cellValue))
+            case "not regexp":
+                return isEmpty(cellValue) || !new RegExp(value).test(String(cellValue))
+            default:
+                return false
+        }
+    }
+}
+
+module.exports = QueryBuilder
+module.exports.compare = compare
+module.exports.isEmpty = isEmpty
@@ -0,0 +1,208 @@
+const EventEmitter = require("events")
+const { sleep } = require("./functions")
+const { statusOf } = require("./errors")
+
+// HTTP statuses worth retrying: quota exceeded and transient server errors
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504]
+
+// Network errors worth retrying
+const RETRYABLE_CODES = ["ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED", "EPIPE"]
+
+// Calls that give the same result when repeated, so they can be retried after an error the API may have applied
+const IDEMPOTENT_OPERATIONS = [
+    "spreadsheets.get",
+    "spreadsheets.values.get",
+    "spreadsheets.values.batchGet",
+    "spreadsheets.values.update",
+    "spreadsheets.values.batchUpdate",
+    "spreadsheets.values.clear",
+    "drive.files.get",
+]
+
+// batchUpdate requests that overwrite cells or properties in place, a batchUpdate made of these only is idempotent
+const IDEMPOTENT_REQUESTS = [
+    "updateCells",
+    "repeatCell",
+    "updateSheetProperties",
+    "updateSpreadsheetProperties",
+    "updateDimensionProperties",
+    "updateBorders",
+    "setDataValidation",
+]
+
+/**
+ * Routes API calls through a rate limiter and retries the ones that fail with a retryable error, using exponential
+ * backoff with jitter. Calls that are not idempotent (appending rows, adding tabs, ...) are only retried on a quota
+ * error (429), as a 5xx or network error does not tell whether the API applied them.
+ *
+ * Emits:
+ * - `request` `{ operation, attempt }` before each attempt
+ * - `response` `{ operation, attempt, duration }` after a successful attempt
+ * - `retry` `{ operation, attempt, delay, status, error }` before waiting to retry
+ * - `failed` `{ operation, attempt, duration, status, error }` when a call gives up
+ * - `throttle` `{ operation, wait }` when a call waits for the requests-per-minute limit
+ */
+class RequestScheduler extends EventEmitter {
+    /**
+     * @param {Object} [options] - The scheduler options.
+     * @param {number} [options.maxRetries=5] - How many times a failed call is retried.
+     * @param {number} [options.baseDelay=500] - Delay before the first retry in milliseconds, doubled on each retry.
+     * @param {number} [options.maxDelay=32000] - Upper bound of a retry delay in milliseconds.
+     * @param {number|null} [options.requestsPerMinute=null] - Maximum number of calls started per minute, null for
+     *     no limit. The Sheets API allows 60 requests per minute per user by default.
+     */
+    constructor({ maxRetries = 5, baseDelay = 500, maxDelay = 32000, requestsPerMinute = null } = {}) {
+        super()
+
+        this.maxRetries = maxRetries
+        this.baseDelay = baseDelay
+        this.maxDelay = maxDelay
+        this.requestsPerMinute = requestsPerMinute
+
+        // Start times of the calls made in the last minute, and the chain that hands out rate limit slots in order
+        this._started = []
+        this._slots = Promise.resolve()
+    }
+
+    /**
+     * Runs a call through the rate limiter, retrying it on retryable errors.
+     *
+     * @param {Function} task - Function starting the call and returning a promise.
+     * @param {Object} [meta] - Information about the call.
+     * @param {string} [meta.operation] - Name of the call, e.g. "spreadsheets.values.get".
+     * @param {boolean} [meta.idempotent=true] - Whether the call can be repeated safely, false to retry it on quota
+     *     errors only.
+     * @return {Promise<any>} What the call resolves to.
+     */
+    async schedule(task, { operation = "request", idempotent = true } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            await this._acquire(operation)
+
+            this.emit("request", { operation, attempt })
+            const started = Date.now()
+
+            try {
+                const result = await task()
+                this.emit("response", { operation, attempt, duration: Date.now() - started })
+                return result
+            } catch (error) {
+                const status = statusOf(error)
+
+                if (attempt >= this.maxRetries || !this.isRetryable(error, { idempotent })) {
+                    this.emit("failed", { operation, attempt, duration: Date.now() - started, status, error })
+                    throw error
+                }
+
+                const delay = this._delay(attempt, error)
+                this.emit("retry", { operation, attempt: attempt + 1, delay, status, error })
+                await sleep(delay)
+            }
+        }
+    }
+
+    /**
+     * Returns whether an error is transient: a quota error (429), a 5xx error or a network error. For calls that are
+     * not idempotent only a quota error is, since the API rejects those before applying the call.
+     *
+     * @param {Error} error - The error thrown by the call.
+     * @param {Object} [options] - About the call.
+     * @param {boolean} [options.idempotent=true] - Whether the call can be repeated safely.
+     * @return {boolean}
+     */
+    isRetryable(error, { idempotent = true } = {}) {
+        if (!idempotent) {
+            return statusOf(error) === 429
+        }
+        return RETRYABLE_STATUSES.includes(statusOf(error)) || RETRYABLE_CODES.includes(error && error.code)
+    }
+
+    /**
+     * Returns whether a call of a wrapped client can be repeated safely: reads, writes of values to a fixed range and
+     * batchUpdates that only overwrite cells or properties in place.
+     *
+     * @param {string} operation - Name of the call, e.g. "spreadsheets.values.append".
+     * @param {Array<any>} args - The arguments of the call.
+     * @return {boolean}
+     */
+    isIdempotent(operation, args = []) {
+        if (operation === "spreadsheets.batchUpdate") {
+            const { requestBody, resource } = args[0] || {}
+            const { requests = [] } = requestBody || resource || {}
+            return requests.every((request) => Object.keys(request).every((type) => IDEMPOTENT_REQUESTS.includes(type)))
+        }
+        return IDEMPOTENT_OPERATIONS.includes(operation)
+    }
+
+    /**
+     * Wraps an API client (e.g. `spreadsheets` or `drive`), so every method called on it, or on its nested
+     * resources, goes through schedule(). Whether a call is idempotent is decided by isIdempotent().
+     *
+     * @param {Object} client - The client to wrap.
+     * @param {string} name - Name of the client, used as prefix of the operation names.
+     * @return {Object} The wrapped client.
+     */
+    wrap(client, name) {
+        const scheduler = this
+
+        return new Proxy(client, {
+            get(target, property) {
+                const value = target[property]
+
+                if (typeof value === "function") {
+                    return (...args) => {
+                        const operation = `${name}.${String(property)}`
+                        const idempotent = scheduler.isIdempotent(operation, args)
+                        return scheduler.schedule(() => value.apply(target, args), { operation, idempotent })
+                    }
+                }
+                if (value && typeof value === "object") {
+                    return scheduler.wrap(value, `${name}.${String(property)}`)
+                }
+                return value
+            },
+        })
+    }
+
+    /**
+     * Waits until the call may start without going over the requests-per-minute limit.
+     */
+    _acquire(operation) {
+        const slot = this._slots.then(async () => {
+            if (!this.requestsPerMinute) {
+                return
+            }
+
+            const now = Date.now()
+            this._started = this._started.filter((time) => time > now - 60000)
+
+            if (this._started.length >= this.requestsPerMinute) {
+                const wait = this._started[0] + 60000 - now
+                this.emit("throttle", { operation, wait })
+                await sleep(wait)
+                this._started.shift()
+            }
+
+            this._started.push(Date.now())
+        })
+
+        this._slots = slot.catch(() => {})
+        return slot
+    }
+
+    /**
+     * Exponential backoff with jitter. A Retry-After header sent with the error takes precedence.
+     */
+    _delay(attempt, error) {
+        const headers = (error && error.response && error.response.headers) || {}
+        const retryAfter = Number(headers["retry-after"])
+        if (retryAfter > 0) {
+            return Math.min(retryAfter * 1000, this.maxDelay)
+        }
+
+        const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt)
+        return Math.round(delay / 2 + Math.random() * (delay / 2))
+    }
+}
+
+module.exports = RequestScheduler
+module.exports.statusOf = statusOf
@@ -1,70 +1,189 @@
-const { google } = require("googleapis")
-const { JWT } = require("google-auth-library")
-const sleep = require("./functions").sleep
+const { GoogleBackend } = require("./backends")
+const { sleep, a1 } = require("./functions")
+const Table = require("./Table")
+const { SCHEMA_METADATA_KEY, normalizeType, castValue, numberFormat } = require("./casts")
+const Cache = require("./Cache")
+const RequestScheduler = require("./Scheduler")
+const Migrator = require("./migrations/Migrator")
+const Promoter = require("./Promoter")
+const Backups = require("./Backups")
+const Factory = require("./seeders/Factory")
+const Seeder = require("./seeders/Seeder")
+const Logger = require("./Logger")
+const {
+    AuthenticationError,
+    NoTableSelectedError,
+    TableNotFoundError,
+    ValidationError,
+    wrapError,
+} = require("./errors")
+
+// Naming strategies turning header cells into row keys
+const NAMING_STRATEGIES = {
+    // "Primary Address" => "primary_address"
+    snake: (key) =>
+        key
+            .replace(/[^a-zA-Z0-9]/g, " ") // Replace non-alphanumeric characters with space
+            .replace(/\s+/g, "_") // Replace multiple spaces with an underscore
+            .toLowerCase(), // Convert to lowercase for consistency
+
+    // "Primary Address" => "primaryAddress", "Customer ID" => "customerId"
+    camel: (key) =>
+        key
+            .split(/[^a-zA-Z0-9]+/)
+            .filter(Boolean)
+            .map((word, index) => {
+                // Acronyms are treated as words ("ID" => "id" / "Id"), camel cased keys are left as they are
+                const lower = word === word.toUpperCase() ? word.toLowerCase() : word
+                return index === 0 ? lower[0].toLowerCase() + lower.slice(1) : lower[0].toUpperCase() + lower.slice(1)
+            })
+            .join(""),
+
+    // Keys are the header cells as they are
+    none: (key) => key,
+}
+
+// Events lifecycle hooks can be registered for, see hook()
+const HOOK_EVENTS = [
+    "creating",
+    "created",
+    "updating",
+    "updated",
+    "deleting",
+    "deleted",
+    "saving",
+    "saved",
+    "retrieved",
+]
 
 class Sheets {
     constructor(
         {
             developmentId: devId,
             productionId: prodId,
+            environments = {},
             serviceAccount: account,
+            auth = null,
             useCache: cache = false,
             mode = "Production",
             primaryColumn = "ID",
+            backend = null,
+            scheduler = {},
+            naming = "snake",
+            aliases = {},
+            logger = null,
+            logLevel = "info",
+            debug = false,
+            conflicts = "fail",
+            backups = {},
         } = {} // Default empty object to prevent errors
     ) {
         // Validate required parameters
-        if (!account) {
-            throw new Error("Service account credentials required.")
+        if (!account && !auth && !backend) {
+            throw new AuthenticationError("Credentials required. Provide a serviceAccount, auth options or a backend.")
         }
 
+        // Structured log entries go to the given logger (silent without one), debug mode also logs every API call
+        this.debug = debug
+        this.logger = new Logger({ logger: logger || (debug ? console : null), level: debug ? "debug" : logLevel })
+
         // Assign constructor parameters
         this._account = account
         this.developmentId = devId
         this.productionId = prodId
 
-        // Mode can be dynamically set (Development or Production)
+        // Named spreadsheets (e.g. `{ dev, staging, prod }`), next to the Development and Production ones
+        this.environments = { ...environments }
+
+        // Mode can be dynamically set, to Development, Production or any environment (see use())
         this.mode = mode
-        this.id = mode === "Development" ? this.devId : this.prodId
+        this.id = this._spreadsheetId(mode) || null
+
+        // How header cells become the keys of row objects, and explicit keys for some columns, keyed by table
+        if (!NAMING_STRATEGIES[naming] && typeof naming !== "function") {
+            throw new ValidationError("Invalid naming strategy provided. Use 'snake', 'camel', 'none' or a function.")
+        }
+        this.naming = naming
+        this.aliases = {}
+        Object.entries(aliases).forEach(([table, columns]) => this.setAliases(table, columns))
+
+        // What save() does with rows that were also changed in the sheet since they were loaded (see Table.save())
+        if (!Table.CONFLICT_STRATEGIES.includes(conflicts)) {
+            throw new ValidationError(
+                `Invalid conflict strategy '${conflicts}'. Use ${Table.CONFLICT_STRATEGIES.join(", ")}.`
+            )
+        }
+        this.conflicts = conflicts
+
+        // Where backup() stores backups, how many are kept, and whether destructive writes take one first
+        const { to = "sheet", directory = null, keep = null, maxAge = null, auto = false } = backups
+        if (!Backups.BACKUP_TARGETS.includes(to)) {
+            throw new ValidationError(`Invalid backup target '${to}'. Use ${Backups.BACKUP_TARGETS.join(", ")}.`)
+        }
+        if (keep !== null && (!Number.isInteger(keep) || keep < 1)) {
+            throw new ValidationError("Invalid backup retention provided. keep must be a positive integer.")
+        }
+        if (maxAge !== null && (typeof maxAge !== "number" || maxAge <= 0)) {
+            throw new ValidationError("Invalid backup retention provided. maxAge must be a positive number.")
+        }
+        this.backups = { to, directory, keep, maxAge, auto: Boolean(auto) }
 
-        // Primary column for referencing rows
+        // Primary column for referencing rows, and how missing keys are generated on insert (see setPrimaryColumn())
         this.primaryColumn = primaryColumn
+        this.keyGenerator = null
 
         // Define Google Sheets API URL scopes
         this.api = ["https://www.googleapis.com/auth/spreadsheets", "https://www.googleapis.com/auth/drive"]
 
+        // Storage backend the client talks to (Google Sheets unless another backend is provided)
+        // `auth` holds the other ways to authenticate: keyFile, oauth2, applicationDefault, client and subject
+        this.backend = backend || new GoogleBackend({ serviceAccount: account, ...auth, scopes: this.api })
+
+        // Every API call goes through the scheduler (retries, backoff and the requests-per-minute limit).
+        // Passing the same RequestScheduler to several instances makes them share the limit.
+        this.scheduler = scheduler instanceof RequestScheduler ? scheduler : new RequestScheduler(scheduler)
+        this._logRequests()
+
         // Initialize other properties
         this.client = null // Will be set when client is authenticated
         this.drive = null
-        this.query = ""
-        this.selectedTable = ""
 
-        this.useCache = cache // Need to implement caching method for data retrieval
-        this.header = []
-        this.results = []
-        this.values = []
+        // Cache of the values read by table(): `true` for the defaults or `{ ttl, store }`
+        this.useCache = Boolean(cache)
+        this.cache = cache ? new Cache(cache === true ? {} : cache) : null
         this.tables = []
+        this.sheetIds = {}
+
+        // Column types per table: registered with setSchema() or read back from the sheet metadata
+        this.schemas = {}
+        this.sheetSchemas = {}
+
+        // Relationships between tables, keyed by table and relationship name
+        this.relations = {}
+
+        // Tables using soft deletes, keyed by table with the timestamp column as value
+        this.softDeleteColumns = {}
+
+        // Factory definitions and their sequence counters, keyed by table (see defineFactory())
+        this.factories = {}
+
+        // Lifecycle hooks keyed by table and event, and the tables stamping created_at / updated_at
+        this.hooks = {}
+        this.timestampColumns = {}
     }
 
     // Private method to initialize the client
     async _initClient() {
-        const auth = new google.auth.JWT(
-            this._account.client_email, // Service account email
-            null, // Key file is null since we're using the key directly
-            this._account.private_key, // Service account private key
-            this.api // Scopes for Google Sheets
-        )
-
         try {
-            // Authenticate the client
-            await auth.authorize()
-            this.client = google.sheets({ version: "v4", auth }) // Set the sheets client
+            // Connect the backend, which exposes the same `spreadsheets` and `drive` surface as googleapis
+            await this.backend.connect()
+            this.client = { spreadsheets: this.scheduler.wrap(this.backend.spreadsheets, "spreadsheets") } // Set the sheets client
 
-            // Initialize a separate Drive client
-            this.drive = google.drive({ version: "v3", auth })
-            console.log("Google Sheets API client initialized successfully.")
+            this.drive = this.scheduler.wrap(this.backend.drive, "drive")
+            this.logger.info("Google Sheets API client initialized.", { operation: "connect" })
         } catch (error) {
-            console.error("Failed to authenticate Google Sheets API client:", error)
+            this.logger.error("Failed to authenticate Google Sheets API client.", { operation: "connect", error })
+            throw wrapError("Failed to authenticate Google Sheets API client", error, AuthenticationError)
         }
     }
 
@@ -81,15 +200,14 @@ class Sheets {
         await this._initClient()
         try {
             if (!data || !data.schema || !data.devTitle || !data.prodTitle) {
-                throw new Error("Invalid data provided. Ensure schema, devTitle, and prodTitle are included.")
+                throw new ValidationError("Invalid data provided. Ensure schema, devTitle, and prodTitle are included.")
             }
 
-            console.log("Converting schema to headers...")
+            const started = Date.now()
             const headers = Object.keys(data.schema)
-            const columnFormats = Object.values(data.schema)
+            const columnFormats = Object.values(data.schema).map(normalizeType)
 
             // Create Development Sheet and get its sheetId
-            console.log("Creating Development Sheet...")
             const devSheet = await this.client.spreadsheets.create({
                 resource: {
                     properties: { title: data.devTitle },
@@ -116,10 +234,14 @@ class Sheets {
             this.developmentId = await devSheet.data.spreadsheetId
             const devSheetTabId = devSheet.data.sheets[0].properties.sheetId // Capture sheetId for dev tab
             const devSheetUrl = `https://docs.google.com/spreadsheets/d/${this.developmentId}/edit`
-            console.log(`Development Sheet created successfully. ID: ${devSheetUrl}`)
+            this.logger.info("Development sheet created.", {
+                operation: "database",
+                table: data.table,
+                spreadsheetId: this.developmentId,
+                url: devSheetUrl,
+            })
 
             // Create Production Sheet and get its sheetId
-            console.log("Creating Production Sheet...")
             const prodSheet = await this.client.spreadsheets.create({
                 resource: {
                     properties: { title: data.prodTitle },
@@ -146,7 +268,12 @@ class Sheets {
             this.productionId = await prodSheet.data.spreadsheetId
             const prodSheetTabId = prodSheet.data.sheets[0].properties.sheetId // Capture sheetId for prod tab
             const prodSheetUrl = `https://docs.google.com/spreadsheets/d/${this.productionId}/edit`
-            console.log(`Production Sheet created successfully. ID: ${prodSheetUrl}`)
+            this.logger.info("Production sheet created.", {
+                operation: "database",
+                table: data.table,
+                spreadsheetId: this.productionId,
+                url: prodSheetUrl,
+            })
 
             // Set permissions
             await this._setPermissions(this.developmentId)
@@ -156,13 +283,21 @@ class Sheets {
             await this._applyColumnFormatting(this.developmentId, devSheetTabId, columnFormats)
             await this._applyColumnFormatting(this.productionId, prodSheetTabId, columnFormats)
 
-            console.log(`Development Sheet URL: ${devSheetUrl}`)
-            console.log(`Production Sheet URL: ${prodSheetUrl}`)
+            // Store the schema on both tabs, so the column types can be read back from the sheet
+            await this._storeSchema(this.developmentId, devSheetTabId, data.schema)
+            await this._storeSchema(this.productionId, prodSheetTabId, data.schema)
+
+            this.logger.info("Database created.", {
+                operation: "database",
+                table: data.table,
+                columns: headers.length,
+                duration: Date.now() - started,
+            })
 
             return this
         } catch (error) {
-            console.error("Error creating sheets with schema:", error)
-            throw new Error("Failed to create sheets with schema.")
+            this.logger.error("Failed to create sheets with schema.", { operation: "database", error })
+            throw wrapError("Failed to create sheets with schema", error)
         }
     }
 
@@ -180,46 +315,37 @@ class Sheets {
                     type: "anyone",
                 },
             })
-            console.log(`Permissions set to "anyone with the link can edit" for sheet ID: ${sheetId}`)
+            this.logger.info('Permissions set to "anyone with the link can edit".', {
+                operation: "permissions",
+                spreadsheetId: sheetId,
+            })
         } catch (error) {
-            console.error(`Error setting permissions for sheet ID '${sheetId}':`, error)
-            throw new Error(`Failed to set permissions for sheet ID '${sheetId}'.`)
+            this.logger.error("Failed to set permissions.", { operation: "permissions", spreadsheetId: sheetId, error })
+            throw wrapError(`Failed to set permissions for sheet ID '${sheetId}'`, error)
         }
     }
 
     /**
-     * Applies column formatting based on the schema data types (String, Number).
+     * Applies column formatting based on the schema data types (String, Number, Boolean, Date, JSON).
      *
      * @param {string} sheetId - The ID of the Google Sheet.
-     * @param {Array<Function>} columnFormats - An array of schema types (String, Number) for each column.
+     * @param {Array<{type: string}>} columnFormats - An array of normalized schema types for each column.
+     * @param {number} [startColumn=0] - The index of the column the first format applies to.
      */
 
-    async _applyColumnFormatting(spreadsheetId, sheetId, columnFormats) {
+    async _applyColumnFormatting(spreadsheetId, sheetId, columnFormats, startColumn = 0) {
         const requests = columnFormats.map((format, index) => {
-            let numberFormat
-
-            if (format === Number) {
-                numberFormat = {
-                    type: "NUMBER",
-                    pattern: "0.00",
-                }
-            } else {
-                numberFormat = {
-                    type: "TEXT",
-                }
-            }
-
             return {
                 repeatCell: {
                     range: {
                         sheetId, // Use the actual sheetId of the tab
                         startRowIndex: 1, // Skip the header row
-                        startColumnIndex: index,
-                        endColumnIndex: index + 1,
+                        startColumnIndex: startColumn + index,
+                        endColumnIndex: startColumn + index + 1,
                     },
                     cell: {
                         userEnteredFormat: {
-                            numberFormat,
+                            numberFormat: numberFormat(format.type),
                         },
                     },
                     fields: "userEnteredFormat.numberFormat",
@@ -236,6 +362,36 @@ class Sheets {
         })
     }
 
+    /**
+     * Stores a schema as developer metadata on a sheet (tab), so it can be read back by setTables().
+     *
+     * @param {string} spreadsheetId - The ID of the Google Sheet.
+     * @param {number} sheetId - The ID of the tab.
+     * @param {Object} schema - The schema object, with header names as keys and column types as values.
+     * @return {Promise<void>}
+     */
+    async _storeSchema(spreadsheetId, sheetId, schema) {
+        const types = Object.fromEntries(Object.entries(schema).map(([column, type]) => [column, normalizeType(type)]))
+
+        await this.client.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [
+                    {
+                        createDeveloperMetadata: {
+                            developerMetadata: {
+                                metadataKey: SCHEMA_METADATA_KEY,
+                                metadataValue: JSON.stringify(types),
+                                location: { sheetId },
+                                visibility: "DOCUMENT",
+                            },
+                        },
+                    },
+                ],
+            },
+        })
+    }
+
     /**
      * Sets the Google Sheet permissions to "anyone with link can edit."
      *
@@ -251,27 +407,40 @@ class Sheets {
                     type: "anyone",
                 },
             })
-            console.log(`Permissions set to "anyone with the link can edit" for sheet ID: ${sheetId}`)
+            this.logger.info('Permissions set to "anyone with the link can edit".', {
+                operation: "permissions",
+                spreadsheetId: sheetId,
+            })
         } catch (error) {
-            console.error(`Error setting permissions for sheet ID '${sheetId}':`, error)
-            throw new Error(`Failed to set permissions for sheet ID '${sheetId}'.`)
+            this.logger.error("Failed to set permissions.", { operation: "permissions", spreadsheetId: sheetId, error })
+            throw wrapError(`Failed to set permissions for sheet ID '${sheetId}'`, error)
         }
     }
 
     /**
      * Sets the primary column of the sheet based on the provided parameter.
-     * This column will be used as a unique identifier (e.g., primary key).
+     * This column is the identity of the rows of every table that has it: find(), update(), delete(), save() and
+     * upserts look rows up by its value. Tables without the column fall back to the row position (`primary_key`).
      *
      * @param {string} col - The column name to set as the primary column.
+     * @param {Object} [options] - The key options.
+     * @param {string|Function|null} [options.generate=null] - How a key is generated for rows inserted without
+     *     one: "increment" (the highest numeric key + 1), "uuid", or a function called with `{ table, rows }` that
+     *     returns the key. Keys are not generated by default.
      * @return {this} The current instance with the updated primary column.
      */
-    setPrimaryColumn(col) {
+    setPrimaryColumn(col, { generate = null } = {}) {
         if (!col || typeof col !== "string") {
-            throw new Error("Invalid column name provided. It must be a non-empty string.")
+            throw new ValidationError("Invalid column name provided. It must be a non-empty string.")
+        }
+
+        if (generate !== null && !["increment", "uuid"].includes(generate) && typeof generate !== "function") {
+            throw new ValidationError("Invalid key generator provided. Use 'increment', 'uuid' or a function.")
         }
 
         this.primaryColumn = col
-        console.log(`Primary column set to: ${this.primaryColumn}`)
+        this.keyGenerator = generate
+        this.logger.debug("Primary column set.", { operation: "setPrimaryColumn", column: this.primaryColumn })
 
         return this // Return the current instance for method chaining
     }
@@ -286,563 +455,999 @@ class Sheets {
     }
 
     /**
-     * Sets the mode of the object to either Development or Production.
+     * Registers the column types of a table. Values read from the table are cast to these types and values written
+     * by insert() and save() are serialized back. A registered schema takes precedence over a schema stored on the
+     * sheet by database().
      *
-     * @param {Object} options - Configuration options for setting the mode.
-     * @param {boolean} [options.development=false] - Boolean to indicate whether to use Development mode. Defaults to Production mode if false or not provided.
-     * @return {void} - No return value.
+     * Types are String, Number, Boolean, Date or JSON. Empty cells are read as null, except in String columns where
+     * they stay empty strings unless declared with a descriptor: `{ Nickname: { type: String, nullable: true } }`.
+     * Columns missing from the schema stay strings.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} schema - The schema object, with header names (original or normalized) as keys.
+     * @return {this} The current instance for chaining.
      */
-    async setMode({ development = false } = {}) {
-        try {
-            // Set the mode and ID based on the development flag
-            this.mode = development ? "Development" : "Production"
-            this.id = development ? this.developmentId : this.productionId
+    setSchema(table, schema) {
+        if (!table || typeof table !== "string") {
+            throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
+        }
 
-            console.log(`Mode set to ${this.mode} (${this.id})`)
-            await this.setTables()
-        } catch (error) {
-            console.error("Error setting mode:", error)
-            throw new Error("Failed to set mode. Ensure that devId and prodId are correctly set.")
+        if (!schema || typeof schema !== "object") {
+            throw new ValidationError("Invalid schema provided. It must be an object of column types.")
         }
+
+        this.schemas[table] = this._normalizeSchema(schema, table)
+        this.logger.debug("Schema set.", { operation: "setSchema", table })
+
+        return this
     }
 
     /**
-     * Returns the current mode of the object.
+     * Returns the column types of a table, keyed by normalized column name, or null when the table has no schema.
      *
-     * @return {string} The current mode of the object. Possible values are "Development" or "Production".
+     * @param {string} table - The name of the table (sheet).
+     * @return {Object|null}
      */
-    getMode() {
-        return this.mode
+    getSchema(table) {
+        return this.schemas[table] || this.sheetSchemas[table] || null
     }
 
     /**
-     * Initializes the Sheets object by setting up authentication, creating a Sheets client,
-     * setting tables, and returning the initialized Sheets object.
+     * Maps columns of a table to explicit row keys, taking precedence over the naming strategy:
+     * `setAliases("Users", { "Primary Address": "address" })` reads the "Primary Address" column into `row.address`
+     * and writes `row.address` back to it. The header of the tab is left as it is.
      *
-     * @return {Promise<Sheets>} The initialized Sheets object.
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} aliases - The row keys, keyed by header.
+     * @return {this} The current instance for chaining.
      */
-    async init() {
-        try {
-            // Initialize Google Sheets API client
-            await this._initClient()
+    setAliases(table, aliases) {
+        if (!table || typeof table !== "string") {
+            throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
+        }
 
-            // Set tables or any other necessary data setup
-            await this.setTables()
+        if (!aliases || typeof aliases !== "object") {
+            throw new ValidationError("Invalid aliases provided. It must be an object of row keys keyed by header.")
+        }
 
-            console.log("Sheets object initialized successfully.")
+        this.aliases[table] = { ...this.aliases[table], ...aliases }
+        this.logger.debug("Aliases set.", { operation: "setAliases", table })
 
-            // Return the current Sheets instance
-            return this
-        } catch (error) {
-            console.error("Failed to initialize Sheets object:", error)
-            throw new Error("Error initializing Sheets object.")
+        return this
+    }
+
+    /**
+     * Enables soft deletes on a table: deleting a row stamps its `deleted_at` column with the current time instead
+     * of removing it from the tab. Queries leave soft-deleted rows out unless withTrashed() or onlyTrashed() is
+     * called on the table handle.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} [options] - The soft delete options.
+     * @param {string} [options.column="deleted_at"] - The column holding the deletion time.
+     * @return {this} The current instance for chaining.
+     */
+    softDeletes(table, { column = "deleted_at" } = {}) {
+        if (!table || typeof table !== "string") {
+            throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
         }
+
+        this.softDeleteColumns[table] = column
+        this.logger.debug("Soft deletes enabled.", { operation: "softDeletes", table, column })
+
+        return this
     }
 
     /**
-     * Retrieves the titles of all sheets in the spreadsheet and sets the `tables` property
-     * of the current instance.
+     * Registers a lifecycle hook on a table. The callback is called with the row and `{ table, event }` (plus the
+     * row as it was loaded, `original`, for updating and updated) and may be async:
      *
-     * @return {Promise<this>} A Promise that resolves to the current instance.
+     * - `creating` / `created`: around writing a new row, by insert(), upserts, save() and import().
+     * - `updating` / `updated`: around writing a row whose cells changed.
+     * - `deleting` / `deleted`: around removing a row from the tab, or soft deleting it.
+     * - `saving` / `saved`: around writing any new or changed row, before creating / updating and after created /
+     *   updated.
+     * - `retrieved`: after a row was read from the tab.
+     *
+     * Hooks can change the row they receive. Returning `false` from a `saving`, `creating`, `updating` or
+     * `deleting` hook cancels the write of that row: a new row is dropped, a changed row is reverted to its loaded
+     * values and a deleted row is kept.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {string} event - The event, e.g. "creating".
+     * @param {Function} callback - Called with the row and the context.
+     * @return {this} The current instance for chaining.
      */
-    async setTables() {
-        try {
-            // Retrieve the sheet titles from the specified spreadsheet
-            const { data } = await this.client.spreadsheets.get({
-                spreadsheetId: this.id,
-                fields: "sheets.properties.title",
-            })
-            // Check if sheets data exists
-            if (!data || !data.sheets) {
-                throw new Error("No sheets data found in the spreadsheet.")
-            }
+    hook(table, event, callback) {
+        if (!table || typeof table !== "string") {
+            throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
+        }
+
+        if (!HOOK_EVENTS.includes(event)) {
+            throw new ValidationError(`Invalid hook event '${event}'. Use ${HOOK_EVENTS.join(", ")}.`)
+        }
 
-            // Set the tables property with the sheet titles
-            this.tables = data.sheets.map((sheet) => sheet.properties.title)
+        if (typeof callback !== "function") {
+            throw new ValidationError("Invalid hook provided. It must be a function.")
+        }
 
-            console.log("Sheet titles successfully retrieved and set.")
+        this.hooks[table] = this.hooks[table] || {}
+        this.hooks[table][event] = [...(this.hooks[table][event] || []), callback]
+        this.logger.debug("Hook registered.", { operation: "hook", table, event })
 
-            return this // Return the current instance
-        } catch (error) {
-            console.error("Failed to retrieve sheet titles:", error)
-            throw new Error("Error fetching sheet titles from the spreadsheet.")
+        return this
+    }
+
+    /**
+     * Registers the methods of an observer named after hook events (`creating()`, `updated()`, ...) as hooks of a
+     * table, see hook().
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} observer - An object or class instance with a method per event it handles.
+     * @return {this} The current instance for chaining.
+     */
+    observe(table, observer) {
+        if (!observer || typeof observer !== "object") {
+            throw new ValidationError("Invalid observer provided. It must be an object with a method per event.")
         }
+
+        HOOK_EVENTS.filter((event) => typeof observer[event] === "function").forEach((event) =>
+            this.hook(table, event, observer[event].bind(observer))
+        )
+
+        return this
     }
 
     /**
-     * Sets the selected table (sheet) and retrieves its values.
+     * Stamps new rows of a table with their creation time and changed rows with their update time. Timestamps
+     * given on a new row are kept. The columns hold ISO strings, or dates when their schema type is Date.
      *
-     * @param {string} table - The name of the table (sheet) to select.
-     * @return {Promise<this>} - A Promise that resolves to the current instance.
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} [options] - The timestamp options.
+     * @param {string|null} [options.createdAt="created_at"] - The creation time column, null for none.
+     * @param {string|null} [options.updatedAt="updated_at"] - The update time column, null for none.
+     * @return {this} The current instance for chaining.
      */
-    async table(table) {
-        try {
-            // Validate that a valid table name is provided
-            if (!table || typeof table !== "string") {
-                throw new Error("Invalid table name provided. It must be a non-empty string.")
-            }
+    timestamps(table, { createdAt = "created_at", updatedAt = "updated_at" } = {}) {
+        if (!table || typeof table !== "string") {
+            throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
+        }
 
-            // Check if the provided table exists in the list of available tables
-            if (!this.tables || !this.tables.includes(table)) {
-                throw new Error(
-                    `Table '${table}' not found in available tables. Please ensure it's a valid sheet name.`
-                )
-            }
+        this.timestampColumns[table] = { createdAt, updatedAt }
+        this.logger.debug("Timestamps enabled.", { operation: "timestamps", table })
 
-            // Set the selected table and retrieve its values
-            this.selectedTable = table
-            await this.setValues() // This method fetches the values of the selected sheet
+        return this
+    }
 
-            console.log(`Table '${table}' selected and values retrieved.`)
-            return this // Return the current instance for method chaining
-        } catch (error) {
-            console.error("Failed to set table and retrieve values:", error)
-            throw new Error(`Error selecting table '${table}': ${error.message}`)
+    /**
+     * Defines how fake rows of a table are built, for tests and seeders. The definition is called for every row
+     * with helpers (`sequence`, `index`, `cycle()`, `pick()` and `number()`, see Factory) and returns its fields:
+     * `defineFactory("Users", (f) => ({ Name: "User " + f.sequence, Role: f.cycle("admin", "user") }))`.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Function} definition - Returns the fields of one row.
+     * @return {this} The current instance for chaining.
+     */
+    defineFactory(table, definition) {
+        if (!table || typeof table !== "string") {
+            throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
+        }
+
+        if (typeof definition !== "function") {
+            throw new ValidationError("Invalid factory definition provided. It must be a function returning a row.")
         }
+
+        this.factories[table] = { definition, sequence: 0 }
+        this.logger.debug("Factory defined.", { operation: "defineFactory", table })
+
+        return this
+    }
+
+    /**
+     * Returns the factory of a table, to make() rows or create() them in the table:
+     * `await db.factory("Users").count(10).state({ Role: "admin" }).create()`.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @return {Factory}
+     */
+    factory(table) {
+        return new Factory(this, table)
     }
 
     /**
-     * Sets the values of the Sheets instance by fetching data from the selected table.
-     * Maps the header row as keys and the subsequent rows as values.
+     * Runs seeders against the spreadsheet of the current mode. Seeding Production is refused unless `force` is
+     * set, since seeders write fake rows.
      *
-     * @return {Promise<this>} The Sheets instance with updated values.
+     * @param {Object} options - The seeding options.
+     * @param {string} [options.directory] - The directory holding the seeder modules, run in file name order.
+     * @param {Array<Function|Object>} [options.seeders] - Seeder classes, objects with run() or functions instead.
+     * @param {string} [options.only] - Only run the seeder with this (file or class) name.
+     * @param {boolean} [options.force=false] - Seed even when the mode is Production.
+     * @return {Promise<Array<string>>} The names of the seeders that ran.
      */
-    async setValues() {
+    async seed({ directory, seeders, only, force = false } = {}) {
         try {
-            // Ensure the selected table is valid
-            if (!this.selectedTable) {
-                throw new Error("No table selected. Please select a table before setting values.")
+            if (!this.client || !this.id) {
+                throw new NoTableSelectedError("Initialize the client and set the mode before seeding.")
+            }
+            if (!directory && !seeders) {
+                throw new ValidationError("A seeders directory or a list of seeders is required.")
+            }
+            if (this._isProduction() && !force) {
+                throw new ValidationError(
+                    `Refusing to seed ${this.mode} (${this.id}). Pass force: true to seed it anyway.`,
+                    { code: "PRODUCTION_GUARD", mode: this.mode }
+                )
             }
 
-            // Fetch the data from the selected table
-            const { data } = await this.client.spreadsheets.values.get({
-                spreadsheetId: this.id,
-                range: this.selectedTable,
-            })
+            let entries = directory
+                ? Seeder.load(directory)
+                : seeders.map((seeder) => ({ name: seeder.name || "seeder", seeder }))
+            if (only) {
+                entries = entries.filter((entry) => entry.name === only)
+                if (!entries.length) {
+                    throw new ValidationError(`Seeder '${only}' not found.`)
+                }
+            }
 
-            // Ensure data exists
-            if (!data || !data.values || data.values.length === 0) {
-                throw new Error(`No data found in the table: '${this.selectedTable}'.`)
+            for (const { name, seeder } of entries) {
+                const started = Date.now()
+                await Seeder.run(seeder, this)
+                this.logger.info("Seeded.", {
+                    operation: "seed",
+                    seeder: name,
+                    spreadsheetId: this.id,
+                    duration: Date.now() - started,
+                })
             }
 
-            // Extract the header row and clean it up
-            this.header = data.values.shift().map(
-                (key) =>
-                    key
-                        .replace(/[^a-zA-Z0-9]/g, " ") // Replace non-alphanumeric characters with space
-                        .replace(/\s+/g, "_") // Replace multiple spaces with an underscore
-                        .toLowerCase() // Convert to lowercase for consistency
-            )
+            return entries.map((entry) => entry.name)
+        } catch (error) {
+            this.logger.error("Failed to seed.", { operation: "seed", spreadsheetId: this.id, error })
+            throw wrapError("Failed to seed", error)
+        }
+    }
 
-            // Map the remaining rows to objects with the header keys
-            const entries = data.values.map((row, index) => {
-                const entry = this.header.reduce((obj, key, i) => {
-                    obj[key] = row[i] ? row[i].trim() : "" // Assign values, default to empty string if undefined
-                    return obj
-                }, {})
-                return { ...entry, primary_key: index + 1 } // Add primary_key field as index + 1
-            })
+    // Production is the Production mode, the productionId spreadsheet or an environment named prod or production
+    _isProduction() {
+        return (
+            this.mode === "Production" ||
+            Boolean(this.productionId && this.id === this.productionId) ||
+            /^prod(uction)?$/i.test(this.mode)
+        )
+    }
 
-            // Store the mapped values in the instance
-            this.values = { [this.selectedTable]: entries }
-            this.results = entries
+    /**
+     * Runs the pending migrations against the spreadsheet of the current mode (see setMode()).
+     * Applied migrations are recorded in a hidden `_migrations` tab.
+     *
+     * @param {Object} options - The migration options.
+     * @param {string} [options.directory] - The directory holding the migration files, run in file name order.
+     * @param {Array<Object>} [options.migrations] - Migrations given as `{ name, up, down }` objects instead.
+     * @param {string} [options.table="_migrations"] - The name of the ledger tab.
+     * @return {Promise<Array<string>>} The names of the migrations that ran.
+     */
+    async migrate(options) {
+        const started = Date.now()
+        try {
+            const migrated = await this._migrator(options).migrate()
+            await this._afterMigration()
 
-            console.log(`Values set for table: '${this.selectedTable}' with ${entries.length} entries.`)
-            return this // Return the instance for chaining
+            this.logger.info("Migrations applied.", {
+                operation: "migrate",
+                mode: this.mode,
+                spreadsheetId: this.id,
+                migrations: migrated.length,
+                duration: Date.now() - started,
+            })
+            return migrated
         } catch (error) {
-            console.error("Error setting values:", error)
-            throw new Error(`Failed to set values for table '${this.selectedTable}': ${error.message}`)
+            this.logger.error("Failed to run migrations.", { operation: "migrate", spreadsheetId: this.id, error })
+            throw wrapError("Failed to run migrations", error)
         }
     }
+
     /**
-     * Sets the query object with the provided column, operator, and value,
-     * then filters the results based on the query.
+     * Reverts the last batches of migrations applied to the spreadsheet of the current mode.
      *
-     * @param {Object} options - An object containing the column, operator, and value.
-     * @param {string} options.column - The column to filter by.
-     * @param {string} options.operator - The comparison operator (e.g., '=', '!=', '>', '<', '>=', '<=', 'like').
-     * @param {any} options.value - The value to compare against.
-     * @return {this} The current instance after filtering.
+     * @param {Object} options - The migration options, as for migrate().
+     * @param {number} [options.steps=1] - How many batches to revert.
+     * @return {Promise<Array<string>>} The names of the migrations that were reverted.
      */
-    where({ column, operator, value }) {
-        if (!column || typeof column !== "string") {
-            throw new Error("Invalid column name provided.")
-        }
-
-        const supportedOperators = ["=", "!=", ">", "<", ">=", "<=", "like"]
+    async rollback({ steps = 1, ...options } = {}) {
+        const started = Date.now()
+        try {
+            const reverted = await this._migrator(options).rollback({ steps })
+            await this._afterMigration()
 
-        if (!supportedOperators.includes(operator)) {
-            throw new Error(
-                `Unsupported operator '${operator}'. Supported operators are: ${supportedOperators.join(", ")}`
-            )
+            this.logger.info("Migrations rolled back.", {
+                operation: "rollback",
+                mode: this.mode,
+                spreadsheetId: this.id,
+                migrations: reverted.length,
+                duration: Date.now() - started,
+            })
+            return reverted
+        } catch (error) {
+            this.logger.error("Failed to roll back migrations.", {
+                operation: "rollback",
+                spreadsheetId: this.id,
+                error,
+            })
+            throw wrapError("Failed to roll back migrations", error)
         }
-
-        // Set the query object
-        this.query = { column, operator, value }
-
-        // Perform the filtering
-        this.filterResults()
-
-        // Return the current instance for chaining
-        return this
     }
 
     /**
-     * Filters the results based on the current query.
-     */
-    filterResults() {
-        const { column, operator, value } = this.query
-
-        this.results = this.values[this.selectedTable].filter((row) => {
-            const cellValue = row[column]
-
-            switch (operator) {
-                case "=":
-                    return cellValue == value
-                case "!=":
-                    return cellValue != value
-                case ">":
-                    return cellValue > value
-                case "<":
-                    return cellValue < value
-                case ">=":
-                    return cellValue >= value
-                case "<=":
-                    return cellValue <= value
-                case "like":
-                    return typeof cellValue === "string" && cellValue.includes(value)
-                default:
-                    return false
-            }
-        })
+     * Lists the migrations and whether they have been applied to the spreadsheet of the current mode.
+     *
+     * @param {Object} options - The migration options, as for migrate().
+     * @return {Promise<Array<Object>>} `{ name, applied, batch, appliedAt }` for each migration.
+     */
+    async migrationStatus(options) {
+        return this._migrator(options).status()
+    }
 
-        // Optionally log filtered results for debugging
-        console.log(`Filtered results: ${this.results.length} entries matched.`)
+    _migrator(options) {
+        if (!this.client || !this.id) {
+            throw new NoTableSelectedError("Initialize the client and set the mode before running migrations.")
+        }
+        return new Migrator(this, options)
     }
+
     /**
-     * Returns each row in the `results` array with attached `update` and `delete` methods.
-     * The `update` method allows updating fields of the row, and the `delete` method removes the row from the `results` array.
+     * Compares a table between two environments: columns, column types and rows.
      *
-     * @return {Array<any>} An array of each row of the `results` array with update and delete methods.
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} environments - The environments to compare.
+     * @param {string} environments.from - The source environment, e.g. "staging".
+     * @param {string} environments.to - The target environment, e.g. "prod".
+     * @param {Object} [options] - The diff options.
+     * @param {boolean} [options.format=false] - Return the diff as readable lines instead of an object.
+     * @return {Promise<Object|string>} The diff, see Promoter.diff().
      */
-    get() {
-        return this.results.map((row) => ({
-            ...row,
+    async diff(table, { from, to, format = false } = {}) {
+        try {
+            const promoter = this._promoter()
+            const diff = await promoter.diff(table, { from, to })
+            return format ? promoter.format(diff) : diff
+        } catch (error) {
+            this.logger.error("Failed to compare environments.", { operation: "diff", table, from, to, error })
+            throw wrapError(`Failed to compare table '${table}' between ${from} and ${to}`, error)
+        }
+    }
 
-            // Method to delete the current row from results
-            delete: () => this._deleteRow(row),
+    /**
+     * Copies the schema and/or the rows of a table from one environment to another, e.g. from staging to prod.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} options - The promotion options.
+     * @param {string} options.from - The source environment.
+     * @param {string} options.to - The target environment.
+     * @param {boolean} [options.schema=true] - Whether to copy the columns and their types.
+     * @param {boolean} [options.data=false] - Whether to replace the rows of the target with those of the source.
+     * @return {Promise<Object>} The diff between both environments before the promotion.
+     */
+    async promote(table, options = {}) {
+        try {
+            return await this._promoter().promote(table, options)
+        } catch (error) {
+            this.logger.error("Failed to promote table.", { operation: "promote", table, error })
+            throw wrapError(`Failed to promote table '${table}'`, error)
+        }
+    }
 
-            // Method to update fields of the current row
-            update: (updatedFields) => this._updateRow(row, updatedFields),
-        }))
+    _promoter() {
+        if (!this.client) {
+            throw new NoTableSelectedError("Initialize the client before comparing environments.")
+        }
+        return new Promoter(this)
     }
 
     /**
-     * Deletes a row from the `results` array.
+     * Backs up a table of the spreadsheet of the current mode, to a hidden tab or a JSON file (see the `backups`
+     * option). Older backups past the retention limits are removed.
      *
-     * @param {Object} row - The row to delete.
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} [options] - The backup options.
+     * @param {string} [options.to] - "sheet" or "file", defaults to the backups option.
+     * @param {string} [options.directory] - The directory of file backups, defaults to the backups option.
+     * @return {Promise<Object>} The backup: `{ id, table, to, reason, createdAt, rows }` and its `title` (tab) or
+     *     `path` (file).
      */
-    _deleteRow(row) {
-        const index = this.results.findIndex((r) => r.primary_key === row.primary_key)
-        if (index !== -1) {
-            this.results.splice(index, 1) // Remove the row from the results array
-            console.log(`Row with primary_key ${row.primary_key} deleted.`)
-        } else {
-            console.warn(`Row with primary_key ${row.primary_key} not found for deletion.`)
+    async backup(table, options = {}) {
+        const started = Date.now()
+        try {
+            const backup = await this._backups().create(table, options)
+
+            this.logger.info("Backup created.", {
+                operation: "backup",
+                table,
+                spreadsheetId: this.id,
+                backup: backup.id,
+                to: backup.to,
+                rows: backup.rows,
+                duration: Date.now() - started,
+            })
+            return backup
+        } catch (error) {
+            this.logger.error("Failed to back up table.", { operation: "backup", table, error })
+            throw wrapError(`Failed to back up table '${table}'`, error)
         }
     }
 
     /**
-     * Updates a row in the `results` array with the given fields.
+     * Lists the backups of the spreadsheet of the current mode, newest first.
      *
-     * @param {Object} row - The row to update.
-     * @param {Object} updatedFields - An object containing the fields to update.
+     * @param {string} [table] - Only list the backups of this table.
+     * @param {Object} [options] - The listing options.
+     * @param {string} [options.directory] - The directory of file backups, defaults to the backups option.
+     * @return {Promise<Array<Object>>} The backups, as returned by backup().
      */
-    _updateRow(row, updatedFields) {
-        // Find the row in results based on primary_key
-        const index = this.results.findIndex((r) => r.primary_key === row.primary_key)
-        if (index !== -1) {
-            // Merge the updated fields with the existing row data
-            this.results[index] = {
-                ...this.results[index],
-                ...updatedFields,
-            }
-            console.log(`Row with primary_key ${row.primary_key} updated.`)
-        } else {
-            console.warn(`Row with primary_key ${row.primary_key} not found.`)
+    async listBackups(table, { directory } = {}) {
+        try {
+            return await this._backups().list(table, { directory })
+        } catch (error) {
+            this.logger.error("Failed to list backups.", { operation: "listBackups", table, error })
+            throw wrapError("Failed to list backups", error)
         }
     }
+
     /**
-     * Returns the first element from the 'results' array without modifying the array.
+     * Restores a table from a backup, replacing its header and rows. With automatic backups on, the current state
+     * of the table is backed up first.
      *
-     * @return {Any} The first element from the 'results' array, or undefined if the array is empty.
+     * @param {string} table - The name of the table (sheet).
+     * @param {string|Date} [backupId] - The ID of the backup, or a point in time to restore the last backup taken
+     *     at or before it. Defaults to the latest backup.
+     * @param {Object} [options] - The restore options.
+     * @param {string} [options.directory] - The directory of file backups, defaults to the backups option.
+     * @return {Promise<Object>} The backup that was restored.
      */
-    first() {
-        return this.results.length > 0 ? this.results[0] : undefined
+    async restore(table, backupId, { directory } = {}) {
+        const started = Date.now()
+        try {
+            const backup = await this._backups().restore(table, backupId, { directory })
+
+            this.logger.info("Backup restored.", {
+                operation: "restore",
+                table,
+                spreadsheetId: this.id,
+                backup: backup.id,
+                rows: backup.rows,
+                duration: Date.now() - started,
+            })
+            return backup
+        } catch (error) {
+            this.logger.error("Failed to restore table.", { operation: "restore", table, error })
+            throw wrapError(`Failed to restore table '${table}'`, error)
+        }
+    }
+
+    _backups(options) {
+        if (!this.client || !this.id) {
+            throw new NoTableSelectedError("Initialize the client and set the mode before backing up tables.")
+        }
+        return new Backups(this, options)
+    }
+
+    // Tables, their headers and their schemas may have changed
+    async _afterMigration() {
+        await this.setTables()
+        await this.flushCache()
     }
 
     /**
-     * Retrieves the titles of all sheets in the spreadsheet and returns them.
+     * Sets the mode of the object to either Development or Production.
      *
-     * @return {Array} An array of sheet titles.
+     * @param {Object} options - Configuration options for setting the mode.
+     * @param {boolean} [options.development=false] - Boolean to indicate whether to use Development mode. Defaults to Production mode if false or not provided.
+     * @return {void} - No return value.
      */
-    getTables() {
-        return this.tables
+    async setMode({ development = false } = {}) {
+        try {
+            await this.use(development ? "Development" : "Production")
+        } catch (error) {
+            this.logger.error("Failed to set mode.", { operation: "setMode", error })
+            throw wrapError("Failed to set mode", error)
+        }
     }
+
     /**
-     * Sorts the `results` array based on the given `column` and `direction`.
+     * Switches to a named environment: one of the `environments` given to the constructor, or Development and
+     * Production for the `developmentId` and `productionId` spreadsheets. Table handles that were already created
+     * stay bound to their environment.
      *
-     * @param {Object} options - An object containing the `column` and `direction` to sort by.
-     * @param {string} options.column - The column to sort by.
-     * @param {string} [options.direction="asc"] - The direction of the sort. Can be either "asc" or "desc" (default is "asc").
-     * @return {this} - The current instance with the sorted `results` array.
+     * @param {string} name - The name of the environment, e.g. "staging".
+     * @return {Promise<this>} The current instance for chaining.
      */
-    orderBy({ column, direction = "asc" }) {
-        // Validate the provided column and direction
-        if (!column || typeof column !== "string") {
-            throw new Error("Invalid column name provided.")
+    async use(name) {
+        const id = this._spreadsheetId(name)
+        if (!id) {
+            throw new ValidationError(
+                `Unknown environment '${name}'. Known environments: ${this.getEnvironments().join(", ")}.`
+            )
         }
 
-        if (!["asc", "desc"].includes(direction.toLowerCase())) {
-            throw new Error('Invalid direction. Use "asc" or "desc".')
+        this.mode = name
+        this.id = id
+        this.logger.info("Mode set.", { operation: "use", mode: this.mode, spreadsheetId: this.id })
+
+        // Tables can only be listed once the client is initialized, init() will fetch them otherwise
+        if (this.client) {
+            await this.setTables()
         }
 
-        // Perform the sort
-        this.results = this.results.sort((a, b) => {
-            const aValue = a[column]
-            const bValue = b[column]
+        return this
+    }
 
-            // Handle different data types for comparison
-            if (typeof aValue === "string" && typeof bValue === "string") {
-                return aValue.localeCompare(bValue, undefined, { sensitivity: "base" })
-            } else if (aValue < bValue) {
-                return -1
-            } else if (aValue > bValue) {
-                return 1
+    /**
+     * Returns the names of the environments that have a spreadsheet.
+     *
+     * @return {Array<string>}
+     */
+    getEnvironments() {
+        const names = Object.keys(this.environments)
+        ;["Development", "Production"].forEach((name) => {
+            if (!names.includes(name) && this._spreadsheetId(name)) {
+                names.push(name)
             }
-            return 0
         })
+        return names
+    }
 
-        // Reverse the results if sorting in descending order
-        if (direction === "desc") {
-            this.results.reverse()
+    /**
+     * Returns the spreadsheet ID of an environment. Development and Production fall back to `developmentId` and
+     * `productionId`, which database() also sets.
+     *
+     * @param {string} name - The name of the environment.
+     * @return {string|undefined}
+     */
+    _spreadsheetId(name) {
+        if (Object.prototype.hasOwnProperty.call(this.environments, name)) {
+            return this.environments[name]
+        }
+        if (name === "Development") {
+            return this.developmentId
+        }
+        if (name === "Production") {
+            return this.productionId
         }
+        return undefined
+    }
 
-        return this // Return the current instance for chaining
+    /**
+     * Returns the current mode of the object.
+     *
+     * @return {string} The current mode of the object. Possible values are "Development" or "Production".
+     */
+    getMode() {
+        return this.mode
     }
+
     /**
-     * Executes a callback function with the results as the argument and returns the current instance.
-     * The callback function can manipulate the `results` array directly, allowing for custom sorting or transformations.
+     * Initializes the Sheets object by setting up authentication, creating a Sheets client,
+     * setting tables, and returning the initialized Sheets object.
      *
-     * @param {Function} callback - The function to be executed with the `results` array as the argument.
-     * @return {this} The current instance.
+     * @return {Promise<Sheets>} The initialized Sheets object.
      */
-    orderByRaw(callback) {
-        if (typeof callback !== "function") {
-            throw new Error("Callback must be a function.")
-        }
+    async init() {
+        const started = Date.now()
+        try {
+            // Initialize Google Sheets API client
+            await this._initClient()
+
+            // Set tables or any other necessary data setup
+            await this.setTables()
 
-        // Execute the callback with the current results
-        callback(this.results)
+            this.logger.info("Sheets object initialized.", {
+                operation: "init",
+                spreadsheetId: this.id,
+                tables: this.tables.length,
+                duration: Date.now() - started,
+            })
 
-        // Return the current instance for chaining
-        return this
+            // Return the current Sheets instance
+            return this
+        } catch (error) {
+            this.logger.error("Failed to initialize Sheets object.", {
+                operation: "init",
+                spreadsheetId: this.id,
+                error,
+            })
+            throw wrapError("Error initializing Sheets object", error)
+        }
     }
 
     /**
-     * Inserts or upserts a row into the selected table.
-     * If upsert: true is passed, it will check for an existing row based on the unique key
-     * and update it if found, otherwise insert a new row.
+     * Retrieves the titles of all sheets in the spreadsheet and sets the `tables` property
+     * of the current instance.
      *
-     * @param {Object} newRow - An object representing the new row or updated data.
-     * @param {Object} options - An object containing the upsert option and unique key.
-     * @param {Boolean} options.upsert - Whether to upsert (update if exists, insert if not). Default is false.
-     * @param {String} options.uniqueKey - The unique key (e.g., "ID") to check for an existing row. Default is "ID".
-     * @return {Promise<this>} - The current instance with the updated or inserted row.
+     * @return {Promise<this>} A Promise that resolves to the current instance.
      */
-    async insert(newRow, { upsert = false, uniqueKey = "ID" } = {}) {
+    async setTables() {
         try {
-            // Ensure a table is selected
-            if (!this.selectedTable) {
-                throw new Error("No table selected.")
+            // Retrieve the sheet titles from the specified spreadsheet
+            const { data } = await this.client.spreadsheets.get({
+                spreadsheetId: this.id,
+                fields: "sheets(properties(sheetId,title,hidden),developerMetadata)",
+            })
+            // Check if sheets data exists
+            if (!data || !data.sheets) {
+                throw new TableNotFoundError("No sheets data found in the spreadsheet.")
             }
 
-            // Ensure the headers are available to map the object keys to the spreadsheet columns
-            if (!this.header || this.header.length === 0) {
-                throw new Error("Header is missing or empty.")
-            }
+            // Set the tables property with the sheet titles, hidden tabs (like the migrations ledger) are left out
+            this.tables = data.sheets.filter((sheet) => !sheet.properties.hidden).map((sheet) => sheet.properties.title)
 
-            if (upsert) {
-                // Find the existing row by the unique key
-                const existingIndex = this.results.findIndex((row) => row[uniqueKey] === newRow[uniqueKey])
-
-                if (existingIndex !== -1) {
-                    // Update the existing row
-                    this.results[existingIndex] = {
-                        ...this.results[existingIndex],
-                        ...newRow,
-                    }
-                    console.log(`Row with ${uniqueKey} ${newRow[uniqueKey]} updated.`)
-                } else {
-                    // Add new row if it doesn't exist
-                    this.results.push(newRow)
-                    console.log(`New row added with ${uniqueKey} ${newRow[uniqueKey]}.`)
+            // Keep the numeric sheet IDs, row and column level updates address tabs by ID
+            this.sheetIds = Object.fromEntries(
+                data.sheets.map((sheet) => [sheet.properties.title, sheet.properties.sheetId])
+            )
+
+            // Read back the schemas stored by database()
+            this.sheetSchemas = {}
+            data.sheets.forEach((sheet) => {
+                const metadata = (sheet.developerMetadata || []).find((m) => m.metadataKey === SCHEMA_METADATA_KEY)
+                if (metadata) {
+                    const title = sheet.properties.title
+                    this.sheetSchemas[title] = this._normalizeSchema(JSON.parse(metadata.metadataValue), title)
                 }
+            })
 
-                // Remove all existing rows except the header row in the spreadsheet
-                await this.client.spreadsheets.values.clear({
-                    spreadsheetId: this.id,
-                    range: `${this.selectedTable}!A2:Z`, // Clear all rows below the header (assumes header in row 1)
-                })
+            this.logger.debug("Sheet titles retrieved.", {
+                operation: "setTables",
+                spreadsheetId: this.id,
+                tables: this.tables.length,
+            })
 
-                // Convert all rows in `this.results` to arrays in header order
-                const allRowsArray = this.results.map((row) => this.header.map((col) => row[col] || ""))
+            return this // Return the current instance
+        } catch (error) {
+            this.logger.error("Failed to retrieve sheet titles.", {
+                operation: "setTables",
+                spreadsheetId: this.id,
+                error,
+            })
+            throw wrapError("Error fetching sheet titles from the spreadsheet", error)
+        }
+    }
 
-                // Append all rows in `this.results` to the spreadsheet
-                await this.client.spreadsheets.values.append({
-                    spreadsheetId: this.id,
-                    range: this.selectedTable,
-                    valueInputOption: "RAW",
-                    insertDataOption: "INSERT_ROWS",
-                    resource: {
-                        values: allRowsArray, // Insert the arrays representing all rows
-                    },
-                })
+    /**
+     * Loads a table (sheet) and returns a handle on it. Every call returns a new handle with its own header, rows
+     * and query, so several tables can be worked on at once over the same connection.
+     *
+     * @param {string} table - The name of the table (sheet) to load.
+     * @param {Object} [options] - The loading options.
+     * @param {Array<string>} [options.with] - Relationships to eager load, see Table.with().
+     * @param {boolean} [options.lazy=false] - Only read the header row, for tabs that are read with paginate(),
+     *     chunk() or cursor() instead of being loaded whole.
+     * @return {Promise<Table>} - A Promise that resolves to the table handle.
+     */
+    async table(table, { with: relations = [], lazy = false } = {}) {
+        try {
+            // Validate that a valid table name is provided
+            if (!table || typeof table !== "string") {
+                throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
+            }
 
-                console.log("All rows reinserted with updated data.")
-                return this // Return the current instance for chaining
-            } else {
-                // Non-upsert: Simply add a new row
-                const newRowArray = this.header.map((col) => newRow[col] || "")
+            if (!this.client || !this.id) {
+                throw new NoTableSelectedError("Initialize the client and set the mode before selecting a table.")
+            }
 
-                await this.client.spreadsheets.values.append({
-                    spreadsheetId: this.id,
-                    range: this.selectedTable,
-                    valueInputOption: "RAW",
-                    insertDataOption: "INSERT_ROWS",
-                    resource: {
-                        values: [newRowArray],
-                    },
-                })
+            // Check if the provided table exists in the list of available tables
+            if (!this.tables.includes(table)) {
+                throw new TableNotFoundError(
+                    `Table '${table}' not found in available tables. Please ensure it's a valid sheet name.`,
+                    { table }
+                )
+            }
 
-                const primary_key = this.results.length + 1
-                this.results.push({
-                    ...newRow,
-                    primary_key,
-                })
+            if (lazy && relations.length) {
+                throw new ValidationError("Relationships cannot be eager loaded on a lazy table handle.")
+            }
 
-                console.log(`New row inserted with primary_key ${primary_key}`)
-                return this
+            // Create a handle bound to the table and retrieve its values (or only its header)
+            const handle = new Table(this, table)
+            await (lazy ? handle.loadHeader() : handle.load())
+
+            if (relations.length) {
+                await handle.with(relations)
             }
+
+            return handle
         } catch (error) {
-            console.error("Error inserting/upserting row:", error)
-            throw new Error("Failed to insert/upsert row.")
+            this.logger.error("Failed to select table.", { operation: "table", table, spreadsheetId: this.id, error })
+            throw wrapError(`Error selecting table '${table}'`, error)
         }
     }
+
     /**
-     * Saves the `results` array to the spreadsheet by updating the values of the selected table.
+     * Maps the values of a tab to row objects: the header row is normalized into keys and the remaining rows become
+     * objects with those keys, cast to the schema types of the table if it has a schema.
      *
-     * This method iterates over the `results` array and updates the corresponding entries in the `values` array
-     * for the selected table based on the `primary_key`. It merges the updated fields from the `results` into
-     * the existing values and trims any excess fields to match the `header` length.
-     * Finally, it updates the spreadsheet by calling the `updateSheets` method.
+     * @param {string} table - The name of the table (sheet) the values were read from.
+     * @param {Array<Array<string>>} values - The values, including the header row.
+     * @param {Object} [options] - The parsing options.
+     * @param {number} [options.offset=0] - How many data rows precede the given ones in the tab, when the values
+     *     are a window of the tab.
+     * @return {{header: Array<string>, entries: Array<Object>}}
+     */
+    _parseValues(table, values, { offset = 0 } = {}) {
+        // Extract the header row and clean it up
+        const [headerRow = [], ...rows] = values
+        const header = headerRow.map((key) => this._columnKey(table, key))
+
+        // Map the remaining rows to objects with the header keys, cast to the schema types if there is one
+        const schema = this.getSchema(table) || {}
+        const entries = rows.map((row, index) => {
+            const entry = header.reduce((obj, key, i) => {
+                const value = row[i] ? row[i].trim() : "" // Assign values, default to empty string if undefined
+                const context = { table, column: key, row: offset + index + 2 }
+                obj[key] = schema[key] ? castValue(value, schema[key], context) : value
+                return obj
+            }, {})
+            return { ...entry, primary_key: offset + index + 1 } // Add primary_key field as the position in the tab
+        })
+
+        return { header, entries }
+    }
+
+    /**
+     * Defines a one-to-many relationship: each row of `table` has many rows in `related`, joined on
+     * `related.foreignKey = table.localKey`.
      *
-     * @return {Promise<void>} A promise that resolves when the save operation is complete.
+     * @param {string} table - The name of the parent table, e.g. "Customers".
+     * @param {string} related - The name of the related table, e.g. "Orders".
+     * @param {Object} [options] - The relationship options.
+     * @param {string} [options.as] - The name of the relationship, the normalized related table name by default ("orders").
+     * @param {string} [options.foreignKey] - The column of `related` pointing at `table`, "customer_id" by default.
+     * @param {string} [options.localKey] - The column of `table` it points at, the primary column by default.
+     * @return {this} The current instance for chaining.
      */
-    async save() {
-        try {
-            // Ensure there are results to save and a valid table is selected
-            if (!this.results.length) {
-                console.warn("No results to save.")
-                return
+    hasMany(table, related, { as, foreignKey, localKey } = {}) {
+        return this._relate(table, {
+            type: "hasMany",
+            as: as || this._normalizeHeader(related),
+            table: related,
+            foreignKey: foreignKey || `${this._singular(table)}_id`,
+            localKey: localKey || this.primaryColumn,
+        })
+    }
+
+    /**
+     * Defines a one-to-one relationship: each row of `table` has at most one row in `related`, joined on
+     * `related.foreignKey = table.localKey`.
+     *
+     * @param {string} table - The name of the parent table, e.g. "Customers".
+     * @param {string} related - The name of the related table, e.g. "Profiles".
+     * @param {Object} [options] - The relationship options, as for hasMany(). `as` defaults to the singular
+     *     normalized related table name ("profile").
+     * @return {this} The current instance for chaining.
+     */
+    hasOne(table, related, { as, foreignKey, localKey } = {}) {
+        return this._relate(table, {
+            type: "hasOne",
+            as: as || this._singular(related),
+            table: related,
+            foreignKey: foreignKey || `${this._singular(table)}_id`,
+            localKey: localKey || this.primaryColumn,
+        })
+    }
+
+    /**
+     * Defines the inverse of hasMany() or hasOne(): each row of `table` belongs to one row of `related`, joined on
+     * `table.foreignKey = related.ownerKey`.
+     *
+     * @param {string} table - The name of the child table, e.g. "Orders".
+     * @param {string} related - The name of the owning table, e.g. "Customers".
+     * @param {Object} [options] - The relationship options.
+     * @param {string} [options.as] - The name of the relationship, the singular normalized related table name by default ("customer").
+     * @param {string} [options.foreignKey] - The column of `table` pointing at `related`, "customer_id" by default.
+     * @param {string} [options.ownerKey] - The column of `related` it points at, the primary column by default.
+     * @return {this} The current instance for chaining.
+     */
+    belongsTo(table, related, { as, foreignKey, ownerKey } = {}) {
+        return this._relate(table, {
+            type: "belongsTo",
+            as: as || this._singular(related),
+            table: related,
+            foreignKey: foreignKey || `${this._singular(related)}_id`,
+            localKey: ownerKey || this.primaryColumn,
+        })
+    }
+
+    _relate(table, { type, as, table: related, foreignKey, localKey }) {
+        if (!table || typeof table !== "string" || !related || typeof related !== "string") {
+            throw new ValidationError("Invalid table name provided. It must be a non-empty string.")
+        }
+
+        this.relations[table] = {
+            ...this.relations[table],
+            [as]: {
+                type,
+                table: related,
+                foreignKey,
+                localKey,
+            },
+        }
+
+        this.logger.debug("Relationship defined.", { operation: type, table, relationship: as, related })
+        return this
+    }
+
+    // "Customers" => "customer"
+    _singular(table) {
+        return this._normalizeHeader(table).replace(/s$/, "")
+    }
+
+    /**
+     * Reads the rows of several tables, fetching the ones that are not cached with a single `values.batchGet`.
+     *
+     * @param {Array<string>} tables - The names of the tables.
+     * @param {Object} [options] - Where to read from, the spreadsheet of the current mode by default.
+     * @param {string} [options.spreadsheetId] - The ID of the spreadsheet.
+     * @param {string} [options.mode] - The mode the spreadsheet belongs to, part of the cache key.
+     * @return {Promise<Object>} The parsed rows keyed by table name.
+     */
+    async _loadTables(tables, { spreadsheetId = this.id, mode = this.mode } = {}) {
+        const values = {}
+        const missing = []
+
+        for (const table of tables) {
+            const cached = this.cache ? await this.cache.get(this._cacheKey(table, spreadsheetId, mode)) : undefined
+            if (cached !== undefined) {
+                values[table] = cached
+            } else {
+                missing.push(table)
             }
+        }
 
-            if (!this.selectedTable || !this.values[this.selectedTable]) {
-                throw new Error("Selected table is invalid or does not exist.")
+        if (missing.length) {
+            const { data } = await this.client.spreadsheets.values.batchGet({
+                spreadsheetId,
+                ranges: missing.map((table) => a1(table)),
+            })
+
+            for (const [i, table] of missing.entries()) {
+                values[table] = (data.valueRanges[i] && data.valueRanges[i].values) || []
+                if (this.cache) {
+                    await this.cache.put(this._cacheKey(table, spreadsheetId, mode), values[table])
+                }
             }
+        }
 
-            // Iterate over results and update the corresponding values in the selected table
-            this.results.forEach((result) => {
-                const index = this.values[this.selectedTable].findIndex(
-                    (value) => value.primary_key === result.primary_key
-                )
+        return Object.fromEntries(tables.map((table) => [table, this._parseValues(table, values[table]).entries]))
+    }
 
-                if (index !== -1) {
-                    // Exclude the primary_key from being updated
-                    const { primary_key, ...updatedResult } = result
+    /**
+     * Retrieves the titles of all sheets in the spreadsheet and returns them.
+     *
+     * @return {Array} An array of sheet titles.
+     */
+    getTables() {
+        return this.tables
+    }
+    /**
+     * Removes cached table values. Without a table every cached entry is removed, otherwise only the entry of that
+     * table for the current spreadsheet and mode.
+     *
+     * @param {string} [table] - The name of the table (sheet) to remove from the cache.
+     * @return {Promise<this>} The current instance for chaining.
+     */
+    async flushCache(table) {
+        if (!this.cache) {
+            return this
+        }
 
-                    // Merge the result into the existing value, ensuring no extra fields are added
-                    this.values[this.selectedTable][index] = {
-                        ...this.values[this.selectedTable][index],
-                        ...updatedResult,
-                    }
+        if (table) {
+            await this.cache.forget(this._cacheKey(table))
+        } else {
+            await this.cache.flush()
+        }
 
-                    // Trim the result to match the number of columns in the header
-                    this.values[this.selectedTable][index] = Object.fromEntries(
-                        Object.entries(this.values[this.selectedTable][index]).slice(0, this.header.length)
-                    )
-                }
-            })
+        this.logger.debug("Cache flushed.", { operation: "flushCache", table: table || null })
+        return this
+    }
 
-            // Update the spreadsheet with the modified values
-            await this.updateSheets()
-            console.log("Spreadsheet updated successfully.")
-        } catch (error) {
-            console.error("Error saving data to spreadsheet:", error)
-            throw new Error("Failed to save data.")
+    /**
+     * Logs the API calls the scheduler makes: retries and throttling as warnings, and in debug mode every request
+     * with its latency.
+     */
+    _logRequests() {
+        if (!this.logger.logger) {
+            return
         }
+
+        const scheduler = this.scheduler
+        scheduler.on("request", ({ operation, attempt }) => {
+            this.logger.debug("Sheets API request.", { operation, attempt })
+        })
+        scheduler.on("response", ({ operation, attempt, duration }) => {
+            this.logger.debug("Sheets API response.", { operation, attempt, duration })
+        })
+        scheduler.on("retry", ({ operation, attempt, delay, status, error }) => {
+            this.logger.warn("Retrying Sheets API request.", { operation, attempt, delay, status, error })
+        })
+        scheduler.on("throttle", ({ operation, wait }) => {
+            this.logger.warn("Waiting for the requests-per-minute limit.", { operation, duration: wait })
+        })
+        scheduler.on("failed", ({ operation, attempt, duration, status, error }) => {
+            this.logger.debug("Sheets API request failed.", { operation, attempt, duration, status, error })
+        })
     }
 
     /**
-     * Updates the selected table in the spreadsheet with the latest values.
+     * Returns the cache key of a table, for the current spreadsheet and mode unless others are given.
      *
-     * This method first removes the `primary_key` from each row in the `values` array, prepares the data for update,
-     * and clears the existing values of the selected table in the spreadsheet. Then, it updates the sheet with the
-     * newly prepared values, including the header row at the top.
+     * @param {string} table - The name of the table.
+     * @param {string} [spreadsheetId] - The ID of the spreadsheet.
+     * @param {string} [mode] - The mode (Development or Production).
+     * @return {string}
+     */
+    _cacheKey(table, spreadsheetId = this.id, mode = this.mode) {
+        return this.cache.key(spreadsheetId, mode, table)
+    }
+
+    /**
+     * Normalizes a header cell into the key used on row objects with the naming strategy. With the default "snake"
+     * strategy keys are lowercase with underscores ("Primary Address" becomes "primary_address").
      *
-     * @return {Promise<void>} A promise that resolves when the sheet has been updated.
+     * @param {string} key - The header cell.
+     * @return {string}
      */
-    async updateSheets() {
-        try {
-            // Ensure there are values to update and a valid table is selected
-            if (!this.selectedTable || !this.values[this.selectedTable]) {
-                throw new Error("No valid table selected or values are missing.")
-            }
+    _normalizeHeader(key) {
+        const strategy = typeof this.naming === "function" ? this.naming : NAMING_STRATEGIES[this.naming]
+        return strategy(String(key))
+    }
 
-            // Prepare the values for updating by removing the `primary_key` and extracting values
-            const updatedValues = this.values[this.selectedTable].map((value) => {
-                const { primary_key, ...rest } = value // Remove primary_key from each row
-                return Object.values(rest) // Convert the row to an array of values
-            })
+    /**
+     * Returns the row key of a column of a table: its alias, or the header normalized with the naming strategy.
+     * Row keys are returned as they are, so columns can be referred to by header or by key.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @param {string} column - The header (or row key) of the column.
+     * @return {string}
+     */
+    _columnKey(table, column) {
+        const aliases = this.aliases[table] || {}
 
-            // Add the header to the beginning of the values array
-            updatedValues.unshift(this.header)
+        if (Object.prototype.hasOwnProperty.call(aliases, column)) {
+            return aliases[column]
+        }
+        if (Object.values(aliases).includes(column)) {
+            return column
+        }
+        return this._normalizeHeader(column)
+    }
 
-            // Clear the current values in the selected table on the spreadsheet
-            await this.client.spreadsheets.values.clear({
-                spreadsheetId: this.id,
-                range: this.selectedTable,
-            })
+    /**
+     * Normalizes a schema into `{ [row key]: { type, nullable } }`.
+     *
+     * @param {Object} schema - The schema object.
+     * @param {string} [table] - The name of the table, to apply its aliases.
+     * @return {Object}
+     */
+    _normalizeSchema(schema, table) {
+        return Object.fromEntries(
+            Object.entries(schema).map(([column, type]) => [this._columnKey(table, column), normalizeType(type)])
+        )
+    }
 
-            // Update the sheet with the new values
-            await this.client.spreadsheets.values.batchUpdate({
-                spreadsheetId: this.id,
-                requestBody: {
-                    data: [
-                        {
-                            range: this.selectedTable,
-                            values: updatedValues,
-                        },
-                    ],
-                    valueInputOption: "RAW", // Values are input as raw data, no formatting applied
-                },
-            })
+    /**
+     * Returns the numeric sheet ID of a table, fetching the sheet properties if they are not known yet.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @return {Promise<number>}
+     */
+    async _sheetId(table) {
+        if (this.sheetIds[table] === undefined) {
+            await this.setTables()
+        }
 
-            console.log(`Sheet '${this.selectedTable}' updated successfully.`)
-        } catch (error) {
-            console.error("Error updating sheets:", error)
-            throw new Error("Failed to update the sheet.")
+        if (this.sheetIds[table] === undefined) {
+            throw new TableNotFoundError(`Table '${table}' not found in the spreadsheet.`, { table })
         }
+
+        return this.sheetIds[table]
     }
 }
 
@@ -0,0 +1,1985 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const { once } = require("events")
+const { columnLetter, parseRange, toCellData, a1 } = require("./functions")
+const QueryBuilder = require("./QueryBuilder")
+const aggregates = require("./aggregates")
+const { castValue, serializeValue } = require("./casts")
+const { resolveFormat, csvLine, parseRecords } = require("./formats")
+const Watcher = require("./Watcher")
+const { ConflictError, DuplicateKeyError, RowNotFoundError, ValidationError, wrapError } = require("./errors")
+
+// What save() does with rows that were changed both in the handle and in the sheet, see Table.save()
+const CONFLICT_STRATEGIES = ["fail", "ours", "theirs", "merge"]
+
+/**
+ * A handle on a single table (tab), returned by `Sheets.table()`.
+ *
+ * Each handle keeps its own header, rows, query and results, and is bound to the spreadsheet and mode that were
+ * selected when it was created. The Sheets instance only acts as the connection, so any number of handles can be
+ * used side by side, also from concurrent requests.
+ */
+class Table {
+    /**
+     * @param {Sheets} sheets - The initialized Sheets instance the handle reads and writes through.
+     * @param {string} name - The name of the table (sheet).
+     */
+    constructor(sheets, name) {
+        this.sheets = sheets
+        this.name = name
+
+        // Bind the handle to the spreadsheet of the current mode, a later setMode() does not move it
+        this.spreadsheetId = sheets.id
+        this.mode = sheets.mode
+        this.sheetId = null
+
+        this.header = []
+        this.headerRow = []
+        this.rows = []
+        this.loaded = false
+        this.results = []
+        this.query = new QueryBuilder()
+        this._stale = false
+
+        // The columns get() and first() return, see select()
+        this.columns = null
+
+        // The row key holding the identity of a row: the primary column when the table has it, see load()
+        this.key = null
+
+        // The soft delete column, if the table uses soft deletes, and which rows queries see: "default" (rows
+        // that are not deleted), "with" (all rows) or "only" (deleted rows)
+        const softDelete = sheets.softDeleteColumns[name]
+        this.softDelete = softDelete ? sheets._columnKey(name, softDelete) : null
+        this._trashed = "default"
+
+        // The columns stamped with the creation and update time, if the table uses timestamps
+        const { createdAt, updatedAt } = sheets.timestampColumns[name] || {}
+        this.createdAt = createdAt ? sheets._columnKey(name, createdAt) : null
+        this.updatedAt = updatedAt ? sheets._columnKey(name, updatedAt) : null
+
+        // Rows as they were loaded by load() (keyed by row object), used to work out what save() has to write
+        this.original = new Map()
+    }
+
+    /**
+     * Fetches the values of the table. Maps the header row as keys and the subsequent rows as values.
+     *
+     * @return {Promise<this>} The handle with updated values.
+     */
+    async load() {
+        const started = Date.now()
+        try {
+            this.sheetId = await this.sheets._sheetId(this.name)
+
+            // Fetch the data from the table, or reuse the cached values
+            const fetchValues = async () => {
+                const { data } = await this._client().values.get({
+                    spreadsheetId: this.spreadsheetId,
+                    range: a1(this.name),
+                })
+                return (data && data.values) || []
+            }
+            const cache = this.sheets.cache
+            const values = cache ? await cache.remember(this._cacheKey(), fetchValues) : await fetchValues()
+
+            // Ensure data exists
+            if (values.length === 0) {
+                throw new ValidationError(`No data found in the table: '${this.name}'.`, {
+                    code: "EMPTY_TABLE",
+                    table: this.name,
+                })
+            }
+
+            // Extract the header row and map the remaining rows to objects
+            const { entries } = this.sheets._parseValues(this.name, values)
+            this._setHeader(values[0])
+            this.rows = entries
+            this.loaded = true
+
+            const duplicates = this._duplicates(entries)
+            if (duplicates.length) {
+                this._log("warn", "Duplicate primary keys found.", { operation: "load", keys: duplicates })
+            }
+
+            // Start a fresh query for the loaded rows
+            this.query = new QueryBuilder()
+            this.columns = null
+            this._trashed = "default"
+            this._stale = false
+            this.results = this._scoped()
+
+            // Remember the loaded cells and their sheet row (the header is row 1) to diff against on save
+            this._snapshot(entries.map((entry, index) => ({ entry, row: index + 2 })))
+            await this._retrieved(entries)
+
+            this._log("info", "Table loaded.", {
+                operation: "load",
+                rows: entries.length,
+                duration: Date.now() - started,
+            })
+            return this
+        } catch (error) {
+            this._log("error", "Failed to load table.", { operation: "load", error })
+            throw wrapError(`Failed to set values for table '${this.name}'`, error)
+        }
+    }
+
+    /**
+     * Only fetches the header row of the table, for handles that read their rows with paginate(), chunk() or
+     * cursor(). The header is read as a whole row, so it can have any number of columns.
+     *
+     * @return {Promise<this>} The handle for chaining.
+     */
+    async loadHeader() {
+        try {
+            this.sheetId = await this.sheets._sheetId(this.name)
+
+            const { data } = await this._client().values.get({
+                spreadsheetId: this.spreadsheetId,
+                range: a1(this.name, "1:1"),
+            })
+            const [headerRow = []] = (data && data.values) || []
+
+            if (headerRow.length === 0) {
+                throw new ValidationError(`No header found in the table: '${this.name}'.`, {
+                    code: "EMPTY_TABLE",
+                    table: this.name,
+                })
+            }
+
+            this._setHeader(headerRow)
+            this._log("debug", "Header loaded.", { operation: "loadHeader", columns: headerRow.length })
+            return this
+        } catch (error) {
+            this._log("error", "Failed to read the header.", { operation: "loadHeader", error })
+            throw wrapError(`Failed to read the header of table '${this.name}'`, error)
+        }
+    }
+
+    /**
+     * Returns one page of rows matching the current query, read from the tab in a window of rows. Without where
+     * clauses only the rows of the page are fetched, otherwise the tab is read window by window until the page is
+     * filled. Sorting only applies within the page.
+     *
+     * @param {number} perPage - The number of rows per page.
+     * @param {number} [page=1] - The page to return, starting at 1.
+     * @return {Promise<{data: Array<Object>, page: number, perPage: number, hasMore: boolean}>}
+     */
+    async paginate(perPage, page = 1) {
+        if (!Number.isInteger(perPage) || perPage < 1 || !Number.isInteger(page) || page < 1) {
+            throw new ValidationError("Invalid page provided. perPage and page must be positive integers.")
+        }
+
+        await this._ensureHeader()
+        const skip = (page - 1) * perPage
+
+        let data
+        if (!this.query.wheres.length && !this._scopesTrash()) {
+            // One extra row tells whether there is a next page
+            data = await this._readWindow(skip + 2, perPage + 1)
+        } else {
+            data = []
+            for await (const row of this.cursor({ size: Math.max(perPage, 500) })) {
+                data.push(row)
+                if (data.length > skip + perPage) {
+                    break
+                }
+            }
+            data = data.slice(skip)
+        }
+
+        // The rows already match, applying the query again sorts the page
+        return { data: this.query.apply(data.slice(0, perPage)), page, perPage, hasMore: data.length > perPage }
+    }
+
+    /**
+     * Reads the tab in windows of `size` rows and calls the callback with the rows of each window that match the
+     * current query. Returning `false` from the callback stops reading.
+     *
+     * @param {number} size - The number of rows read per window.
+     * @param {Function} callback - Called with the matching rows and the window number (starting at 1), can be async.
+     * @return {Promise<void>}
+     */
+    async chunk(size, callback) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new ValidationError("Invalid chunk size provided. It must be a positive integer.")
+        }
+
+        await this._ensureHeader()
+
+        for (let start = 2, number = 1; ; start += size, number++) {
+            const rows = await this._readWindow(start, size)
+            const matches = this.query.apply(this._scoped(rows))
+
+            if (matches.length && (await callback(matches, number)) === false) {
+                return
+            }
+            if (rows.length < size) {
+                return
+            }
+        }
+    }
+
+    /**
+     * Iterates over the rows matching the current query, reading the tab in windows of rows:
+     * `for await (const row of table.cursor()) { ... }`.
+     *
+     * @param {Object} [options] - The cursor options.
+     * @param {number} [options.size=500] - The number of rows read per window.
+     * @return {AsyncGenerator<Object>}
+     */
+    async *cursor({ size = 500 } = {}) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new ValidationError("Invalid cursor size provided. It must be a positive integer.")
+        }
+
+        await this._ensureHeader()
+
+        for (let start = 2; ; start += size) {
+            const rows = await this._readWindow(start, size)
+            yield* this.query.apply(this._scoped(rows))
+
+            if (rows.length < size) {
+                return
+            }
+        }
+    }
+
+    /**
+     * Eager loads relationships of the table. The related tabs are fetched with a single `values.batchGet` and
+     * each row gets the related rows under the relationship name: an array for hasMany(), an object (or null) for
+     * hasOne() and belongsTo().
+     *
+     * @param {...string} names - The names of the relationships to load.
+     * @return {Promise<this>} The handle for chaining.
+     */
+    async with(...names) {
+        const started = Date.now()
+        try {
+            names = names.flat()
+            const relations = this.sheets.relations[this.name] || {}
+            names.forEach((name) => {
+                if (!relations[name]) {
+                    throw new ValidationError(`Relationship '${name}' is not defined on table '${this.name}'.`)
+                }
+                if (this.header.includes(name)) {
+                    throw new ValidationError(`Relationship '${name}' has the same name as a column of '${this.name}'.`)
+                }
+            })
+
+            const loaded = await this.sheets._loadTables([...new Set(names.map((name) => relations[name].table))], {
+                spreadsheetId: this.spreadsheetId,
+                mode: this.mode,
+            })
+
+            names.forEach((name) => {
+                const relation = relations[name]
+                const related = loaded[relation.table]
+
+                // Rows are matched on the string form of their keys, so 1 matches "1"
+                const [ownColumn, otherColumn] =
+                    relation.type === "belongsTo"
+                        ? [relation.foreignKey, relation.localKey]
+                        : [relation.localKey, relation.foreignKey]
+                const ownKey = this.sheets._columnKey(this.name, ownColumn)
+                const otherKey = this.sheets._columnKey(relation.table, otherColumn)
+
+                const index = new Map()
+                related.forEach((row) => {
+                    const key = row[otherKey]
+                    if (key === null || key === undefined || key === "") {
+                        return
+                    }
+                    index.set(String(key), [...(index.get(String(key)) || []), row])
+                })
+
+                this.rows.forEach((entry) => {
+                    const matches = index.get(String(entry[ownKey])) || []
+                    entry[name] = relation.type === "hasMany" ? matches : matches[0] || null
+                })
+            })
+
+            this._log("info", "Relationships loaded.", {
+                operation: "with",
+                relationships: names,
+                rows: this.rows.length,
+                duration: Date.now() - started,
+            })
+            return this
+        } catch (error) {
+            this._log("error", "Failed to load relationships.", { operation: "with", error })
+            throw wrapError("Failed to load relationships", error)
+        }
+    }
+
+    /**
+     * Adds a where clause to the query, joined to the previous clauses with AND.
+     * The query is evaluated lazily, when get() or first() is called.
+     *
+     * Accepts `where({ column, operator, value })`, `where(column, operator, value)`, `where(column, value)`
+     * or `where(callback)`, where the callback receives a nested query builder to group conditions.
+     *
+     * Supported operators are '=', '!=', '<>', '>', '<', '>=', '<=', 'like', 'not like', 'regexp' and 'not regexp'.
+     * `like` is case-insensitive, `%` matches any number of characters and `_` a single character.
+     *
+     * @return {this} The handle for chaining.
+     */
+    where(...args) {
+        this.query.where(...args)
+        this._stale = true
+
+        return this
+    }
+
+    /**
+     * Adds a where clause to the query, joined to the previous clauses with OR.
+     * Accepts the same arguments as where().
+     *
+     * @return {this} The handle for chaining.
+     */
+    orWhere(...args) {
+        this.query.orWhere(...args)
+        this._stale = true
+
+        return this
+    }
+
+    /**
+     * Includes soft-deleted rows in the results.
+     *
+     * @return {this} The handle for chaining.
+     */
+    withTrashed() {
+        this._trashed = "with"
+        this._stale = true
+
+        return this
+    }
+
+    /**
+     * Only returns soft-deleted rows.
+     *
+     * @return {this} The handle for chaining.
+     */
+    onlyTrashed() {
+        this._trashed = "only"
+        this._stale = true
+
+        return this
+    }
+
+    /**
+     * Filters the results based on the current query.
+     */
+    filterResults() {
+        this.results = this.query.apply(this._scoped())
+        this._stale = false
+
+        this._log("debug", "Results filtered.", { operation: "filterResults", rows: this.results.length })
+    }
+
+    /**
+     * Returns each row in the `results` array with attached `update`, `delete`, `restore` and `forceDelete`
+     * methods. The `update` method allows updating fields of the row, and the `delete` method removes the row
+     * from the table (or soft deletes it). The changes are written by save().
+     *
+     * @return {Array<any>} An array of each row of the `results` array with update and delete methods.
+     */
+    get() {
+        if (this._stale) {
+            this.filterResults()
+        }
+
+        return this.results.map((row) => ({
+            ...this._project(row),
+
+            // Method to delete the current row from results
+            delete: () => this._deleteRow(row),
+
+            // Method to update fields of the current row
+            update: (updatedFields) => this._updateRow(row, updatedFields),
+
+            // Methods to undo a soft delete, or to remove the row even when the table uses soft deletes
+            restore: () => this._restoreRow(row),
+            forceDelete: () => this._deleteRow(row, { force: true }),
+        }))
+    }
+
+    /**
+     * Deletes a row from the `results` array and the table, so save() removes it from the tab. When the table
+     * uses soft deletes the row is stamped as deleted instead, unless `force` is set.
+     *
+     * @param {Object} row - The row to delete.
+     * @param {Object} [options] - The delete options.
+     * @param {boolean} [options.force=false] - Whether to remove the row even when the table uses soft deletes.
+     */
+    _deleteRow(row, { force = false } = {}) {
+        const index = this._indexOf(this.results, row)
+        if (index === -1) {
+            this._log("warn", "Row not found for deletion.", { operation: "delete", key: this._keyOf(row) })
+            return
+        }
+
+        const target = this.results[index]
+
+        if (this.softDelete && !force) {
+            target[this.softDelete] = this._deletedAt()
+            if (this._trashed === "default") {
+                this.results.splice(index, 1)
+            }
+            this._log("debug", "Row soft deleted.", { operation: "delete", key: this._keyOf(row) })
+            return
+        }
+
+        this.results.splice(index, 1)
+        if (this.results !== this.rows) {
+            const rowIndex = this._indexOf(this.rows, target)
+            if (rowIndex !== -1) {
+                this.rows.splice(rowIndex, 1)
+            }
+        }
+        this._log("debug", "Row deleted.", { operation: "delete", key: this._keyOf(row) })
+    }
+
+    /**
+     * Clears the soft delete timestamp of a row.
+     *
+     * @param {Object} row - The row to restore.
+     */
+    _restoreRow(row) {
+        if (!this.softDelete) {
+            throw new ValidationError(`Table '${this.name}' does not use soft deletes.`)
+        }
+
+        const index = this._indexOf(this.results, row)
+        if (index === -1) {
+            this._log("warn", "Row not found for restoring.", { operation: "restore", key: this._keyOf(row) })
+            return
+        }
+
+        this.results[index][this.softDelete] = null
+        if (this._trashed === "only") {
+            this.results.splice(index, 1)
+        }
+        this._log("debug", "Row restored.", { operation: "restore", key: this._keyOf(row) })
+    }
+
+    /**
+     * Updates a row in the `results` array with the given fields.
+     *
+     * @param {Object} row - The row to update.
+     * @param {Object} updatedFields - An object containing the fields to update.
+     */
+    _updateRow(row, updatedFields) {
+        const index = this._indexOf(this.results, row)
+        if (index !== -1) {
+            // Merge the updated fields in place, the row is shared with the table rows
+            Object.assign(this.results[index], this._mapKeys(updatedFields))
+            this._log("debug", "Row updated.", { operation: "update", key: this._keyOf(row) })
+        } else {
+            this._log("warn", "Row not found for update.", { operation: "update", key: this._keyOf(row) })
+        }
+    }
+
+    /**
+     * Returns the first element from the 'results' array without modifying the array.
+     *
+     * @return {Any} The first element from the 'results' array, or undefined if the array is empty.
+     */
+    first() {
+        if (this._stale) {
+            this.filterResults()
+        }
+
+        if (this.results.length === 0) {
+            return undefined
+        }
+
+        return this.columns ? this._project(this.results[0]) : this.results[0]
+    }
+
+    /**
+     * Limits the columns of the rows returned by get() and first(). The other columns are kept on the rows of the
+     * table, so they are still written by save().
+     *
+     * @param {...string|Array<string>} columns - The columns to return, or none to return every column again.
+     * @return {this} The handle for chaining.
+     */
+    select(...columns) {
+        columns = columns.flat()
+        this.columns = columns.length ? columns : null
+
+        return this
+    }
+
+    /**
+     * Returns the number of rows matching the query.
+     *
+     * @return {number}
+     */
+    count() {
+        return aggregates.count(this._matching())
+    }
+
+    /**
+     * Returns the sum of a column over the rows matching the query. Empty and non-numeric cells are ignored.
+     *
+     * @param {string} column - The column.
+     * @return {number}
+     */
+    sum(column) {
+        return aggregates.sum(this._matching(), column)
+    }
+
+    /**
+     * Returns the average of a column over the rows matching the query, or null when no cell is numeric.
+     *
+     * @param {string} column - The column.
+     * @return {number|null}
+     */
+    avg(column) {
+        return aggregates.avg(this._matching(), column)
+    }
+
+    /**
+     * Returns the smallest value of a column over the rows matching the query, or null when every cell is empty.
+     *
+     * @param {string} column - The column.
+     * @return {any}
+     */
+    min(column) {
+        return aggregates.min(this._matching(), column)
+    }
+
+    /**
+     * Returns the largest value of a column over the rows matching the query, or null when every cell is empty.
+     *
+     * @param {string} column - The column.
+     * @return {any}
+     */
+    max(column) {
+        return aggregates.max(this._matching(), column)
+    }
+
+    /**
+     * Returns the values of a column for the rows matching the query.
+     *
+     * @param {string} column - The column.
+     * @return {Array<any>}
+     */
+    pluck(column) {
+        return aggregates.pluck(this._matching(), column)
+    }
+
+    /**
+     * Returns the distinct values of a column for the rows matching the query.
+     *
+     * @param {string} column - The column.
+     * @return {Array<any>}
+     */
+    distinct(column) {
+        return aggregates.distinct(this._matching(), column)
+    }
+
+    /**
+     * Returns whether any row matches the query.
+     *
+     * @return {boolean}
+     */
+    exists() {
+        return this._matching().length > 0
+    }
+
+    /**
+     * Groups the rows matching the query by the value of a column. Each group has the `key`, its `rows` and
+     * count(), sum(col), avg(col), min(col), max(col), pluck(col) and distinct(col) over its rows:
+     * `orders.groupBy("customer_id").map((group) => ({ customer: group.key, total: group.sum("total") }))`.
+     *
+     * @param {string} column - The column to group by.
+     * @return {Array<Object>} The groups, in the order they first appear.
+     */
+    groupBy(column) {
+        return aggregates.groupBy(this._matching(), column)
+    }
+
+    /**
+     * Returns the row with the given primary key, ignoring the where clauses (soft-deleted rows are left out unless
+     * withTrashed() was called). Keys are compared as strings, so `find(1)` finds the row with ID "1".
+     *
+     * @param {any} id - The value of the primary column (or the `primary_key` when the table does not have it).
+     * @return {Object|undefined} The row, or undefined when no row has the key.
+     */
+    find(id) {
+        if (this._isEmptyKey(id)) {
+            return undefined
+        }
+
+        return this._scoped().find((row) => String(this._keyOf(row)) === String(id))
+    }
+
+    /**
+     * Returns the row with the given primary key, like find(), but throws when no row has the key.
+     *
+     * @param {any} id - The value of the primary column (or the `primary_key` when the table does not have it).
+     * @return {Object} The row.
+     */
+    findOrFail(id) {
+        const row = this.find(id)
+        if (!row) {
+            throw new RowNotFoundError(
+                `Row with ${this.key || "primary_key"} '${id}' not found in table '${this.name}'.`,
+                { table: this.name, key: id }
+            )
+        }
+        return row
+    }
+
+    /**
+     * Sorts the `results` based on the given `column` and `direction`. Calling it again adds a sort that breaks
+     * ties of the previous ones. The sort is applied lazily together with the where clauses.
+     *
+     * @param {Object} options - An object containing the `column` and `direction` to sort by.
+     * @param {string} options.column - The column to sort by.
+     * @param {string} [options.direction="asc"] - The direction of the sort. Can be either "asc" or "desc" (default is "asc").
+     * @return {this} - The handle for chaining.
+     */
+    orderBy({ column, direction = "asc" }) {
+        this.query.orderBy({ column, direction })
+        this._stale = true
+
+        return this
+    }
+
+    /**
+     * Registers a callback that receives the filtered `results` array when the query is evaluated.
+     * The callback can sort the array in place or return a new array, allowing for custom sorting or transformations.
+     *
+     * @param {Function} callback - The function to be executed with the `results` array as the argument.
+     * @return {this} The handle for chaining.
+     */
+    orderByRaw(callback) {
+        this.query.orderByRaw(callback)
+        this._stale = true
+
+        return this
+    }
+
+    /**
+     * Restores the soft-deleted rows matching the current query and saves the table.
+     *
+     * @return {Promise<number>} The number of rows restored.
+     */
+    async restore() {
+        if (!this.softDelete) {
+            throw new ValidationError(`Table '${this.name}' does not use soft deletes.`)
+        }
+
+        const rows = this.get().filter((row) => this._isTrashed(row))
+        rows.forEach((row) => row.restore())
+        await this.save()
+
+        return rows.length
+    }
+
+    /**
+     * Removes the rows matching the current query from the tab, even when the table uses soft deletes, and saves
+     * the table.
+     *
+     * @return {Promise<number>} The number of rows removed.
+     */
+    async forceDelete() {
+        const rows = this.get()
+        rows.forEach((row) => row.forceDelete())
+        await this.save()
+
+        return rows.length
+    }
+
+    /**
+     * Inserts or upserts a row into the table.
+     * If upsert: true is passed, it will check for an existing row based on the unique key
+     * and update it if found, otherwise insert a new row.
+     *
+     * When the row has no primary key and a key generator is set (see `Sheets.setPrimaryColumn()`), a key is
+     * generated for it. Inserting a key that is already taken throws.
+     *
+     * @param {Object} newRow - An object representing the new row or updated data.
+     * @param {Object} options - An object containing the upsert option and unique key.
+     * @param {Boolean} options.upsert - Whether to upsert (update if exists, insert if not). Default is false.
+     * @param {String} [options.uniqueKey] - The column to check for an existing row. Defaults to the primary column.
+     * @return {Promise<this>} - The handle with the updated or inserted row.
+     */
+    async insert(newRow, { upsert = false, uniqueKey } = {}) {
+        if (!upsert) {
+            await this._insert(newRow)
+            return this
+        }
+
+        try {
+            this._requireHeader()
+
+            const rows = this.rows
+            newRow = this._withKey(this._mapKeys(newRow))
+
+            uniqueKey = uniqueKey ? this.sheets._columnKey(this.name, uniqueKey) : this.key
+            if (!uniqueKey) {
+                throw new ValidationError(`Table '${this.name}' has no primary column to upsert on, pass a uniqueKey.`)
+            }
+
+            // Find the existing row by the unique key
+            const existing = this._isEmptyKey(newRow[uniqueKey])
+                ? undefined
+                : rows.find((row) => String(row[uniqueKey]) === String(newRow[uniqueKey]))
+
+            if (existing) {
+                // Update the existing row, keeping its primary_key
+                Object.assign(existing, newRow, { primary_key: existing.primary_key })
+                this._log("debug", "Existing row upserted.", { operation: "upsert", key: newRow[uniqueKey] })
+            } else {
+                // Add new row if it doesn't exist, save() assigns its primary_key once it is written
+                rows.push({ ...newRow })
+                if (this.results !== rows) {
+                    this.results.push(rows[rows.length - 1])
+                }
+                this._log("debug", "New row upserted.", { operation: "upsert", key: newRow[uniqueKey] })
+            }
+
+            // Only write the row that changed or was added
+            await this.updateSheets()
+            return this
+        } catch (error) {
+            this._log("error", "Failed to insert row.", { operation: "upsert", error })
+            throw wrapError("Failed to insert/upsert row", error)
+        }
+    }
+
+    /**
+     * Appends a new row, as insert() does without upsert.
+     *
+     * @param {Object} newRow - The new row.
+     * @return {Promise<Object|null>} The inserted row as loaded in `rows`, or null when a hook cancelled the insert.
+     */
+    async _insert(newRow) {
+        const started = Date.now()
+        try {
+            this._requireHeader()
+
+            const rows = this.rows
+            newRow = this._withKey(this._mapKeys(newRow))
+
+            if (!(await this._beforeCreate(newRow))) {
+                this._log("info", "Insert cancelled by a hook.", { operation: "insert" })
+                return null
+            }
+
+            const key = this.key ? newRow[this.key] : undefined
+            if (!this._isEmptyKey(key) && this.rows.some((row) => String(row[this.key]) === String(key))) {
+                throw new DuplicateKeyError(`Duplicate primary key '${key}' in table '${this.name}'.`, {
+                    table: this.name,
+                    keys: [key],
+                })
+            }
+
+            const newRowArray = this._serializeRow(newRow)
+
+            const { data } = await this._client().values.append({
+                spreadsheetId: this.spreadsheetId,
+                range: a1(this.name),
+                valueInputOption: "RAW",
+                insertDataOption: "INSERT_ROWS",
+                resource: {
+                    values: [newRowArray],
+                },
+            })
+
+            const primary_key = rows.reduce((max, row) => Math.max(max, row.primary_key || 0), 0) + 1
+            const entry = { ...this._castRow(newRow), primary_key }
+            rows.push(entry)
+            if (this.results !== rows) {
+                this.results.push(entry)
+            }
+
+            // Track the appended row as loaded, so the next save() does not write it again
+            const updatedRange = data && data.updates && data.updates.updatedRange
+            const row = updatedRange ? parseRange(updatedRange).startRow + 1 : rows.length + 1
+            this.original.set(entry, { row, cells: newRowArray.map(String) })
+
+            await this._invalidateCache()
+            await this._fire("created", entry)
+            await this._fire("saved", entry)
+
+            this._log("info", "Row inserted.", {
+                operation: "insert",
+                key: this._keyOf(entry),
+                rows: 1,
+                duration: Date.now() - started,
+            })
+            return entry
+        } catch (error) {
+            this._log("error", "Failed to insert row.", { operation: "insert", error })
+            throw wrapError("Failed to insert/upsert row", error)
+        }
+    }
+
+    // Ensures the headers are available to map the object keys to the spreadsheet columns
+    _requireHeader() {
+        if (!this.header || this.header.length === 0) {
+            throw new ValidationError("Header is missing or empty.", { code: "EMPTY_TABLE", table: this.name })
+        }
+    }
+
+    /**
+     * Saves the `results` array to the spreadsheet.
+     *
+     * This method iterates over the `results` array and merges the updated fields into the corresponding rows of
+     * the table based on the primary key. Rows whose key is not in the table are added as new rows. Finally, it
+     * writes the changes to the spreadsheet by calling the `updateSheets` method.
+     *
+     * The tab is read again before writing, to catch rows that were changed in the sheet since they were loaded.
+     * Rows only changed in the sheet take the values of the sheet. Rows changed on both sides are conflicts, handled
+     * with the `conflicts` strategy (the `conflicts` option of the Sheets constructor by default):
+     *
+     * - "fail": throw a ConflictError listing the conflicting rows, nothing is written.
+     * - "ours": write the rows of the handle over the changes made in the sheet.
+     * - "theirs": keep the rows of the sheet, the changes made in the handle are dropped.
+     * - "merge": merge the rows column by column, and throw a ConflictError when both sides changed the same
+     *   column to different values, or one side deleted a row the other changed.
+     *
+     * @param {Object} [options] - The save options.
+     * @param {string} [options.conflicts] - The conflict strategy: "fail", "ours", "theirs" or "merge".
+     * @return {Promise<void>} A promise that resolves when the save operation is complete.
+     */
+    async save({ conflicts } = {}) {
+        try {
+            const rows = this.rows
+
+            // Iterate over results and update the corresponding rows of the table
+            this.results.forEach((result, i) => {
+                if (rows.includes(result)) {
+                    return
+                }
+
+                const index = this._indexOf(rows, result)
+
+                if (index === -1) {
+                    // Rows that are not in the table have not been written yet
+                    rows.push(result)
+                    return
+                }
+
+                // Exclude the primary_key from being updated
+                const { primary_key, ...updatedResult } = result
+
+                // Merge the result into the existing row and point the result at it
+                Object.assign(rows[index], updatedResult)
+                this.results[i] = rows[index]
+            })
+
+            await this.updateSheets({ conflicts })
+        } catch (error) {
+            this._log("error", "Failed to save table.", { operation: "save", error })
+            throw wrapError("Failed to save data", error)
+        }
+    }
+
+    /**
+     * Writes the changes made to the table since its values were loaded.
+     *
+     * The rows of the table are compared with the rows loaded by `load()`: changed cells are written with targeted
+     * `updateCells` requests, removed rows are deleted with `deleteDimension` requests and new rows are added with
+     * an `appendCells` request. All of them are sent in a single (atomic) `batchUpdate`, the tab is never cleared
+     * and the header row is left untouched. Changes made in the sheet since the rows were loaded are reconciled
+     * first, see save().
+     *
+     * @param {Object} [options] - The update options.
+     * @param {string} [options.conflicts] - The conflict strategy, see save().
+     * @param {boolean} [options.backup=true] - Back up the tab before changing or deleting rows, when automatic
+     *     backups are on (see the `backups` option of Sheets).
+     * @param {boolean} [options.reconcile=true] - Read the tab again to reconcile the changes made in the sheet, off
+     *     for writes that follow another one of the same handle (the batches of an import).
+     * @return {Promise<void>} A promise that resolves when the sheet has been updated.
+     */
+    async updateSheets({ conflicts = this.sheets.conflicts, backup = true, reconcile = true } = {}) {
+        const started = Date.now()
+        try {
+            if (!CONFLICT_STRATEGIES.includes(conflicts)) {
+                throw new ValidationError(
+                    `Invalid conflict strategy '${conflicts}'. Use ${CONFLICT_STRATEGIES.join(", ")}.`
+                )
+            }
+
+            const sheetId = this.sheetId
+            const rows = this.rows
+
+            // New rows get a generated key (if a generator is set) and no two rows may share a key
+            rows.forEach((row) => {
+                if (!this.original.has(row)) {
+                    Object.assign(row, this._withKey(row))
+                }
+            })
+
+            // Lifecycle hooks can change, drop or keep rows, so they run before the changes are worked out
+            const events = await this._beforeWrite()
+
+            const duplicates = this._duplicates(rows)
+            if (duplicates.length) {
+                throw new DuplicateKeyError(
+                    `Duplicate primary keys in table '${this.name}': ${duplicates.join(", ")}.`,
+                    { table: this.name, keys: duplicates }
+                )
+            }
+
+            // The rows as they are in the sheet now, which the changes are worked out against. Handles that did not
+            // load the whole tab only hold the rows they wrote, so they are compared with what they wrote.
+            const original = this.loaded && reconcile ? await this._reconcile(conflicts) : this.original
+
+            const requests = []
+            const kept = new Set()
+            const inserted = []
+            let updated = 0
+
+            rows.forEach((row) => {
+                const loaded = original.get(row)
+
+                if (!loaded || kept.has(row)) {
+                    inserted.push(row)
+                    return
+                }
+                kept.add(row)
+
+                // Only send the span of columns that actually changed
+                const cells = this._serializeRow(row)
+                const changed = cells.map((cell, i) => String(cell) !== (loaded.cells[i] || ""))
+                const first = changed.indexOf(true)
+
+                if (first === -1) {
+                    return
+                }
+
+                updated++
+                requests.push({
+                    updateCells: {
+                        start: { sheetId, rowIndex: loaded.row - 1, columnIndex: first },
+                        rows: [{ values: cells.slice(first, changed.lastIndexOf(true) + 1).map(toCellData) }],
+                        fields: "userEnteredValue",
+                    },
+                })
+            })
+
+            // Delete from the bottom up so the positions of the remaining rows stay valid
+            const deleted = [...original]
+                .filter(([row]) => !kept.has(row))
+                .map(([, loaded]) => loaded.row)
+                .sort((a, b) => b - a)
+
+            deleted.forEach((row) => {
+                requests.push({
+                    deleteDimension: {
+                        range: { sheetId, dimension: "ROWS", startIndex: row - 1, endIndex: row },
+                    },
+                })
+            })
+
+            if (inserted.length) {
+                requests.push({
+                    appendCells: {
+                        sheetId,
+                        rows: inserted.map((row) => ({ values: this._serializeRow(row).map(toCellData) })),
+                        fields: "userEnteredValue",
+                    },
+                })
+            }
+
+            if (!requests.length) {
+                this._log("debug", "No changes to write.", { operation: "save" })
+                return
+            }
+
+            if (backup && (updated || deleted.length)) {
+                await this._backupBeforeWrite()
+            }
+
+            await this._client().batchUpdate({
+                spreadsheetId: this.spreadsheetId,
+                resource: {
+                    requests,
+                },
+            })
+            await this._invalidateCache()
+
+            // The rows now sit in the sheet in this order, renumber them to match
+            const order = rows
+                .filter((row) => kept.has(row))
+                .sort((a, b) => original.get(a).row - original.get(b).row)
+                .concat(inserted)
+
+            order.forEach((row, index) => (row.primary_key = index + 1))
+            rows.splice(0, rows.length, ...order)
+            this._snapshot(order.map((entry, index) => ({ entry, row: index + 2 })))
+            await this._afterWrite(events)
+
+            this._log("info", "Table saved.", {
+                operation: "save",
+                updated,
+                inserted: inserted.length,
+                deleted: deleted.length,
+                duration: Date.now() - started,
+            })
+        } catch (error) {
+            this._log("error", "Failed to update the sheet.", { operation: "save", error })
+            throw wrapError("Failed to update the sheet", error)
+        }
+    }
+
+    /**
+     * Reloads the table from the spreadsheet, bypassing (and refreshing) the cache.
+     * The current query is reset.
+     *
+     * @return {Promise<this>} The handle for chaining.
+     */
+    async refresh() {
+        await this._invalidateCache()
+        await this.load()
+
+        return this
+    }
+
+    /**
+     * Watches the tab for rows inserted, updated and deleted by others, by reading it every `interval`
+     * milliseconds. The handle itself is left as it is.
+     *
+     * ```javascript
+     * const watcher = users.watch({ interval: 10000 })
+     * watcher.on("updated", ({ key, old, new: row, changes }) => console.log(key, changes))
+     * watcher.on("error", (error) => console.error(error))
+     * // ...
+     * watcher.stop()
+     * ```
+     *
+     * @param {Object} [options] - The watching options, see Watcher.
+     * @param {number} [options.interval=5000] - Milliseconds between two reads.
+     * @param {boolean} [options.revisions=false] - Only read the tab when the Drive revision of the spreadsheet
+     *     changed.
+     * @return {Watcher} The started watcher, an EventEmitter.
+     */
+    watch({ interval = 5000, revisions = false } = {}) {
+        if (!Number.isInteger(interval) || interval <= 0) {
+            throw new ValidationError("Invalid interval provided. It must be a positive number of milliseconds.")
+        }
+
+        return new Watcher(this, { interval, revisions }).start()
+    }
+
+    /**
+     * Writes the rows matching the current query (where clauses, order and select()) as CSV, JSON or NDJSON. The
+     * rows are written one at a time to a file or a writable stream. Lazy handles read the tab window by window
+     * while writing, so sorting only applies within a window.
+     *
+     * CSV files start with the header of the tab and hold the cells as they are written to the sheet, JSON and
+     * NDJSON hold the rows as get() returns them.
+     *
+     * @param {Object} [options] - The export options.
+     * @param {string} [options.format] - "csv", "json" or "ndjson". Defaults to the extension of `to`, or CSV.
+     * @param {string|stream.Writable} [options.to] - The file path or stream to write to. When omitted the
+     *     export is returned as a string.
+     * @param {number} [options.size=500] - The number of rows read per window by lazy handles.
+     * @return {Promise<number|string>} The number of rows written, or the export when there is no `to`.
+     */
+    async export({ format, to, size = 500 } = {}) {
+        const started = Date.now()
+        try {
+            format = resolveFormat(format, to) || "csv"
+            await this._ensureHeader()
+
+            let output = ""
+            const stream = typeof to === "string" ? fs.createWriteStream(to) : to
+            const write = async (text) => {
+                if (!stream) {
+                    output += text
+                } else if (!stream.write(text)) {
+                    await once(stream, "drain")
+                }
+            }
+
+            const columns = this.columns || this.header
+            const indexes = columns.map((column) => this.header.indexOf(column))
+
+            if (format === "csv") {
+                await write(`${csvLine(indexes.map((i, n) => (i === -1 ? columns[n] : this.headerRow[i])))}\n`)
+            } else if (format === "json") {
+                await write("[")
+            }
+
+            let count = 0
+            const rows = this.loaded ? this._matching() : this.cursor({ size })
+            for await (const row of rows) {
+                if (format === "csv") {
+                    const cells = this._serializeRow(row)
+                    await write(`${csvLine(indexes.map((i, n) => (i === -1 ? row[columns[n]] : cells[i])))}\n`)
+                } else {
+                    const record = JSON.stringify(Object.fromEntries(columns.map((column) => [column, row[column]])))
+                    await write(format === "json" ? `${count ? "," : ""}\n${record}` : `${record}\n`)
+                }
+                count++
+            }
+
+            if (format === "json") {
+                await write(count ? "\n]\n" : "]\n")
+            }
+
+            // Streams that were passed in are left open, e.g. process.stdout
+            if (typeof to === "string") {
+                stream.end()
+                await once(stream, "finish")
+            }
+
+            this._log("info", "Table exported.", {
+                operation: "export",
+                format,
+                rows: count,
+                duration: Date.now() - started,
+            })
+            return stream ? count : output
+        } catch (error) {
+            this._log("error", "Failed to export table.", { operation: "export", error })
+            throw wrapError(`Failed to export table '${this.name}'`, error)
+        }
+    }
+
+    /**
+     * Imports CSV, JSON or NDJSON records into the table. Every field has to match a column of the tab, by header
+     * or by row key, after `mapping` is applied. Values are cast to the schema of the table and primary keys are
+     * generated and checked as by insert(). The rows are written in batches of `size`, one API call per batch.
+     *
+     * - `append` adds the records as new rows and fails when one of their keys is taken.
+     * - `replace` removes every row of the tab first, soft deletes do not apply.
+     * - `upsert` updates the rows with the same `uniqueKey` (the primary column by default) and adds the others.
+     *
+     * @param {string|stream.Readable|Buffer|Array<Object>} source - A file path, a readable stream, the file
+     *     contents or the records themselves.
+     * @param {Object} [options] - The import options.
+     * @param {string} [options.format] - "csv", "json" or "ndjson". Defaults to the extension of the file.
+     * @param {string} [options.mode="append"] - "append", "replace" or "upsert".
+     * @param {Object} [options.mapping={}] - Columns of the sheet keyed by source field, e.g.
+     *     `{ "E-mail": "Email" }`. Fields mapped to null are left out.
+     * @param {string} [options.uniqueKey] - The column records are matched on by upsert.
+     * @param {number} [options.size=500] - The number of records written per batch.
+     * @return {Promise<{inserted: number, updated: number, deleted: number}>}
+     */
+    async import(source, { format, mode = "append", mapping = {}, uniqueKey, size = 500 } = {}) {
+        const started = Date.now()
+        try {
+            if (!["append", "replace", "upsert"].includes(mode)) {
+                throw new ValidationError(`Invalid import mode '${mode}'. Use 'append', 'replace' or 'upsert'.`)
+            }
+            if (!Number.isInteger(size) || size < 1) {
+                throw new ValidationError("Invalid batch size provided. It must be a positive integer.")
+            }
+
+            const records = await this._readRecords(source, format)
+            if (!this.loaded) {
+                await this.load()
+            }
+
+            const rows = this._mapRecords(records, mapping)
+            const result = { inserted: 0, updated: 0, deleted: 0 }
+
+            let key = null
+            if (mode === "upsert") {
+                key = uniqueKey ? this.sheets._columnKey(this.name, uniqueKey) : this.key
+                if (!key || !this.header.includes(key)) {
+                    throw new ValidationError(
+                        `Table '${this.name}' has no primary column to upsert on, pass a uniqueKey.`
+                    )
+                }
+            } else {
+                // Check the keys up front, so nothing is written when one of them is taken
+                const taken = mode === "append" ? this.rows : []
+                const duplicates = this._duplicates([...taken, ...rows])
+                if (duplicates.length) {
+                    throw new DuplicateKeyError(`Duplicate primary keys: ${duplicates.join(", ")}.`, {
+                        table: this.name,
+                        keys: duplicates,
+                    })
+                }
+            }
+
+            // One backup of the whole tab, not one per batch
+            if (mode !== "append" && this.rows.length) {
+                await this._backupBeforeWrite()
+            }
+
+            if (mode === "replace") {
+                result.deleted = this.rows.length
+                this.rows.splice(0, this.rows.length)
+            }
+
+            const existing = new Map(key ? this.rows.map((row) => [String(row[key]), row]) : [])
+
+            // At least one batch, so replacing with no records still empties the tab
+            for (let start = 0; start === 0 || start < rows.length; start += size) {
+                rows.slice(start, start + size).forEach((row) => {
+                    const match = key && !this._isEmptyKey(row[key]) ? existing.get(String(row[key])) : undefined
+                    if (match) {
+                        Object.assign(match, row)
+                        result.updated++
+                        return
+                    }
+
+                    this.rows.push(row)
+                    if (key && !this._isEmptyKey(row[key])) {
+                        existing.set(String(row[key]), row)
+                    }
+                    result.inserted++
+                })
+
+                // The tab is reconciled once, the later batches are compared with what the previous one wrote
+                await this.updateSheets({ backup: false, reconcile: start === 0 })
+            }
+
+            this._stale = true
+            this._log("info", "Table imported.", {
+                operation: "import",
+                mode,
+                ...result,
+                duration: Date.now() - started,
+            })
+            return result
+        } catch (error) {
+            this._log("error", "Failed to import into table.", { operation: "import", error })
+            throw wrapError(`Failed to import into table '${this.name}'`, error)
+        }
+    }
+
+    _client() {
+        return this.sheets.client.spreadsheets
+    }
+
+    // Backs up the tab before a write that changes or deletes rows, when automatic backups are on
+    async _backupBeforeWrite() {
+        if (this.sheets.backups.auto) {
+            await this.sheets._backups({ spreadsheetId: this.spreadsheetId, mode: this.mode }).beforeWrite(this.name)
+        }
+    }
+
+    // Logs through the logger of the connection, with the table and spreadsheet of the handle
+    _log(level, message, fields = {}) {
+        this.sheets.logger[level](message, { table: this.name, spreadsheetId: this.spreadsheetId, ...fields })
+    }
+
+    // Reads the records to import from an array, a file, a stream or the contents of a file
+    async _readRecords(source, format) {
+        if (Array.isArray(source)) {
+            return source
+        }
+
+        const type = resolveFormat(format, source)
+        if (!type) {
+            throw new ValidationError("Unable to tell the format of the source, pass a format.")
+        }
+
+        let text
+        if (typeof source === "string") {
+            text = fs.readFileSync(source, "utf8")
+        } else if (Buffer.isBuffer(source)) {
+            text = source.toString("utf8")
+        } else if (source && typeof source.on === "function") {
+            text = ""
+            for await (const chunk of source) {
+                text += chunk
+            }
+        } else {
+            throw new ValidationError(
+                "Invalid source provided. Pass a file path, a stream, a Buffer or an array of records."
+            )
+        }
+
+        return parseRecords(text, type)
+    }
+
+    /**
+     * Turns imported records into rows keyed like the rows of the table, cast to its schema.
+     *
+     * @param {Array<Object>} records - The records to import.
+     * @param {Object} mapping - Columns of the sheet keyed by source field.
+     * @return {Array<Object>}
+     */
+    _mapRecords(records, mapping) {
+        // Source fields match a column by original header, by row key, or once normalized like the header
+        const keyOf = (field) => {
+            const column = field in mapping ? mapping[field] : field
+            if (column === null || column === undefined || column === false) {
+                return null
+            }
+
+            const index = this.headerRow.indexOf(column)
+            if (index !== -1) {
+                return this.header[index]
+            }
+            const key = this.header.includes(column) ? column : this.sheets._columnKey(this.name, column)
+            return this.header.includes(key) ? key : undefined
+        }
+
+        const fields = [...new Set(records.flatMap((record) => Object.keys(record)))]
+        const unknown = fields.filter((field) => keyOf(field) === undefined)
+        if (unknown.length) {
+            throw new ValidationError(
+                `Unknown columns: ${unknown.join(", ")}. Map them to a column of the sheet, or to null to skip them.`
+            )
+        }
+
+        return records.map((record, index) => {
+            const row = {}
+            Object.entries(record).forEach(([field, value]) => {
+                const key = keyOf(field)
+                if (key) {
+                    row[key] = value
+                }
+            })
+
+            try {
+                return this._castRow(row)
+            } catch (error) {
+                throw wrapError(`Record ${index + 1}`, error, ValidationError)
+            }
+        })
+    }
+
+    // The rows matching the query, evaluating it if needed
+    _matching() {
+        if (this._stale) {
+            this.filterResults()
+        }
+        return this.results
+    }
+
+    // Renames the fields of a row given by original header ("Primary Address") to their row keys
+    _mapKeys(row) {
+        return Object.fromEntries(
+            Object.entries(row).map(([field, value]) => {
+                const index = this.headerRow.indexOf(field)
+                return [index !== -1 ? this.header[index] : field, value]
+            })
+        )
+    }
+
+    // The row limited to the selected columns
+    _project(row) {
+        if (!this.columns) {
+            return row
+        }
+        return Object.fromEntries(this.columns.map((column) => [column, row[column]]))
+    }
+
+    /**
+     * Sets the header (original and normalized) and works out the primary key of the table.
+     *
+     * @param {Array<string>} headerRow - The header row as read from the tab.
+     */
+    _setHeader(headerRow) {
+        this.headerRow = headerRow
+        this.header = this.sheets._parseValues(this.name, [headerRow]).header
+
+        if (this.softDelete && !this.header.includes(this.softDelete)) {
+            throw new ValidationError(`Table '${this.name}' uses soft deletes but has no '${this.softDelete}' column.`)
+        }
+        ;[this.createdAt, this.updatedAt].forEach((column) => {
+            if (column && !this.header.includes(column)) {
+                throw new ValidationError(`Table '${this.name}' uses timestamps but has no '${column}' column.`)
+            }
+        })
+
+        // Identify rows by the primary column, or by their position when the table does not have it
+        const primaryKey = this.sheets._columnKey(this.name, this.sheets.primaryColumn)
+        this.key = this.header.includes(primaryKey) ? primaryKey : null
+    }
+
+    async _ensureHeader() {
+        if (!this.headerRow.length) {
+            await this.loadHeader()
+        }
+    }
+
+    /**
+     * Reads a window of rows from the tab, bypassing the cache. Only the columns of the header are read.
+     *
+     * @param {number} start - The sheet row the window starts at (the first data row is 2).
+     * @param {number} size - The number of rows to read.
+     * @return {Promise<Array<Object>>} The parsed rows, with their position in the tab as `primary_key`.
+     */
+    async _readWindow(start, size) {
+        const lastColumn = columnLetter(this.headerRow.length - 1)
+        const { data } = await this._client().values.get({
+            spreadsheetId: this.spreadsheetId,
+            range: a1(this.name, `A${start}:${lastColumn}${start + size - 1}`),
+        })
+
+        const values = (data && data.values) || []
+        const { entries } = this.sheets._parseValues(this.name, [this.headerRow, ...values], { offset: start - 2 })
+        await this._retrieved(entries)
+
+        return entries
+    }
+
+    /**
+     * Returns the cache key of the table for the spreadsheet and mode the handle is bound to.
+     *
+     * @return {string}
+     */
+    _cacheKey() {
+        return this.sheets._cacheKey(this.name, this.spreadsheetId, this.mode)
+    }
+
+    /**
+     * Drops the cached values of the table after it was written to.
+     *
+     * @return {Promise<void>}
+     */
+    async _invalidateCache() {
+        if (this.sheets.cache) {
+            await this.sheets.cache.forget(this._cacheKey())
+        }
+    }
+
+    /**
+     * Converts a row object into an array of cell values in header order.
+     *
+     * @param {Object} row - The row to convert.
+     * @return {Array<any>}
+     */
+    _serializeRow(row) {
+        const schema = this.sheets.getSchema(this.name) || {}
+
+        return this.header.map((col) => {
+            if (schema[col]) {
+                return serializeValue(row[col], schema[col], { table: this.name, column: col })
+            }
+            return row[col] === undefined || row[col] === null ? "" : row[col]
+        })
+    }
+
+    /**
+     * Casts the columns of a row that have a type in the table's schema.
+     *
+     * @param {Object} row - The row to cast.
+     * @return {Object} A copy of the row with cast values.
+     */
+    _castRow(row) {
+        const schema = this.sheets.getSchema(this.name) || {}
+        const cast = { ...row }
+
+        Object.keys(schema).forEach((col) => {
+            if (col in cast) {
+                cast[col] = castValue(cast[col], schema[col], { table: this.name, column: col })
+            }
+        })
+
+        return cast
+    }
+
+    /**
+     * Records the cells and sheet row of each entry, as the baseline `updateSheets()` compares against.
+     *
+     * @param {Array<{entry: Object, row: number}>} rows - The entries and the sheet row they were read from.
+     */
+    _snapshot(rows) {
+        this.original = new Map(
+            rows.map(({ entry, row }) => [entry, { row, cells: this._serializeRow(entry).map(String) }])
+        )
+    }
+
+    /**
+     * Reads the tab again and reconciles the rows with the changes made in the sheet since they were loaded, with
+     * the given conflict strategy (see save()). Rows are matched by the primary column, or by position when the
+     * table does not have it. Rows only changed in the sheet, and rows added to it, are taken into the handle.
+     *
+     * @param {string} strategy - "fail", "ours", "theirs" or "merge".
+     * @return {Promise<Map<Object, {row: number, cells: Array<string>}>>} The cells and sheet row of the rows as
+     *     they are in the sheet now, keyed by row object like `original`.
+     */
+    async _reconcile(strategy) {
+        const { data } = await this._client().values.get({ spreadsheetId: this.spreadsheetId, range: a1(this.name) })
+        const [headerRow = [], ...values] = (data && data.values) || []
+
+        // Cells are written by column position, which a changed header would move
+        if (headerRow.join("\u0000") !== this.headerRow.join("\u0000")) {
+            throw new ConflictError(`The header of table '${this.name}' changed since it was loaded. Reload it.`, {
+                table: this.name,
+                conflicts: [],
+            })
+        }
+
+        const index = this.header.indexOf(this.key)
+        const identity = (cells, row) => (this.key ? cells[index] || "" : String(row))
+        const same = (a, b) => a.every((cell, i) => cell === (b[i] || ""))
+
+        // The rows in the sheet now, keyed by identity (rows without a key cannot be matched)
+        const current = new Map()
+        this.sheets._parseValues(this.name, [this.headerRow, ...values]).entries.forEach((entry, i) => {
+            const cells = this._serializeRow(entry).map(String)
+            const id = identity(cells, i + 2)
+            if (id !== "" && !current.has(id)) {
+                current.set(id, { row: i + 2, cells, entry })
+            }
+        })
+
+        const rows = this.rows
+        const present = new Set(rows)
+        const base = new Map()
+        const matched = new Set()
+        const conflicts = []
+        const refreshed = []
+
+        for (const [row, loaded] of this.original) {
+            const id = identity(loaded.cells, loaded.row)
+            const theirs = current.get(id)
+            const ours = present.has(row) ? this._serializeRow(row).map(String) : null
+            matched.add(id)
+
+            if (theirs && same(theirs.cells, loaded.cells)) {
+                base.set(row, theirs)
+                continue
+            }
+            // Changed in the sheet only, or the same way on both sides
+            const agreed = ours ? theirs && same(ours, theirs.cells) : !theirs
+            if (agreed || (ours && same(ours, loaded.cells))) {
+                refreshed.push({ row, theirs })
+                continue
+            }
+
+            conflicts.push({ key: this._loadedKey(loaded), row, loaded, theirs, ours })
+        }
+
+        // Rows added in the handle with the key of a row added to the sheet
+        if (this.key) {
+            rows.filter((row) => !this.original.has(row)).forEach((row) => {
+                const ours = this._serializeRow(row).map(String)
+                const theirs = current.get(identity(ours))
+                if (theirs && !matched.has(identity(ours))) {
+                    matched.add(identity(ours))
+                    if (same(ours, theirs.cells)) {
+                        base.set(row, theirs)
+                    } else {
+                        conflicts.push({ key: row[this.key], row, loaded: null, theirs, ours })
+                    }
+                }
+            })
+        }
+
+        this._resolve(conflicts, strategy, base)
+
+        refreshed.forEach(({ row, theirs }) => {
+            if (theirs) {
+                this._take(row, theirs.entry)
+                base.set(row, theirs)
+            } else {
+                this._discard(row)
+            }
+        })
+
+        // Rows added to the sheet are taken into the handle
+        current.forEach((theirs, id) => {
+            if (!matched.has(id)) {
+                rows.push(theirs.entry)
+                base.set(theirs.entry, theirs)
+                this._stale = true
+            }
+        })
+
+        if (conflicts.length) {
+            this._log("warn", "Conflicting changes resolved.", {
+                operation: "save",
+                strategy,
+                keys: conflicts.map(({ key }) => key),
+            })
+        }
+
+        return base
+    }
+
+    /**
+     * Applies a conflict strategy to the rows changed both in the handle and in the sheet. Conflicts are worked out
+     * in full before any row changes, so a ConflictError leaves the handle as it was.
+     *
+     * @param {Array<Object>} conflicts - The conflicts: the `key` and the `row`, its `loaded` snapshot (null for
+     *     added rows) and the cells of `theirs` (null when deleted in the sheet) and `ours` (null when deleted in the
+     *     handle).
+     * @param {string} strategy - "fail", "ours", "theirs" or "merge".
+     * @param {Map} base - The rows as they are in the sheet, updated with the rows the strategy keeps.
+     */
+    _resolve(conflicts, strategy, base) {
+        // The conflicts as reported: both versions of the row, and the columns both sides changed differently
+        const reported = conflicts.map(({ key, row, loaded, theirs, ours }) => {
+            const before = (i) => (loaded ? loaded.cells[i] || "" : "")
+            const columns = this.header.filter((column, i) => {
+                if (!ours || !theirs || ours[i] === theirs.cells[i]) {
+                    return false
+                }
+                return ours[i] !== before(i) && theirs.cells[i] !== before(i)
+            })
+            return { key, ours: ours ? row : null, theirs: theirs ? theirs.entry : null, columns }
+        })
+
+        const unresolved = reported.filter(
+            ({ ours, theirs, columns }) =>
+                strategy === "fail" || (strategy === "merge" && (!ours || !theirs || columns.length > 0))
+        )
+        if (unresolved.length) {
+            const keys = unresolved.map(({ key }) => key).join(", ")
+            throw new ConflictError(
+                `Rows of table '${this.name}' changed in the sheet since they were loaded: ${keys}. ` +
+                    "Reload the table or use another conflict strategy.",
+                { table: this.name, conflicts: unresolved }
+            )
+        }
+
+        conflicts.forEach(({ row, loaded, theirs, ours }) => {
+            this._stale = true
+
+            if (strategy === "ours") {
+                // Written over the row of the sheet, or added again when it was deleted there
+                if (theirs) {
+                    base.set(row, theirs)
+                }
+            } else if (strategy === "theirs") {
+                if (!theirs) {
+                    this._discard(row)
+                } else if (!ours) {
+                    this.rows.push(theirs.entry)
+                    base.set(theirs.entry, theirs)
+                } else {
+                    this._take(row, theirs.entry)
+                    base.set(row, theirs)
+                }
+            } else {
+                // Merge: the columns only changed in the sheet take the values of the sheet
+                const before = loaded ? loaded.cells : []
+                this.header.forEach((column, i) => {
+                    if (theirs.cells[i] !== (before[i] || "") && ours[i] === (before[i] || "")) {
+                        row[column] = theirs.entry[column]
+                    }
+                })
+                base.set(row, theirs)
+            }
+        })
+    }
+
+    // The key of a loaded row: the value of its primary column, or its position when the table does not have it
+    _loadedKey(loaded) {
+        return this.key ? this._loadedRow(loaded)[this.key] : loaded.row - 1
+    }
+
+    // Gives a row of the handle the values of the row in the sheet
+    _take(row, entry) {
+        const { primary_key, ...values } = entry
+        Object.assign(row, values)
+        this._stale = true
+    }
+
+    /**
+     * Calls the hooks registered for an event of the table, in order, until one returns false.
+     *
+     * @param {string} event - The event, e.g. "creating".
+     * @param {Object} row - The row the event is about.
+     * @param {Object} [context] - More context for the hooks, e.g. the `original` row.
+     * @return {Promise<boolean>} False when a hook cancelled the operation.
+     */
+    async _fire(event, row, context = {}) {
+        const hooks = (this.sheets.hooks[this.name] || {})[event] || []
+
+        for (const hook of hooks) {
+            if ((await hook(row, { table: this, event, ...context })) === false) {
+                return false
+            }
+        }
+        return true
+    }
+
+    // Whether writes to the table run hooks or stamp timestamps
+    _hasHooks() {
+        return Boolean(this.createdAt || this.updatedAt || this.sheets.hooks[this.name])
+    }
+
+    async _retrieved(rows) {
+        if ((this.sheets.hooks[this.name] || {}).retrieved) {
+            for (const row of rows) {
+                await this._fire("retrieved", row)
+            }
+        }
+    }
+
+    // Runs the saving and creating hooks of a new row and stamps it, returns false when a hook cancelled it
+    async _beforeCreate(row) {
+        if (!(await this._fire("saving", row)) || !(await this._fire("creating", row))) {
+            return false
+        }
+
+        this._stamp(row, { created: true })
+        return true
+    }
+
+    _stamp(row, { created = false } = {}) {
+        const now = this._now(this.updatedAt || this.createdAt)
+
+        if (created && this.createdAt && this._isEmptyKey(row[this.createdAt])) {
+            row[this.createdAt] = now
+        }
+        if (this.updatedAt && (!created || this._isEmptyKey(row[this.updatedAt]))) {
+            row[this.updatedAt] = now
+        }
+    }
+
+    /**
+     * Runs the hooks of the rows save() is about to write: new rows, rows whose cells changed and removed (or soft
+     * deleted) rows. Rows a hook cancels are dropped, reverted to their loaded values or kept.
+     *
+     * @return {Promise<{created: Array<Object>, updated: Array<Object>, deleted: Array<Object>}>} The rows that
+     *     will be written, for _afterWrite(). Updated and deleted entries are `{ row, original }`.
+     */
+    async _beforeWrite() {
+        const events = { created: [], updated: [], deleted: [] }
+        if (!this._hasHooks()) {
+            return events
+        }
+
+        const rows = this.rows
+        const present = new Set(rows)
+
+        for (const [row, loaded] of this.original) {
+            if (present.has(row)) {
+                continue
+            }
+
+            if (await this._fire("deleting", row)) {
+                events.deleted.push({ row, original: this._loadedRow(loaded) })
+            } else {
+                // Keep the row at its place in the tab
+                const next = rows.findIndex((r) => this.original.has(r) && this.original.get(r).row > loaded.row)
+                rows.splice(next === -1 ? rows.length : next, 0, row)
+                this._stale = true
+            }
+        }
+
+        for (const row of [...rows]) {
+            const loaded = this.original.get(row)
+
+            if (!loaded) {
+                if (await this._beforeCreate(row)) {
+                    events.created.push(row)
+                } else {
+                    this._discard(row)
+                }
+                continue
+            }
+
+            if (this._serializeRow(row).every((cell, i) => String(cell) === (loaded.cells[i] || ""))) {
+                continue
+            }
+
+            // Soft deleting a row is a delete, not an update
+            const original = this._loadedRow(loaded)
+            const deleting =
+                Boolean(this.softDelete) && this._isEmptyKey(original[this.softDelete]) && this._isTrashed(row)
+
+            const proceed = deleting
+                ? await this._fire("deleting", row, { original })
+                : (await this._fire("saving", row, { original })) && (await this._fire("updating", row, { original }))
+
+            if (!proceed) {
+                Object.assign(row, original)
+                this._stale = true
+                continue
+            }
+
+            this._stamp(row)
+            events[deleting ? "deleted" : "updated"].push({ row, original })
+        }
+
+        return events
+    }
+
+    async _afterWrite({ created, updated, deleted }) {
+        for (const row of created) {
+            await this._fire("created", row)
+            await this._fire("saved", row)
+        }
+        for (const { row, original } of updated) {
+            await this._fire("updated", row, { original })
+            await this._fire("saved", row, { original })
+        }
+        for (const { row, original } of deleted) {
+            await this._fire("deleted", row, { original })
+        }
+    }
+
+    // The row as it was loaded, read back from the cells of the snapshot
+    _loadedRow(loaded) {
+        const [entry] = this.sheets._parseValues(this.name, [this.headerRow, loaded.cells]).entries
+        const { primary_key, ...row } = entry
+        return row
+    }
+
+    // Takes a row out of the table and the results
+    _discard(row) {
+        ;[this.rows, this.results].forEach((list) => {
+            const index = list.indexOf(row)
+            if (index !== -1) {
+                list.splice(index, 1)
+            }
+        })
+    }
+
+    /**
+     * Returns the identity of a row: the value of the primary column, or its `primary_key` (position) when the
+     * table does not have the primary column.
+     *
+     * @param {Object} row - The row.
+     * @return {any}
+     */
+    _keyOf(row) {
+        return this.key ? row[this.key] : row.primary_key
+    }
+
+    /**
+     * Returns the rows queries run on, leaving soft-deleted rows out (or in) depending on withTrashed() and
+     * onlyTrashed().
+     *
+     * @param {Array<Object>} [rows] - The rows to scope, the loaded rows by default.
+     * @return {Array<Object>}
+     */
+    _scoped(rows = this.rows) {
+        if (!this._scopesTrash()) {
+            return rows
+        }
+
+        const only = this._trashed === "only"
+        return rows.filter((row) => this._isTrashed(row) === only)
+    }
+
+    // Whether queries leave rows out because of soft deletes
+    _scopesTrash() {
+        return Boolean(this.softDelete) && this._trashed !== "with"
+    }
+
+    _isTrashed(row) {
+        return !this._isEmptyKey(row[this.softDelete])
+    }
+
+    _deletedAt() {
+        return this._now(this.softDelete)
+    }
+
+    // The current time, as a Date for Date columns and as an ISO string otherwise
+    _now(column) {
+        const schema = this.sheets.getSchema(this.name) || {}
+        const definition = schema[column]
+        return definition && definition.type === "date" ? new Date() : new Date().toISOString()
+    }
+
+    _isEmptyKey(key) {
+        return key === undefined || key === null || key === ""
+    }
+
+    /**
+     * Returns the index of a row in a list: the row itself, or the row with the same key.
+     *
+     * @param {Array<Object>} list - The rows to search.
+     * @param {Object} row - The row to look for.
+     * @return {number} The index, or -1.
+     */
+    _indexOf(list, row) {
+        const index = list.indexOf(row)
+        const key = this._keyOf(row)
+        if (index !== -1 || this._isEmptyKey(key)) {
+            return index
+        }
+        return list.findIndex((r) => String(this._keyOf(r)) === String(key))
+    }
+
+    /**
+     * Returns the primary keys used by more than one row.
+     *
+     * @param {Array<Object>} rows - The rows to check.
+     * @return {Array<string>}
+     */
+    _duplicates(rows) {
+        if (!this.key) {
+            return []
+        }
+
+        const seen = new Set()
+        const duplicates = new Set()
+        rows.forEach((row) => {
+            const key = row[this.key]
+            if (this._isEmptyKey(key)) {
+                return
+            }
+            if (seen.has(String(key))) {
+                duplicates.add(String(key))
+            }
+            seen.add(String(key))
+        })
+
+        return [...duplicates]
+    }
+
+    /**
+     * Returns the row with a generated primary key when it has none and a key generator is set.
+     *
+     * @param {Object} row - The row to insert.
+     * @return {Object} The row itself, or a copy with the key.
+     */
+    _withKey(row) {
+        const generate = this.sheets.keyGenerator
+        if (!this.key || !generate || !this._isEmptyKey(row[this.key])) {
+            return row
+        }
+
+        let key
+        if (generate === "uuid") {
+            key = crypto.randomUUID()
+        } else if (generate === "increment") {
+            key = this.rows.reduce((max, r) => {
+                const value = Number(r[this.key])
+                return Number.isFinite(value) && !this._isEmptyKey(r[this.key]) ? Math.max(max, value) : max
+            }, 0)
+            key += 1
+        } else {
+            key = generate({ table: this.name, rows: this.rows })
+        }
+
+        if (this._isEmptyKey(key)) {
+            throw new ValidationError(`The key generator returned an empty key for table '${this.name}'.`)
+        }
+
+        return { ...row, [this.key]: key }
+    }
+}
+
+// Clause methods that are forwarded to the query builder as they are
+;[
+    "whereIn",
+    "orWhereIn",
+    "whereNotIn",
+    "orWhereNotIn",
+    "whereNull",
+    "orWhereNull",
+    "whereNotNull",
+    "orWhereNotNull",
+    "whereBetween",
+    "orWhereBetween",
+    "whereNotBetween",
+    "orWhereNotBetween",
+    "whereRegex",
+    "orWhereRegex",
+].forEach((method) => {
+    Table.prototype[method] = function (...args) {
+        this.query[method](...args)
+        this._stale = true
+        return this
+    }
+})
+
+module.exports = Table
+module.exports.CONFLICT_STRATEGIES = CONFLICT_STRATEGIES
@@ -0,0 +1,216 @@
+const EventEmitter = require("events")
+const { a1 } = require("./functions")
+const { wrapError } = require("./errors")
+
+/**
+ * Watches a table for changes made outside the handle (for example someone editing the tab), by reading the tab
+ * every `interval` milliseconds and comparing its rows with the previous read. Returned by `Table.watch()`.
+ *
+ * Rows are matched by the primary column, so a row keeps its identity when rows above it are inserted or deleted.
+ * Rows without a value in the primary column are left out until they get one, which reports them as inserted.
+ * Tables without a primary column match rows by position.
+ *
+ * Emits:
+ * - `ready` `{ rows }` once the first read is done, changes are reported from then on
+ * - `inserted` `{ key, row }` for a row that was added
+ * - `updated` `{ key, old, new, changes }` for a row whose values changed, `changes` lists the changed row keys
+ * - `deleted` `{ key, row }` for a row that was removed, with its last values
+ * - `change` `{ inserted, updated, deleted }` after each read that found changes, with the events of the read
+ * - `error` `error` when a read fails, the next read is still made
+ * - `stop` when stop() is called
+ */
+class Watcher extends EventEmitter {
+    /**
+     * @param {Table} table - The table handle to watch.
+     * @param {Object} [options] - The watching options.
+     * @param {number} [options.interval=5000] - Milliseconds between the end of a read and the start of the next.
+     * @param {boolean} [options.revisions=false] - Check the revision of the spreadsheet on Drive first, and only
+     *     read the tab when it changed. Any write to the spreadsheet, on any tab, changes the revision.
+     */
+    constructor(table, { interval = 5000, revisions = false } = {}) {
+        super()
+
+        this.table = table
+        this.interval = interval
+        this.revisions = revisions
+
+        // The rows of the last read keyed by identity, and the revision it was made at
+        this.rows = null
+        this.version = null
+
+        this.stopped = true
+        this._timer = null
+
+        // Bumped by stop(), so reads started before do not report their changes
+        this._generation = 0
+    }
+
+    /**
+     * Starts polling. The first read is made right away and only records the rows.
+     *
+     * @return {this} The watcher for chaining.
+     */
+    start() {
+        if (!this.stopped) {
+            return this
+        }
+
+        this.stopped = false
+        this._schedule(0)
+        return this
+    }
+
+    /**
+     * Stops polling. A read in progress finishes, but its changes are not reported.
+     *
+     * @return {this} The watcher for chaining.
+     */
+    stop() {
+        if (this.stopped) {
+            return this
+        }
+
+        this.stopped = true
+        this._generation++
+        clearTimeout(this._timer)
+        this._timer = null
+        this.emit("stop")
+        return this
+    }
+
+    /**
+     * Reads the tab once and reports the changes since the previous read.
+     *
+     * @return {Promise<Object|null>} The changes found, or null for the first read, when the revision did not
+     *     change or when the watcher was stopped during the read.
+     */
+    async poll() {
+        const started = Date.now()
+        const generation = this._generation
+        try {
+            let version = null
+            if (this.revisions) {
+                const { data } = await this.table.sheets.drive.files.get({
+                    fileId: this.table.spreadsheetId,
+                    fields: "version",
+                })
+                version = data.version
+                if (this.rows && version === this.version) {
+                    return null
+                }
+            }
+
+            const rows = await this._read()
+            if (generation !== this._generation) {
+                return null
+            }
+
+            const previous = this.rows
+            this.rows = rows
+            this.version = version
+
+            if (!previous) {
+                this.emit("ready", { rows: [...rows.values()] })
+                return null
+            }
+
+            const changes = this._compare(previous, rows)
+            const count = changes.inserted.length + changes.updated.length + changes.deleted.length
+            if (count) {
+                changes.updated.forEach((event) => this.emit("updated", event))
+                changes.inserted.forEach((event) => this.emit("inserted", event))
+                changes.deleted.forEach((event) => this.emit("deleted", event))
+                this.emit("change", changes)
+
+                this.table._log("debug", "Changes found.", {
+                    operation: "watch",
+                    inserted: changes.inserted.length,
+                    updated: changes.updated.length,
+                    deleted: changes.deleted.length,
+                    duration: Date.now() - started,
+                })
+            }
+
+            return changes
+        } catch (error) {
+            this.table._log("error", "Failed to read the watched table.", { operation: "watch", error })
+            throw wrapError(`Failed to watch table '${this.table.name}'`, error)
+        }
+    }
+
+    _schedule(delay) {
+        const generation = this._generation
+
+        this._timer = setTimeout(async () => {
+            try {
+                await this.poll()
+            } catch (error) {
+                // Without a listener an error event would throw, and nothing would catch it in a timer
+                if (generation === this._generation && this.listenerCount("error")) {
+                    this.emit("error", error)
+                }
+            }
+
+            // A stop() during the read ends this loop, also when start() was called again since
+            if (generation === this._generation) {
+                this._schedule(this.interval)
+            }
+        }, delay)
+    }
+
+    // Reads the rows of the tab, bypassing the cache, keyed by identity
+    async _read() {
+        const { data } = await this.table._client().values.get({
+            spreadsheetId: this.table.spreadsheetId,
+            range: a1(this.table.name),
+        })
+        const values = (data && data.values) || []
+        const { entries } = this.table.sheets._parseValues(this.table.name, values)
+
+        const rows = new Map()
+        entries.forEach((row) => {
+            const key = this.table._keyOf(row)
+            if (!this.table._isEmptyKey(key) && !rows.has(String(key))) {
+                rows.set(String(key), row)
+            }
+        })
+        return rows
+    }
+
+    // Works out the rows inserted, updated and deleted between two reads
+    _compare(previous, rows) {
+        const changes = { inserted: [], updated: [], deleted: [] }
+
+        rows.forEach((row, id) => {
+            const old = previous.get(id)
+            if (!old) {
+                changes.inserted.push({ key: this.table._keyOf(row), row })
+                return
+            }
+
+            // The position (primary_key) moves with the rows above, it is not a change of the row
+            const columns = [...new Set([...Object.keys(old), ...Object.keys(row)])].filter(
+                (column) => column !== "primary_key"
+            )
+            const changed = columns.filter((column) => !same(old[column], row[column]))
+            if (changed.length) {
+                changes.updated.push({ key: this.table._keyOf(row), old, new: row, changes: changed })
+            }
+        })
+
+        previous.forEach((old, id) => {
+            if (!rows.has(id)) {
+                changes.deleted.push({ key: this.table._keyOf(old), row: old })
+            }
+        })
+
+        return changes
+    }
+}
+
+// Whether two cast values are equal, dates and JSON values are compared by value
+function same(a, b) {
+    return a === b || JSON.stringify(a) === JSON.stringify(b)
+}
+
+module.exports = Watcher
@@ -0,0 +1,176 @@
+const { compare, isEmpty } = require("./QueryBuilder")
+
+/**
+ * Converts a cell value to a number for sums and averages. Numeric strings (with thousands separators) count,
+ * empty cells and anything else do not.
+ *
+ * @param {any} value - The cell value.
+ * @return {number|null} The number, or null when the value is not numeric.
+ */
+function toNumber(value) {
+    if (typeof value === "number") {
+        return Number.isFinite(value) ? value : null
+    }
+    if (typeof value !== "string" || value.trim() === "") {
+        return null
+    }
+
+    const number = Number(value.replace(/,/g, "").trim())
+    return Number.isFinite(number) ? number : null
+}
+
+function values(rows, column) {
+    return rows.map((row) => row[column]).filter((value) => !isEmpty(value))
+}
+
+function numbers(rows, column) {
+    return values(rows, column)
+        .map(toNumber)
+        .filter((value) => value !== null)
+}
+
+/**
+ * Returns the number of rows.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @return {number}
+ */
+function count(rows) {
+    return rows.length
+}
+
+/**
+ * Adds up the numeric values of a column, ignoring empty and non-numeric cells.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} column - The column.
+ * @return {number}
+ */
+function sum(rows, column) {
+    return numbers(rows, column).reduce((total, value) => total + value, 0)
+}
+
+/**
+ * Returns the average of the numeric values of a column, or null when it has none.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} column - The column.
+ * @return {number|null}
+ */
+function avg(rows, column) {
+    const list = numbers(rows, column)
+    return list.length ? list.reduce((total, value) => total + value, 0) / list.length : null
+}
+
+// Numeric columns compare as numbers (so "10" > "9"), anything else the way orderBy() sorts
+function extreme(rows, column, sign) {
+    const list = values(rows, column)
+    if (!list.length) {
+        return null
+    }
+
+    const numeric = list.map(toNumber)
+    if (numeric.every((value) => value !== null)) {
+        return list[numeric.indexOf(sign > 0 ? Math.max(...numeric) : Math.min(...numeric))]
+    }
+
+    return list.reduce((best, value) => (compare(value, best) * sign > 0 ? value : best))
+}
+
+/**
+ * Returns the smallest non-empty value of a column, or null when it has none.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} column - The column.
+ * @return {any}
+ */
+function min(rows, column) {
+    return extreme(rows, column, -1)
+}
+
+/**
+ * Returns the largest non-empty value of a column, or null when it has none.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} column - The column.
+ * @return {any}
+ */
+function max(rows, column) {
+    return extreme(rows, column, 1)
+}
+
+/**
+ * Returns the values of a column.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} column - The column.
+ * @return {Array<any>}
+ */
+function pluck(rows, column) {
+    return rows.map((row) => row[column])
+}
+
+// Dates are equal when they hold the same time
+function identity(value) {
+    return value instanceof Date ? `date:${value.getTime()}` : value
+}
+
+/**
+ * Returns the distinct values of a column, in the order they first appear.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} column - The column.
+ * @return {Array<any>}
+ */
+function distinct(rows, column) {
+    const seen = new Map()
+    rows.forEach((row) => {
+        const key = identity(row[column])
+        if (!seen.has(key)) {
+            seen.set(key, row[column])
+        }
+    })
+    return [...seen.values()]
+}
+
+/**
+ * Groups rows by the value of a column, in the order the groups first appear. Each group has the `key`, its `rows`
+ * and the count(), sum(), avg(), min(), max(), pluck() and distinct() aggregates over its rows.
+ *
+ * @param {Array<Object>} rows - The rows.
+ * @param {string} column - The column to group by.
+ * @return {Array<Object>} The groups.
+ */
+function groupBy(rows, column) {
+    const groups = new Map()
+    rows.forEach((row) => {
+        const key = identity(row[column])
+        if (!groups.has(key)) {
+            groups.set(key, { key: row[column], rows: [] })
+        }
+        groups.get(key).rows.push(row)
+    })
+
+    return [...groups.values()].map((group) => ({
+        ...group,
+        count: () => count(group.rows),
+        sum: (col) => sum(group.rows, col),
+        avg: (col) => avg(group.rows, col),
+        min: (col) => min(group.rows, col),
+        max: (col) => max(group.rows, col),
+        pluck: (col) => pluck(group.rows, col),
+        distinct: (col) => distinct(group.rows, col),
+    }))
+}
+
+module.exports = {
+    toNumber,
+    count,
+    sum,
+    avg,
+    min,
+    max,
+    pluck,
+    distinct,
+    groupBy,
+}
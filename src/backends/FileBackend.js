@@ -0,0 +1,45 @@
+const fs = require("fs")
+const path = require("path")
+const MemoryBackend = require("./MemoryBackend")
+const { ValidationError } = require("../errors")
+
+/**
+ * Local JSON file stand-in for the Google Sheets API.
+ *
+ * Behaves exactly like the MemoryBackend, but reads its spreadsheets from a JSON file and writes them back after
+ * every change, so data survives between runs. Useful for local development without credentials.
+ */
+class FileBackend extends MemoryBackend {
+    /**
+     * @param {Object} options - The backend options.
+     * @param {string} options.path - Path of the JSON file holding the spreadsheets.
+     * @param {Object} [options.spreadsheets] - Spreadsheets to seed the file with when it does not exist yet.
+     */
+    constructor({ path: file, spreadsheets = {} } = {}) {
+        if (!file) {
+            throw new ValidationError("A file path is required for the FileBackend.")
+        }
+
+        super({ spreadsheets: fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : spreadsheets })
+        this.path = file
+    }
+
+    /**
+     * Creates the JSON file if it does not exist yet.
+     *
+     * @return {Promise<this>}
+     */
+    async connect() {
+        if (!fs.existsSync(this.path)) {
+            this._persist()
+        }
+        return this
+    }
+
+    _persist() {
+        fs.mkdirSync(path.dirname(this.path), { recursive: true })
+        fs.writeFileSync(this.path, JSON.stringify(this.store, null, 2))
+    }
+}
+
+module.exports = FileBackend
@@ -0,0 +1,153 @@
+const { google } = require("googleapis")
+const { AuthenticationError } = require("../errors")
+
+/**
+ * Storage backend that talks to the real Google Sheets and Drive APIs.
+ *
+ * Every backend exposes the same surface as the `googleapis` clients once `connect()` has resolved:
+ * a `spreadsheets` resource (with its `values` sub resource) and a `drive` client.
+ *
+ * Credentials are taken from the first option that is set: `client`, `serviceAccount`, `keyFile`, `oauth2`, then
+ * `applicationDefault`.
+ */
+class GoogleBackend {
+    /**
+     * @param {Object} options - The backend options.
+     * @param {Object} [options.serviceAccount] - The parsed service account credentials (`client_email`, `private_key`).
+     * @param {string} [options.keyFile] - Path to a service account or authorized user JSON key file.
+     * @param {Object} [options.oauth2] - OAuth2 user credentials: `clientId`, `clientSecret`, `refreshToken` and
+     *     optionally `accessToken` and `redirectUri`. The access token is refreshed when it expires.
+     * @param {boolean} [options.applicationDefault=false] - Use Application Default Credentials
+     *     (GOOGLE_APPLICATION_CREDENTIALS, gcloud or the metadata server).
+     * @param {Object} [options.client] - A pre-built auth client (e.g. a google-auth-library JWT or OAuth2 client),
+     *     used as it is.
+     * @param {string} [options.subject] - The user to impersonate with domain-wide delegation (service accounts only).
+     * @param {Array<string>} options.scopes - The OAuth scopes to request.
+     */
+    constructor({
+        serviceAccount,
+        keyFile,
+        oauth2,
+        applicationDefault = false,
+        client,
+        subject,
+        scopes = [],
+    } = {}) {
+        if (!serviceAccount && !keyFile && !oauth2 && !applicationDefault && !client) {
+            throw new AuthenticationError(
+                "Credentials required: a service account, a key file, OAuth2 credentials, " +
+                    "Application Default Credentials or an auth client."
+            )
+        }
+
+        if (oauth2) {
+            const { clientId, clientSecret, refreshToken } = normalizeOAuth2(oauth2)
+            if (!clientId || !clientSecret || !refreshToken) {
+                throw new AuthenticationError(
+                    "OAuth2 credentials require a clientId, a clientSecret and a refreshToken."
+                )
+            }
+        }
+
+        this._account = serviceAccount
+        this._keyFile = keyFile
+        this._oauth2 = oauth2
+        this._applicationDefault = applicationDefault
+        this._client = client
+        this.subject = subject
+        this.scopes = scopes
+
+        this.auth = null
+        this.spreadsheets = null
+        this.drive = null
+    }
+
+    /**
+     * Authenticates with the configured credentials and creates the Sheets and Drive clients.
+     * Rejects when the credentials cannot be used.
+     *
+     * @return {Promise<this>}
+     */
+    async connect() {
+        const auth = await this._authenticate()
+
+        this.auth = auth
+        this.spreadsheets = google.sheets({ version: "v4", auth }).spreadsheets
+
+        // Initialize a separate Drive client
+        this.drive = google.drive({ version: "v3", auth })
+
+        return this
+    }
+
+    /**
+     * Builds the auth client and makes sure it can get an access token.
+     *
+     * @return {Promise<Object>} The auth client.
+     */
+    async _authenticate() {
+        if (this._client) {
+            return this._client
+        }
+
+        if (this._account) {
+            const auth = new google.auth.JWT({
+                email: this._account.client_email, // Service account email
+                key: this._account.private_key, // Service account private key
+                scopes: this.scopes, // Scopes for Google Sheets
+                subject: this.subject, // User impersonated with domain-wide delegation
+            })
+
+            // Authenticate the client
+            await auth.authorize()
+            return auth
+        }
+
+        if (this._keyFile) {
+            return this._googleAuth({ keyFile: this._keyFile })
+        }
+
+        if (this._oauth2) {
+            const { clientId, clientSecret, redirectUri, refreshToken, accessToken } = normalizeOAuth2(this._oauth2)
+            const auth = new google.auth.OAuth2(clientId, clientSecret, redirectUri)
+
+            // With a refresh token the client gets a new access token whenever the current one expires
+            auth.setCredentials({ refresh_token: refreshToken, ...(accessToken ? { access_token: accessToken } : {}) })
+            await auth.getAccessToken()
+            return auth
+        }
+
+        return this._googleAuth()
+    }
+
+    /**
+     * Resolves credentials with google-auth-library: from the key file (service account or authorized user) if one
+     * is given, otherwise from Application Default Credentials.
+     */
+    async _googleAuth(options = {}) {
+        const googleAuth = new google.auth.GoogleAuth({
+            ...options,
+            scopes: this.scopes,
+            ...(this.subject ? { clientOptions: { subject: this.subject } } : {}),
+        })
+
+        const auth = await googleAuth.getClient()
+        await auth.getAccessToken()
+        return auth
+    }
+}
+
+/**
+ * Accepts OAuth2 credentials in camel case or in the snake case of an authorized user JSON file.
+ */
+function normalizeOAuth2(credentials) {
+    return {
+        clientId: credentials.clientId || credentials.client_id,
+        clientSecret: credentials.clientSecret || credentials.client_secret,
+        redirectUri: credentials.redirectUri || credentials.redirect_uri,
+        refreshToken: credentials.refreshToken || credentials.refresh_token,
+        accessToken: credentials.accessToken || credentials.access_token,
+    }
+}
+
+module.exports = GoogleBackend
@@ -0,0 +1,619 @@
+const crypto = require("crypto")
+const { columnLetter, parseRange, quoteTitle } = require("../functions")
+
+/**
+ * Creates an error shaped like the errors thrown by `googleapis`, so callers can inspect
+ * `error.code` and `error.response.status` the same way regardless of the backend.
+ *
+ * @param {number} code - The HTTP status code.
+ * @param {string} message - The error message.
+ * @return {Error}
+ */
+function apiError(code, message) {
+    const error = new Error(message)
+    error.code = code
+    error.status = code
+    error.response = { status: code, data: { error: { code, message } } }
+    return error
+}
+
+/**
+ * Renders a stored cell the way the Sheets API does with the default FORMATTED_VALUE option.
+ *
+ * @param {any} value - The stored cell value.
+ * @return {string}
+ */
+function render(value) {
+    if (value === null || value === undefined) {
+        return ""
+    }
+    if (typeof value === "boolean") {
+        return value ? "TRUE" : "FALSE"
+    }
+    return String(value)
+}
+
+/**
+ * Extracts the stored value from a Sheets API `ExtendedValue` (`userEnteredValue`).
+ *
+ * @param {Object} extendedValue - The `userEnteredValue` object.
+ * @return {any}
+ */
+function cellValue(extendedValue = {}) {
+    if ("stringValue" in extendedValue) return extendedValue.stringValue
+    if ("numberValue" in extendedValue) return extendedValue.numberValue
+    if ("boolValue" in extendedValue) return extendedValue.boolValue
+    if ("formulaValue" in extendedValue) return extendedValue.formulaValue
+    return ""
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value))
+
+/**
+ * In-memory stand-in for the Google Sheets API.
+ *
+ * It mirrors the subset of `spreadsheets` and `spreadsheets.values` used by nodequentsheets, so code built on
+ * `Sheets` can run offline (for example under Jest) by passing `backend: new MemoryBackend()` to the constructor.
+ *
+ * Spreadsheets can be seeded with a compact shape:
+ * `{ spreadsheetId: { title: "My Sheet", sheets: { Users: [["ID", "Name"], ["1", "John"]] } } }`
+ */
+class MemoryBackend {
+    /**
+     * @param {Object} [options] - The backend options.
+     * @param {Object} [options.spreadsheets] - Spreadsheets to seed the backend with, keyed by spreadsheet ID.
+     */
+    constructor({ spreadsheets = {} } = {}) {
+        this.store = {}
+        this._load(spreadsheets)
+
+        // Revision of each spreadsheet, bumped on every write like the `version` of a Drive file
+        this.versions = {}
+
+        // Same shape as `google.sheets({ version: "v4" }).spreadsheets`
+        this.spreadsheets = {
+            get: async (params) => this._respond(this._getSpreadsheet(params)),
+            create: async (params) => this._respond(this._createSpreadsheet(params)),
+            batchUpdate: async (params) => this._respond(this._batchUpdate(params)),
+            values: {
+                get: async (params) => this._respond(this._getValues(params)),
+                batchGet: async (params) => this._respond(this._batchGetValues(params)),
+                append: async (params) => this._respond(this._appendValues(params)),
+                update: async (params) => this._respond(this._updateValues(params)),
+                clear: async (params) => this._respond(this._clearValues(params)),
+                batchUpdate: async (params) => this._respond(this._batchUpdateValues(params)),
+            },
+        }
+
+        // Same shape as `google.drive({ version: "v3" })` for the calls nodequentsheets makes
+        this.drive = {
+            files: {
+                get: async ({ fileId } = {}) => {
+                    this._spreadsheet(fileId)
+                    return this._respond({ id: fileId, version: String(this.versions[fileId] || 1) })
+                },
+            },
+            permissions: {
+                create: async ({ fileId, resource, requestBody } = {}) => {
+                    this._spreadsheet(fileId)
+                    return this._respond({ id: crypto.randomBytes(8).toString("hex"), ...(requestBody || resource) })
+                },
+            },
+        }
+    }
+
+    /**
+     * Nothing to authenticate for an in-memory store.
+     *
+     * @return {Promise<this>}
+     */
+    async connect() {
+        return this
+    }
+
+    /**
+     * Returns the rendered values of a sheet, including the header row. Handy for assertions in tests.
+     *
+     * @param {string} spreadsheetId - The ID of the spreadsheet.
+     * @param {string} title - The title of the sheet (tab).
+     * @return {Array<Array<string>>}
+     */
+    dump(spreadsheetId, title) {
+        return this._getValues({ spreadsheetId, range: quoteTitle(title) }).values || []
+    }
+
+    /**
+     * Serializes the whole store, so it can be written to disk or used to seed another backend.
+     *
+     * @return {Object}
+     */
+    toJSON() {
+        return clone(this.store)
+    }
+
+    // Hook for subclasses that persist the store (see FileBackend)
+    _persist() {}
+
+    // Records a write to a spreadsheet
+    _changed(spreadsheetId) {
+        this.versions[spreadsheetId] = (this.versions[spreadsheetId] || 1) + 1
+        this._persist()
+    }
+
+    _respond(data) {
+        return { status: 200, data }
+    }
+
+    _body(params = {}) {
+        return params.requestBody || params.resource || {}
+    }
+
+    _load(spreadsheets) {
+        for (const [spreadsheetId, file] of Object.entries(spreadsheets)) {
+            // Files already in the internal shape (e.g. read back by FileBackend) are used as they are
+            if (Array.isArray(file.sheets)) {
+                this.store[spreadsheetId] = clone(file)
+                continue
+            }
+
+            this.store[spreadsheetId] = {
+                spreadsheetId,
+                properties: { title: file.title || spreadsheetId },
+                sheets: Object.entries(file.sheets || {}).map(([title, values], index) => ({
+                    properties: { sheetId: index, title, index, sheetType: "GRID" },
+                    values: clone(values),
+                })),
+            }
+        }
+    }
+
+    _spreadsheet(spreadsheetId) {
+        const file = this.store[spreadsheetId]
+        if (!file) {
+            throw apiError(404, "Requested entity was not found.")
+        }
+        return file
+    }
+
+    _sheetById(file, sheetId) {
+        const sheet = file.sheets.find((s) => s.properties.sheetId === sheetId)
+        if (!sheet) {
+            throw apiError(400, `No grid with id: ${sheetId}`)
+        }
+        return sheet
+    }
+
+    /**
+     * Resolves an A1 range against a spreadsheet, returning the targeted sheet and bounds.
+     */
+    _resolve(file, range) {
+        // A bare sheet title covers the whole sheet, unless it reads as a cell ("Q1"), like in the Sheets API
+        const whole = file.sheets.find((s) => s.properties.title === range)
+        if (whole && !/^[A-Za-z]{1,3}\d+$/.test(range)) {
+            return { sheet: whole, startRow: 0, endRow: Infinity, startColumn: 0, endColumn: Infinity }
+        }
+
+        let bounds
+        try {
+            bounds = parseRange(range)
+        } catch (error) {
+            throw apiError(400, `Unable to parse range: ${range}`)
+        }
+
+        const sheet = bounds.sheet === null ? file.sheets[0] : file.sheets.find((s) => s.properties.title === bounds.sheet)
+        if (!sheet) {
+            throw apiError(400, `Unable to parse range: ${range}`)
+        }
+
+        return { ...bounds, sheet }
+    }
+
+    _nextSheetId(file) {
+        return file.sheets.reduce((max, s) => Math.max(max, s.properties.sheetId), -1) + 1
+    }
+
+    /**
+     * Writes a block of values starting at the given position. `null` and `undefined` cells are skipped,
+     * just like the Sheets API does.
+     */
+    _write(sheet, startRow, startColumn, rows) {
+        rows.forEach((row, i) => {
+            const target = (sheet.values[startRow + i] = sheet.values[startRow + i] || [])
+            row.forEach((value, j) => {
+                if (value === null || value === undefined) {
+                    return
+                }
+                for (let k = target.length; k < startColumn + j; k++) {
+                    target[k] = ""
+                }
+                target[startColumn + j] = value
+            })
+        })
+
+        for (let i = 0; i < sheet.values.length; i++) {
+            sheet.values[i] = sheet.values[i] || []
+        }
+        this._compact(sheet)
+    }
+
+    // Removes trailing empty cells and rows so reads match what the Sheets API returns
+    _compact(sheet) {
+        sheet.values = sheet.values.map((row) => {
+            const copy = [...row]
+            while (copy.length && render(copy[copy.length - 1]) === "") {
+                copy.pop()
+            }
+            return copy
+        })
+        while (sheet.values.length && sheet.values[sheet.values.length - 1].length === 0) {
+            sheet.values.pop()
+        }
+    }
+
+    _read(sheet, { startRow, endRow, startColumn, endColumn }) {
+        const rows = sheet.values.slice(startRow, endRow).map((row) => {
+            const cells = row.slice(startColumn, endColumn).map(render)
+            while (cells.length && cells[cells.length - 1] === "") {
+                cells.pop()
+            }
+            return cells
+        })
+        while (rows.length && rows[rows.length - 1].length === 0) {
+            rows.pop()
+        }
+        return rows
+    }
+
+    _a1(sheet, startRow, startColumn, rowCount, columnCount) {
+        const title = quoteTitle(sheet.properties.title)
+        const start = `${columnLetter(startColumn)}${startRow + 1}`
+        const end = `${columnLetter(startColumn + Math.max(columnCount, 1) - 1)}${startRow + Math.max(rowCount, 1)}`
+        return `${title}!${start}:${end}`
+    }
+
+    _getSpreadsheet({ spreadsheetId } = {}) {
+        const file = this._spreadsheet(spreadsheetId)
+        return {
+            spreadsheetId,
+            properties: clone(file.properties),
+            sheets: file.sheets.map((sheet) => ({
+                properties: clone(sheet.properties),
+                ...(sheet.developerMetadata ? { developerMetadata: clone(sheet.developerMetadata) } : {}),
+            })),
+            spreadsheetUrl: `https://docs.google.com/spreadsheets/d/${spreadsheetId}/edit`,
+        }
+    }
+
+    _createSpreadsheet(params) {
+        const { properties = {}, sheets = [] } = this._body(params)
+        const spreadsheetId = crypto.randomBytes(16).toString("hex")
+
+        const file = {
+            spreadsheetId,
+            properties: { title: properties.title || "Untitled spreadsheet" },
+            sheets: [],
+        }
+
+        const definitions = sheets.length ? sheets : [{ properties: { title: "Sheet1" } }]
+        definitions.forEach((definition, index) => {
+            const sheet = {
+                properties: {
+                    sheetId: index,
+                    title: (definition.properties && definition.properties.title) || `Sheet${index + 1}`,
+                    index,
+                    sheetType: "GRID",
+                    ...(definition.properties && definition.properties.hidden ? { hidden: true } : {}),
+                },
+                values: [],
+            }
+
+            for (const grid of definition.data || []) {
+                const rows = (grid.rowData || []).map((rowData) =>
+                    (rowData.values || []).map((cell) => cellValue(cell.userEnteredValue))
+                )
+                this._write(sheet, grid.startRow || 0, grid.startColumn || 0, rows)
+            }
+
+            file.sheets.push(sheet)
+        })
+
+        this.store[spreadsheetId] = file
+        this._changed(spreadsheetId)
+
+        return this._getSpreadsheet({ spreadsheetId })
+    }
+
+    _batchUpdate(params) {
+        const { spreadsheetId } = params
+        const { requests = [] } = this._body(params)
+
+        // Requests are applied to a copy, so a failing request leaves the spreadsheet untouched (the API is atomic)
+        const file = clone(this._spreadsheet(spreadsheetId))
+        const replies = requests.map((request) => {
+            const [type] = Object.keys(request)
+            const handler = this._requests[type]
+            if (!handler) {
+                throw apiError(400, `Unsupported request in MemoryBackend: ${type}`)
+            }
+            return handler.call(this, file, request[type])
+        })
+
+        this.store[spreadsheetId] = file
+        this._changed(spreadsheetId)
+
+        return { spreadsheetId, replies }
+    }
+
+    _getValues({ spreadsheetId, range } = {}) {
+        const file = this._spreadsheet(spreadsheetId)
+        const target = this._resolve(file, range)
+        const values = this._read(target.sheet, target)
+        const columns = values.reduce((max, row) => Math.max(max, row.length), 0)
+
+        return {
+            range: this._a1(target.sheet, target.startRow, target.startColumn, values.length, columns),
+            majorDimension: "ROWS",
+            ...(values.length ? { values } : {}),
+        }
+    }
+
+    _batchGetValues({ spreadsheetId, ranges = [] } = {}) {
+        return {
+            spreadsheetId,
+            valueRanges: ranges.map((range) => this._getValues({ spreadsheetId, range })),
+        }
+    }
+
+    _appendValues(params) {
+        const { spreadsheetId, range } = params
+        const { values = [] } = this._body(params)
+        const file = this._spreadsheet(spreadsheetId)
+        const target = this._resolve(file, range)
+
+        // Append after the last row of the table found inside the range
+        let lastRow = target.startRow - 1
+        target.sheet.values.forEach((row, index) => {
+            const inRange = row.slice(target.startColumn, target.endColumn).some((cell) => render(cell) !== "")
+            if (index >= target.startRow && index < target.endRow && inRange) {
+                lastRow = index
+            }
+        })
+
+        const startRow = lastRow + 1
+        this._write(target.sheet, startRow, target.startColumn, values)
+        this._changed(spreadsheetId)
+
+        const columns = values.reduce((max, row) => Math.max(max, row.length), 0)
+        return {
+            spreadsheetId,
+            updates: {
+                spreadsheetId,
+                updatedRange: this._a1(target.sheet, startRow, target.startColumn, values.length, columns),
+                updatedRows: values.length,
+                updatedColumns: columns,
+                updatedCells: values.reduce((total, row) => total + row.length, 0),
+            },
+        }
+    }
+
+    _updateValues(params) {
+        const { spreadsheetId, range } = params
+        const { values = [] } = this._body(params)
+        const file = this._spreadsheet(spreadsheetId)
+        const target = this._resolve(file, range)
+
+        this._write(target.sheet, target.startRow, target.startColumn, values)
+        this._changed(spreadsheetId)
+
+        const columns = values.reduce((max, row) => Math.max(max, row.length), 0)
+        return {
+            spreadsheetId,
+            updatedRange: this._a1(target.sheet, target.startRow, target.startColumn, values.length, columns),
+            updatedRows: values.length,
+            updatedColumns: columns,
+            updatedCells: values.reduce((total, row) => total + row.length, 0),
+        }
+    }
+
+    _clearValues({ spreadsheetId, range } = {}) {
+        const file = this._spreadsheet(spreadsheetId)
+        const target = this._resolve(file, range)
+
+        target.sheet.values.forEach((row, index) => {
+            if (index < target.startRow || index >= target.endRow) {
+                return
+            }
+            for (let column = target.startColumn; column < Math.min(row.length, target.endColumn); column++) {
+                row[column] = ""
+            }
+        })
+        this._compact(target.sheet)
+        this._changed(spreadsheetId)
+
+        return { spreadsheetId, clearedRange: range }
+    }
+
+    _batchUpdateValues(params) {
+        const { spreadsheetId } = params
+        const { data = [] } = this._body(params)
+
+        const responses = data.map(({ range, values }) =>
+            this._updateValues({ spreadsheetId, range, requestBody: { values } })
+        )
+
+        return {
+            spreadsheetId,
+            totalUpdatedRows: responses.reduce((total, r) => total + r.updatedRows, 0),
+            totalUpdatedCells: responses.reduce((total, r) => total + r.updatedCells, 0),
+            responses,
+        }
+    }
+}
+
+/**
+ * Handlers for `spreadsheets.batchUpdate` requests, keyed by request type.
+ * Each handler receives the (copied) spreadsheet and the request payload and returns the reply.
+ */
+MemoryBackend.prototype._requests = {
+    addSheet(file, { properties = {} }) {
+        if (file.sheets.some((s) => s.properties.title === properties.title)) {
+            throw apiError(400, `A sheet with the name "${properties.title}" already exists.`)
+        }
+
+        const sheet = {
+            properties: {
+                sheetType: "GRID",
+                ...properties,
+                sheetId: properties.sheetId !== undefined ? properties.sheetId : this._nextSheetId(file),
+                title: properties.title || `Sheet${file.sheets.length + 1}`,
+                index: file.sheets.length,
+            },
+            values: [],
+        }
+        file.sheets.push(sheet)
+
+        return { addSheet: { properties: clone(sheet.properties) } }
+    },
+
+    deleteSheet(file, { sheetId }) {
+        this._sheetById(file, sheetId)
+        file.sheets = file.sheets.filter((s) => s.properties.sheetId !== sheetId)
+        file.sheets.forEach((s, index) => (s.properties.index = index))
+        return {}
+    },
+
+    // Copies the values and the developer metadata of the tab
+    duplicateSheet(file, { sourceSheetId, insertSheetIndex, newSheetId, newSheetName }) {
+        const source = this._sheetById(file, sourceSheetId)
+        const title = newSheetName || `Copy of ${source.properties.title}`
+        if (file.sheets.some((s) => s.properties.title === title)) {
+            throw apiError(400, `A sheet with the name "${title}" already exists.`)
+        }
+
+        const sheet = clone(source)
+        sheet.properties.sheetId = newSheetId !== undefined ? newSheetId : this._nextSheetId(file)
+        sheet.properties.title = title
+        delete sheet.properties.hidden
+
+        const index = insertSheetIndex !== undefined ? insertSheetIndex : file.sheets.length
+        file.sheets.splice(index, 0, sheet)
+        file.sheets.forEach((s, i) => (s.properties.index = i))
+
+        return { duplicateSheet: { properties: clone(sheet.properties) } }
+    },
+
+    updateSheetProperties(file, { properties = {}, fields = "*" }) {
+        const sheet = this._sheetById(file, properties.sheetId)
+        const keys = fields === "*" ? Object.keys(properties) : fields.split(",").map((f) => f.trim())
+        keys.forEach((key) => {
+            if (key !== "sheetId") {
+                sheet.properties[key] = properties[key]
+            }
+        })
+        return {}
+    },
+
+    // Formatting has no effect on stored values, but the grid must exist
+    repeatCell(file, { range = {} }) {
+        this._sheetById(file, range.sheetId || 0)
+        return {}
+    },
+
+    createDeveloperMetadata(file, { developerMetadata = {} }) {
+        const sheet = this._sheetById(file, (developerMetadata.location || {}).sheetId || 0)
+        const metadata = { ...developerMetadata, metadataId: crypto.randomBytes(4).readUInt32BE(0) }
+
+        sheet.developerMetadata = [...(sheet.developerMetadata || []), metadata]
+        return { createDeveloperMetadata: { developerMetadata: clone(metadata) } }
+    },
+
+    // Only lookups by metadata key (and optionally sheet) are supported
+    deleteDeveloperMetadata(file, { dataFilter = {} }) {
+        const lookup = dataFilter.developerMetadataLookup || {}
+        const location = lookup.metadataLocation || {}
+
+        file.sheets.forEach((sheet) => {
+            if (location.sheetId !== undefined && sheet.properties.sheetId !== location.sheetId) {
+                return
+            }
+            sheet.developerMetadata = (sheet.developerMetadata || []).filter(
+                (m) => m.metadataKey !== lookup.metadataKey
+            )
+        })
+        return {}
+    },
+
+    updateCells(file, { start, range, rows = [] }) {
+        const origin = start || { sheetId: range.sheetId, rowIndex: range.startRowIndex, columnIndex: range.startColumnIndex }
+        const sheet = this._sheetById(file, origin.sheetId || 0)
+
+        const values = rows.map((row) => (row.values || []).map((cell) => cellValue(cell.userEnteredValue)))
+        this._write(sheet, origin.rowIndex || 0, origin.columnIndex || 0, values)
+        return {}
+    },
+
+    appendCells(file, { sheetId, rows = [] }) {
+        const sheet = this._sheetById(file, sheetId || 0)
+
+        const values = rows.map((row) => (row.values || []).map((cell) => cellValue(cell.userEnteredValue)))
+        this._write(sheet, sheet.values.length, 0, values)
+        return {}
+    },
+
+    insertDimension(file, { range = {} }) {
+        const sheet = this._sheetById(file, range.sheetId || 0)
+        const count = range.endIndex - range.startIndex
+
+        if (range.dimension === "COLUMNS") {
+            sheet.values.forEach((row) => {
+                if (row.length > range.startIndex) {
+                    row.splice(range.startIndex, 0, ...new Array(count).fill(""))
+                }
+            })
+        } else if (sheet.values.length > range.startIndex) {
+            sheet.values.splice(range.startIndex, 0, ...Array.from({ length: count }, () => []))
+        }
+        this._compact(sheet)
+        return {}
+    },
+
+    // destinationIndex is based on the positions before the source is removed, like the Sheets API
+    moveDimension(file, { source = {}, destinationIndex }) {
+        const sheet = this._sheetById(file, source.sheetId || 0)
+        const count = source.endIndex - source.startIndex
+        const target = destinationIndex > source.startIndex ? destinationIndex - count : destinationIndex
+
+        const move = (list) => {
+            while (list.length < source.endIndex) {
+                list.push("")
+            }
+            const moved = list.splice(source.startIndex, count)
+            list.splice(target, 0, ...moved)
+        }
+
+        if (source.dimension === "COLUMNS") {
+            sheet.values.forEach((row) => move(row))
+        } else {
+            sheet.values = sheet.values.map((row) => row || [])
+            move(sheet.values)
+            sheet.values = sheet.values.map((row) => (Array.isArray(row) ? row : []))
+        }
+        this._compact(sheet)
+        return {}
+    },
+
+    deleteDimension(file, { range = {} }) {
+        const sheet = this._sheetById(file, range.sheetId || 0)
+        const count = range.endIndex - range.startIndex
+
+        if (range.dimension === "COLUMNS") {
+            sheet.values.forEach((row) => row.splice(range.startIndex, count))
+        } else {
+            sheet.values.splice(range.startIndex, count)
+        }
+        this._compact(sheet)
+        return {}
+    },
+}
+
+module.exports = MemoryBackend
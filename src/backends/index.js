@@ -0,0 +1,9 @@
+const GoogleBackend = require("./GoogleBackend")
+const MemoryBackend = require("./MemoryBackend")
+const FileBackend = require("./FileBackend")
+
+module.exports = {
+    GoogleBackend,
+    MemoryBackend,
+    FileBackend,
+}
@@ -0,0 +1,174 @@
+const { ValidationError } = require("./errors")
+
+// Column types understood by schemas, keyed by the name stored in the sheet metadata
+const TYPES = {
+    string: String,
+    number: Number,
+    boolean: Boolean,
+    date: Date,
+    json: JSON,
+}
+
+// Developer metadata key under which a table's schema is stored on its sheet
+const SCHEMA_METADATA_KEY = "nodequentsheets.schema"
+
+const TRUE_VALUES = ["true", "1", "yes", "y"]
+const FALSE_VALUES = ["false", "0", "no", "n"]
+
+/**
+ * Returns the type name ("string", "number", ...) of a schema type. Accepts the String, Number, Boolean, Date
+ * and JSON globals or their names.
+ *
+ * @param {Function|Object|string} type - The schema type.
+ * @return {string}
+ */
+function typeName(type) {
+    const name =
+        typeof type === "string" ? type.toLowerCase() : Object.keys(TYPES).find((key) => TYPES[key] === type)
+
+    if (!name || !TYPES[name]) {
+        throw new ValidationError(`Unsupported column type '${type}'. Use String, Number, Boolean, Date or JSON.`)
+    }
+
+    return name
+}
+
+/**
+ * Normalizes a schema column definition into `{ type, nullable }`.
+ * A definition is either a type (`Number`) or a descriptor (`{ type: Number, nullable: true }`).
+ *
+ * @param {Function|Object|string} definition - The column definition.
+ * @return {{type: string, nullable: boolean}}
+ */
+function normalizeType(definition) {
+    if (definition && typeof definition === "object" && "type" in definition) {
+        return { type: typeName(definition.type), nullable: Boolean(definition.nullable) }
+    }
+    return { type: typeName(definition), nullable: false }
+}
+
+function describe({ table, column, row }) {
+    return `column '${column}'${row ? ` (row ${row})` : ""} of table '${table}'`
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || (typeof value === "string" && value.trim() === "")
+}
+
+function castError(value, type, context) {
+    const shown = typeof value === "string" ? `"${value}"` : JSON.stringify(value)
+    return new ValidationError(`Cannot cast value ${shown} in ${describe(context)} to ${type}.`, context)
+}
+
+/**
+ * Casts a cell read from the sheet (or a value given to insert/save) to the column type.
+ *
+ * Empty cells become an empty string in String columns that are not nullable, and `null` in any other column.
+ * A value that does not fit the type throws an error naming the table, column and row.
+ *
+ * @param {any} value - The raw value.
+ * @param {{type: string, nullable: boolean}} definition - The normalized column definition.
+ * @param {Object} context - The table, column and (optionally) sheet row, used in error messages.
+ * @return {any} The cast value.
+ */
+function castValue(value, { type, nullable }, context) {
+    if (isEmpty(value)) {
+        return type === "string" && !nullable ? "" : null
+    }
+
+    switch (type) {
+        case "string":
+            return typeof value === "string" ? value : String(value)
+        case "number": {
+            const number = typeof value === "number" ? value : Number(String(value).replace(/,/g, "").trim())
+            if (Number.isNaN(number)) {
+                throw castError(value, type, context)
+            }
+            return number
+        }
+        case "boolean": {
+            if (typeof value === "boolean") {
+                return value
+            }
+            const text = String(value).trim().toLowerCase()
+            if (TRUE_VALUES.includes(text)) return true
+            if (FALSE_VALUES.includes(text)) return false
+            throw castError(value, type, context)
+        }
+        case "date": {
+            const date = value instanceof Date ? value : new Date(value)
+            if (Number.isNaN(date.getTime())) {
+                throw castError(value, type, context)
+            }
+            return date
+        }
+        case "json": {
+            if (typeof value !== "string") {
+                return value
+            }
+            try {
+                return JSON.parse(value)
+            } catch (error) {
+                throw castError(value, type, context)
+            }
+        }
+        default:
+            return value
+    }
+}
+
+/**
+ * Converts a value into what is written to the sheet for the column type. The value is cast first, so a value
+ * that does not fit the column is rejected before anything is written.
+ *
+ * @param {any} value - The value to write.
+ * @param {{type: string, nullable: boolean}} definition - The normalized column definition.
+ * @param {Object} context - The table and column, used in error messages.
+ * @return {string|number|boolean} The cell value.
+ */
+function serializeValue(value, definition, context) {
+    const cast = castValue(value, definition, context)
+
+    if (cast === null) {
+        return ""
+    }
+
+    switch (definition.type) {
+        case "date":
+            // Dates without a time keep their short form
+            return cast.toISOString().endsWith("T00:00:00.000Z") ? cast.toISOString().slice(0, 10) : cast.toISOString()
+        case "json":
+            return JSON.stringify(cast)
+        default:
+            return cast
+    }
+}
+
+/**
+ * Returns the Sheets API number format applied to the cells of a column of the given type.
+ *
+ * @param {string} type - The type name ("string", "number", ...).
+ * @return {Object} The number format.
+ */
+function numberFormat(type) {
+    switch (type) {
+        case "number":
+            return { type: "NUMBER", pattern: "0.00" }
+        case "date":
+            return { type: "DATE", pattern: "yyyy-mm-dd" }
+        case "boolean":
+            return { type: "NUMBER_FORMAT_TYPE_UNSPECIFIED" }
+        default:
+            return { type: "TEXT" }
+    }
+}
+
+module.exports = {
+    SCHEMA_METADATA_KEY,
+    TYPES,
+    typeName,
+    normalizeType,
+    castValue,
+    serializeValue,
+    numberFormat,
+}
@@ -0,0 +1,137 @@
+/**
+ * Base class of the errors thrown by the library. Every error has a machine-readable `code`, the HTTP `status` of
+ * the API error behind it (if any) and the original error as `cause`, so callers can branch on the class or the
+ * code instead of parsing messages:
+ *
+ * ```javascript
+ * try {
+ *     await db.table("Users")
+ * } catch (error) {
+ *     if (error instanceof TableNotFoundError) { ... }
+ *     if (error.code === "QUOTA_EXCEEDED") { ... }
+ * }
+ * ```
+ *
+ * Errors may carry more fields depending on their class, such as `table`, `column`, `row` or `keys`.
+ */
+class SheetsError extends Error {
+    /**
+     * @param {string} message - The error message.
+     * @param {Object} [options] - The error details.
+     * @param {string} [options.code] - The error code, defaults to the code of the class.
+     * @param {Error} [options.cause] - The error that caused this one.
+     * @param {number} [options.status] - The HTTP status, taken from the cause when not given.
+     */
+    constructor(message, { code, cause, status, ...details } = {}) {
+        super(message, cause === undefined ? undefined : { cause })
+
+        this.name = this.constructor.name
+        this.code = code || this.constructor.code
+
+        if (status || statusOf(cause)) {
+            this.status = status || statusOf(cause)
+        }
+
+        Object.assign(this, details)
+    }
+}
+SheetsError.code = "SHEETS_ERROR"
+
+// The API has no such spreadsheet or file, or it is not shared with the credentials (HTTP 404)
+class NotFoundError extends SheetsError {}
+NotFoundError.code = "NOT_FOUND"
+
+// A table (sheet) could not be found in the spreadsheet, `table` holds its name
+class TableNotFoundError extends NotFoundError {}
+TableNotFoundError.code = "TABLE_NOT_FOUND"
+
+// No row has the given primary key, `table` and `key` hold the table and the key looked up
+class RowNotFoundError extends SheetsError {}
+RowNotFoundError.code = "ROW_NOT_FOUND"
+
+// An operation needed a spreadsheet and its tables, but the client was not initialized or no mode was set
+class NoTableSelectedError extends SheetsError {}
+NoTableSelectedError.code = "NO_TABLE_SELECTED"
+
+// The credentials were refused or lack the permissions for the spreadsheet (HTTP 401 and 403)
+class AuthenticationError extends SheetsError {}
+AuthenticationError.code = "AUTHENTICATION_FAILED"
+
+// The Sheets API quota was exceeded and the retries ran out (HTTP 429)
+class QuotaExceededError extends SheetsError {}
+QuotaExceededError.code = "QUOTA_EXCEEDED"
+
+// An argument or a value is invalid, cast errors also set `table`, `column` and `row`
+class ValidationError extends SheetsError {}
+ValidationError.code = "VALIDATION_FAILED"
+
+// A write would leave several rows with the same primary key, `keys` holds the duplicate keys
+class DuplicateKeyError extends SheetsError {}
+DuplicateKeyError.code = "DUPLICATE_KEY"
+
+// The sheet changed in a way that conflicts with the write (HTTP 409), `conflicts` lists the rows, see Table.save()
+class ConflictError extends SheetsError {}
+ConflictError.code = "CONFLICT"
+
+/**
+ * Returns the HTTP status of an error thrown by googleapis (or a backend mimicking it), if any.
+ *
+ * @param {Error} error - The error.
+ * @return {number|undefined}
+ */
+function statusOf(error) {
+    if (!error) {
+        return undefined
+    }
+    if (error.response && error.response.status) {
+        return Number(error.response.status)
+    }
+    if (typeof error.code === "number" || /^\d+$/.test(error.code || "")) {
+        return Number(error.code)
+    }
+    return error.status ? Number(error.status) : undefined
+}
+
+// Error classes of the API errors, keyed by HTTP status
+const STATUS_ERRORS = {
+    401: AuthenticationError,
+    403: AuthenticationError,
+    404: NotFoundError,
+    409: ConflictError,
+    429: QuotaExceededError,
+}
+
+/**
+ * Wraps an error into a library error prefixed with what failed, keeping it as the cause. Library errors keep
+ * their class, code and details, API errors get the class of their HTTP status and anything else the given class.
+ *
+ * @param {string} message - What failed, e.g. "Failed to update the sheet".
+ * @param {Error} error - The error caught.
+ * @param {Function} [Type=SheetsError] - The class of errors that are neither library nor known API errors.
+ * @return {SheetsError}
+ */
+function wrapError(message, error, Type = SheetsError) {
+    if (error instanceof SheetsError) {
+        // The name is set by the class, the details (code, status, table...) are kept
+        const { name, ...details } = error
+        return new error.constructor(`${message}: ${error.message}`, { ...details, cause: error })
+    }
+
+    const ErrorType = STATUS_ERRORS[statusOf(error)] || Type
+    return new ErrorType(`${message}: ${error && error.message ? error.message : error}`, { cause: error })
+}
+
+module.exports = {
+    SheetsError,
+    NotFoundError,
+    TableNotFoundError,
+    RowNotFoundError,
+    NoTableSelectedError,
+    AuthenticationError,
+    QuotaExceededError,
+    ValidationError,
+    DuplicateKeyError,
+    ConflictError,
+    wrapError,
+    statusOf,
+}
@@ -0,0 +1,160 @@
+const path = require("path")
+const { ValidationError } = require("./errors")
+
+// File formats tables can be exported to and imported from
+const FORMATS = ["csv", "json", "ndjson"]
+
+/**
+ * Returns the format to use: the given one, or the one matching the extension of the file (".csv", ".json",
+ * ".ndjson" or ".jsonl").
+ *
+ * @param {string} [format] - The format asked for.
+ * @param {any} [file] - The file the data is read from or written to, if it is a path.
+ * @return {string|null} The format, or null when it cannot be told.
+ */
+function resolveFormat(format, file) {
+    if (format) {
+        if (!FORMATS.includes(format)) {
+            throw new ValidationError(`Unsupported format '${format}'. Use ${FORMATS.map((f) => `'${f}'`).join(", ")}.`)
+        }
+        return format
+    }
+
+    if (typeof file !== "string") {
+        return null
+    }
+
+    const extension = path.extname(file).slice(1).toLowerCase()
+    if (extension === "jsonl") {
+        return "ndjson"
+    }
+    return FORMATS.includes(extension) ? extension : null
+}
+
+/**
+ * Formats a list of values as a CSV line. Values holding a comma, quote, line break or surrounding spaces are
+ * quoted, quotes are escaped by doubling them.
+ *
+ * @param {Array<any>} values - The values of the line.
+ * @return {string} The line, without line break.
+ */
+function csvLine(values) {
+    return values
+        .map((value) => {
+            const text = value === null || value === undefined ? "" : String(value)
+            return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+        })
+        .join(",")
+}
+
+/**
+ * Parses CSV text into rows of values. Quoted values can hold commas, escaped quotes and line breaks. Blank lines
+ * are skipped.
+ *
+ * @param {string} text - The CSV text.
+ * @return {Array<Array<string>>}
+ */
+function parseCsv(text) {
+    const rows = []
+    let row = []
+    let value = ""
+    let quoted = false
+
+    // Strip the byte order mark spreadsheet applications tend to add
+    text = text.replace(/^\uFEFF/, "")
+
+    const endRow = () => {
+        row.push(value)
+        if (row.length > 1 || row[0] !== "") {
+            rows.push(row)
+        }
+        row = []
+        value = ""
+    }
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"'
+                i++
+            } else if (char === '"') {
+                quoted = false
+            } else {
+                value += char
+            }
+        } else if (char === '"') {
+            quoted = true
+        } else if (char === ",") {
+            row.push(value)
+            value = ""
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") {
+                i++
+            }
+            endRow()
+        } else {
+            value += char
+        }
+    }
+
+    if (quoted) {
+        throw new ValidationError("Unterminated quoted value in CSV.")
+    }
+    if (value !== "" || row.length) {
+        endRow()
+    }
+
+    return rows
+}
+
+/**
+ * Parses CSV, JSON or NDJSON text into records. CSV records are keyed by the cells of the first line, JSON is an
+ * array of objects (or a single object) and NDJSON has one object per line.
+ *
+ * @param {string} text - The text to parse.
+ * @param {string} format - "csv", "json" or "ndjson".
+ * @return {Array<Object>}
+ */
+function parseRecords(text, format) {
+    if (format === "csv") {
+        const [header = [], ...rows] = parseCsv(text)
+        return rows.map((row) =>
+            Object.fromEntries(header.map((column, i) => [column, row[i] === undefined ? "" : row[i]]))
+        )
+    }
+
+    let records
+    if (format === "json") {
+        records = [JSON.parse(text)].flat()
+    } else {
+        records = text
+            .split(/\r?\n/)
+            .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+            .filter(({ line }) => line !== "")
+            .map(({ line, number }) => {
+                try {
+                    return JSON.parse(line)
+                } catch (error) {
+                    throw new ValidationError(`Invalid JSON on line ${number}: ${error.message}`)
+                }
+            })
+    }
+
+    records.forEach((record, index) => {
+        if (!record || typeof record !== "object" || Array.isArray(record)) {
+            throw new ValidationError(`Record ${index + 1} is not an object.`)
+        }
+    })
+
+    return records
+}
+
+module.exports = {
+    FORMATS,
+    resolveFormat,
+    csvLine,
+    parseCsv,
+    parseRecords,
+}
@@ -1,9 +1,157 @@
-function sleep(miliseconds) {
-    var currentTime = new Date().getTime()
+const { ValidationError } = require("./errors")
 
-    while (currentTime + miliseconds >= new Date().getTime()) {}
+/**
+ * Waits for the given number of milliseconds without blocking the event loop.
+ *
+ * @param {number} milliseconds - How long to wait.
+ * @return {Promise<void>}
+ */
+function sleep(milliseconds) {
+    return new Promise((resolve) => setTimeout(resolve, milliseconds))
+}
+
+/**
+ * Converts a zero based column index into its A1 column letters (0 => "A", 26 => "AA").
+ *
+ * @param {number} index - The zero based column index.
+ * @return {string} The column letters.
+ */
+function columnLetter(index) {
+    let letters = ""
+    let n = index + 1
+
+    while (n > 0) {
+        const remainder = (n - 1) % 26
+        letters = String.fromCharCode(65 + remainder) + letters
+        n = Math.floor((n - 1) / 26)
+    }
+
+    return letters
+}
+
+/**
+ * Converts A1 column letters into a zero based column index ("A" => 0, "AA" => 26).
+ *
+ * @param {string} letters - The column letters.
+ * @return {number} The zero based column index.
+ */
+function columnIndex(letters) {
+    return (
+        letters
+            .toUpperCase()
+            .split("")
+            .reduce((total, char) => total * 26 + (char.charCodeAt(0) - 64), 0) - 1
+    )
+}
+
+/**
+ * Parses an A1 notation range such as `Sheet1`, `'My Tab'!A2:Z` or `Sheet1!2:2`.
+ * Row and column indexes are zero based, the end bounds are exclusive and default to Infinity.
+ *
+ * @param {string} range - The A1 notation range.
+ * @return {{sheet: (string|null), startRow: number, endRow: number, startColumn: number, endColumn: number}}
+ */
+function parseRange(range) {
+    let sheet = null
+    let cells = range
+
+    const separator = range.lastIndexOf("!")
+    if (separator !== -1) {
+        sheet = range.slice(0, separator)
+        cells = range.slice(separator + 1)
+    } else if (!/^[A-Za-z]*\d*(:[A-Za-z]*\d*)?$/.test(range)) {
+        // A range without cells covers the whole sheet
+        sheet = range
+        cells = ""
+    }
+
+    // Quoted sheet names escape single quotes by doubling them
+    if (sheet && sheet.startsWith("'") && sheet.endsWith("'")) {
+        sheet = sheet.slice(1, -1).replace(/''/g, "'")
+    }
+
+    if (cells === "") {
+        return { sheet, startRow: 0, endRow: Infinity, startColumn: 0, endColumn: Infinity }
+    }
+
+    const match = cells.match(/^([A-Za-z]*)(\d*)(?::([A-Za-z]*)(\d*))?$/)
+    if (!match) {
+        throw new ValidationError(`Unable to parse range: ${range}`, { range })
+    }
+
+    const [, startCol, startRow, endCol, endRow] = match
+    const hasEnd = cells.includes(":")
+
+    return {
+        sheet,
+        startRow: startRow ? Number(startRow) - 1 : 0,
+        startColumn: startCol ? columnIndex(startCol) : 0,
+        // A single cell reference such as `A1` only covers that cell
+        endRow: hasEnd ? (endRow ? Number(endRow) : Infinity) : startRow ? Number(startRow) : Infinity,
+        endColumn: hasEnd ? (endCol ? columnIndex(endCol) + 1 : Infinity) : startCol ? columnIndex(startCol) + 1 : Infinity,
+    }
+}
+
+/**
+ * Converts a value into the Sheets API `CellData` used by `updateCells` and `appendCells` requests.
+ * Values are entered as they are (like the RAW input option), so strings are never parsed as formulas.
+ *
+ * @param {any} value - The cell value.
+ * @return {Object} The cell data.
+ */
+function toCellData(value) {
+    if (typeof value === "number") {
+        return { userEnteredValue: { numberValue: value } }
+    }
+    if (typeof value === "boolean") {
+        return { userEnteredValue: { boolValue: value } }
+    }
+    return { userEnteredValue: { stringValue: value === null || value === undefined ? "" : String(value) } }
+}
+
+/**
+ * Converts a value read with the `FORMULA` value render option into `CellData`, so copied cells keep what was
+ * entered: formulas are entered as formulas and everything else as by toCellData().
+ *
+ * @param {any} value - The cell value, as read.
+ * @return {Object} The cell data.
+ */
+function toFormulaCellData(value) {
+    if (typeof value === "string" && value.startsWith("=")) {
+        return { userEnteredValue: { formulaValue: value } }
+    }
+    return toCellData(value)
+}
+
+/**
+ * Quotes a sheet title for use in an A1 notation range ("My Tab" => "'My Tab'"). Titles are always quoted, as an
+ * unquoted title that looks like a cell ("Q1", "FY2024") is read as a reference to that cell.
+ *
+ * @param {string} title - The sheet title.
+ * @return {string}
+ */
+function quoteTitle(title) {
+    return `'${title.replace(/'/g, "''")}'`
+}
+
+/**
+ * Builds an A1 notation range for a sheet, e.g. `a1("My Tab", "A1:C1")` => "'My Tab'!A1:C1".
+ *
+ * @param {string} title - The sheet title.
+ * @param {string} [cells] - The cells part of the range, the whole sheet when omitted.
+ * @return {string}
+ */
+function a1(title, cells) {
+    return cells ? `${quoteTitle(title)}!${cells}` : quoteTitle(title)
 }
 
 module.exports = {
     sleep,
+    columnLetter,
+    columnIndex,
+    parseRange,
+    toCellData,
+    toFormulaCellData,
+    quoteTitle,
+    a1,
 }
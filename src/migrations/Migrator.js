@@ -0,0 +1,240 @@
+const fs = require("fs")
+const path = require("path")
+const SchemaBuilder = require("./SchemaBuilder")
+const { a1 } = require("../functions")
+const { SheetsError, ValidationError, wrapError } = require("../errors")
+
+const LEDGER_HEADER = ["migration", "batch", "applied_at"]
+
+/**
+ * Runs ordered migrations against the spreadsheet selected by setMode() and records the applied ones in a hidden
+ * ledger tab (`_migrations` by default).
+ *
+ * A migration is a module exporting `up(schema, sheets)` and `down(schema, sheets)`, where `schema` is a
+ * SchemaBuilder. Migrations are loaded from a directory and run in file name order, so prefix the files with a
+ * timestamp or a sequence number (`001_create_users.js`). They can also be passed as an array of
+ * `{ name, up, down }` objects.
+ */
+class Migrator {
+    /**
+     * @param {Sheets} sheets - An initialized Sheets instance.
+     * @param {Object} options - The migrator options.
+     * @param {string} [options.directory] - The directory holding the migration files.
+     * @param {Array<Object>} [options.migrations] - Migrations given as `{ name, up, down }` objects.
+     * @param {string} [options.table="_migrations"] - The name of the ledger tab.
+     */
+    constructor(sheets, { directory, migrations, table = "_migrations" } = {}) {
+        if (!directory && !migrations) {
+            throw new ValidationError("A migrations directory or a list of migrations is required.")
+        }
+
+        this.sheets = sheets
+        this.directory = directory
+        this.migrations = migrations
+        this.table = table
+    }
+
+    /**
+     * Runs every migration that has not been applied yet, as one batch.
+     *
+     * @return {Promise<Array<string>>} The names of the migrations that ran.
+     */
+    async migrate() {
+        const migrations = this._load()
+        const ledger = await this._ledger()
+
+        const applied = new Set(ledger.map((entry) => entry.migration))
+        const pending = migrations.filter((migration) => !applied.has(migration.name))
+        const batch = ledger.reduce((max, entry) => Math.max(max, entry.batch), 0) + 1
+
+        for (const migration of pending) {
+            try {
+                await migration.up(new SchemaBuilder(this.sheets), this.sheets)
+            } catch (error) {
+                throw wrapError(`Migration '${migration.name}' failed`, error)
+            }
+
+            await this._client().values.append({
+                spreadsheetId: this.sheets.id,
+                range: a1(this.table),
+                valueInputOption: "RAW",
+                insertDataOption: "INSERT_ROWS",
+                resource: { values: [[migration.name, batch, new Date().toISOString()]] },
+            })
+            this.sheets.logger.info("Migrated.", {
+                operation: "migrate",
+                migration: migration.name,
+                spreadsheetId: this.sheets.id,
+            })
+        }
+
+        return pending.map((migration) => migration.name)
+    }
+
+    /**
+     * Reverts the migrations of the last batches, newest first.
+     *
+     * @param {Object} [options] - The rollback options.
+     * @param {number} [options.steps=1] - How many batches to revert.
+     * @return {Promise<Array<string>>} The names of the migrations that were reverted.
+     */
+    async rollback({ steps = 1 } = {}) {
+        const migrations = this._load()
+        const ledger = await this._ledger()
+
+        const batches = [...new Set(ledger.map((entry) => entry.batch))].sort((a, b) => b - a).slice(0, steps)
+        const entries = ledger.filter((entry) => batches.includes(entry.batch)).sort((a, b) => b.row - a.row)
+
+        const ledgerId = await this._ledgerId()
+        const reverted = []
+        for (const entry of entries) {
+            const migration = migrations.find((m) => m.name === entry.migration)
+            if (!migration) {
+                throw new SheetsError(`Migration '${entry.migration}' is recorded as applied but could not be found.`, {
+                    code: "MIGRATION_NOT_FOUND",
+                    migration: entry.migration,
+                })
+            }
+
+            try {
+                await migration.down(new SchemaBuilder(this.sheets), this.sheets)
+            } catch (error) {
+                throw wrapError(`Rolling back migration '${migration.name}' failed`, error)
+            }
+
+            // Remove the entry from the ledger, entries are handled bottom up so the row numbers stay valid
+            await this._client().batchUpdate({
+                spreadsheetId: this.sheets.id,
+                resource: {
+                    requests: [
+                        {
+                            deleteDimension: {
+                                range: {
+                                    sheetId: ledgerId,
+                                    dimension: "ROWS",
+                                    startIndex: entry.row - 1,
+                                    endIndex: entry.row,
+                                },
+                            },
+                        },
+                    ],
+                },
+            })
+
+            reverted.push(migration.name)
+            this.sheets.logger.info("Rolled back.", {
+                operation: "rollback",
+                migration: migration.name,
+                spreadsheetId: this.sheets.id,
+            })
+        }
+
+        return reverted
+    }
+
+    /**
+     * Lists every migration with whether (and in which batch) it has been applied. Without a ledger tab every
+     * migration is pending, and the tab is not created.
+     *
+     * @return {Promise<Array<{name: string, applied: boolean, batch: (number|null), appliedAt: (string|null)}>>}
+     */
+    async status() {
+        const ledger = await this._ledger({ create: false })
+
+        return this._load().map((migration) => {
+            const entry = ledger.find((e) => e.migration === migration.name)
+            return {
+                name: migration.name,
+                applied: Boolean(entry),
+                batch: entry ? entry.batch : null,
+                appliedAt: entry ? entry.applied_at : null,
+            }
+        })
+    }
+
+    _client() {
+        return this.sheets.client.spreadsheets
+    }
+
+    /**
+     * Loads the migrations, sorted by name.
+     */
+    _load() {
+        let migrations = this.migrations
+
+        if (!migrations) {
+            migrations = fs
+                .readdirSync(this.directory)
+                .filter((file) => file.endsWith(".js"))
+                .map((file) => ({
+                    name: path.basename(file, ".js"),
+                    ...require(path.resolve(this.directory, file)),
+                }))
+        }
+
+        migrations.forEach((migration) => {
+            if (!migration.name || typeof migration.up !== "function" || typeof migration.down !== "function") {
+                throw new ValidationError(
+                    `Invalid migration '${migration.name}'. A migration needs a name, up() and down().`
+                )
+            }
+        })
+
+        return [...migrations].sort((a, b) => a.name.localeCompare(b.name))
+    }
+
+    /**
+     * Returns the sheet ID of the ledger tab, creating the (hidden) tab when it does not exist yet. With
+     * `create: false` a missing tab is not created and null is returned.
+     */
+    async _ledgerId({ create = true } = {}) {
+        const { data } = await this._client().get({
+            spreadsheetId: this.sheets.id,
+            fields: "sheets.properties(sheetId,title)",
+        })
+
+        const sheet = (data.sheets || []).find((s) => s.properties.title === this.table)
+        if (sheet) {
+            return sheet.properties.sheetId
+        }
+        if (!create) {
+            return null
+        }
+
+        const created = await this._client().batchUpdate({
+            spreadsheetId: this.sheets.id,
+            resource: { requests: [{ addSheet: { properties: { title: this.table, hidden: true } } }] },
+        })
+        await this._client().values.update({
+            spreadsheetId: this.sheets.id,
+            range: a1(this.table, "A1"),
+            valueInputOption: "RAW",
+            resource: { values: [LEDGER_HEADER] },
+        })
+
+        return created.data.replies[0].addSheet.properties.sheetId
+    }
+
+    /**
+     * Reads the ledger entries with the sheet row they are on. A missing ledger tab has no entries.
+     */
+    async _ledger({ create = true } = {}) {
+        if ((await this._ledgerId({ create })) === null) {
+            return []
+        }
+
+        const { data } = await this._client().values.get({ spreadsheetId: this.sheets.id, range: a1(this.table) })
+        const [, ...rows] = data.values || []
+
+        return rows
+            .map((row, index) => ({
+                migration: row[0],
+                batch: Number(row[1]),
+                applied_at: row[2],
+                row: index + 2,
+            }))
+            .filter((entry) => entry.migration)
+    }
+}
+
+module.exports = Migrator
@@ -0,0 +1,325 @@
+const { SCHEMA_METADATA_KEY, normalizeType, numberFormat } = require("../casts")
+const { a1, toCellData } = require("../functions")
+const { TableNotFoundError, ValidationError } = require("../errors")
+
+/**
+ * Structural changes to the tables of the spreadsheet selected by setMode(). An instance is handed to the `up`
+ * and `down` steps of every migration. Each method applies its change right away.
+ *
+ * Column types are kept in the schema stored on the tab (the same one database() stores), so reads cast values
+ * to the new types after a migration.
+ */
+class SchemaBuilder {
+    /**
+     * @param {Sheets} sheets - An initialized Sheets instance.
+     * @param {Object} [options] - The builder options.
+     * @param {string} [options.spreadsheetId] - The spreadsheet to change, the one of the current mode by default.
+     */
+    constructor(sheets, { spreadsheetId } = {}) {
+        this.sheets = sheets
+        this.spreadsheetId = spreadsheetId || sheets.id
+    }
+
+    /**
+     * Creates a new table (tab) with a header row and column formats.
+     *
+     * @param {string} table - The name of the table.
+     * @param {Object} columns - The schema, with header names as keys and column types as values.
+     * @return {Promise<void>}
+     */
+    async createTable(table, columns = {}) {
+        const headers = Object.keys(columns)
+        if (!headers.length) {
+            throw new ValidationError(`Cannot create table '${table}' without columns.`)
+        }
+
+        const { data } = await this._client().batchUpdate({
+            spreadsheetId: this.spreadsheetId,
+            resource: { requests: [{ addSheet: { properties: { title: table } } }] },
+        })
+        const sheetId = data.replies[0].addSheet.properties.sheetId
+
+        await this._update([
+            this._headerRequest(sheetId, 0, headers),
+            ...Object.values(columns).map((type, index) => this._formatRequest(sheetId, index, normalizeType(type).type)),
+            ...this._schemaRequests(sheetId, columns),
+        ])
+    }
+
+    /**
+     * Deletes a table (tab) and all its rows.
+     *
+     * @param {string} table - The name of the table.
+     * @return {Promise<void>}
+     */
+    async dropTable(table) {
+        const { sheetId } = await this._sheet(table)
+        await this._backup(table)
+        await this._update([{ deleteSheet: { sheetId } }])
+    }
+
+    /**
+     * Renames a table (tab).
+     *
+     * @param {string} from - The current name of the table.
+     * @param {string} to - The new name of the table.
+     * @return {Promise<void>}
+     */
+    async renameTable(from, to) {
+        const { sheetId } = await this._sheet(from)
+        await this._update([{ updateSheetProperties: { properties: { sheetId, title: to }, fields: "title" } }])
+    }
+
+    /**
+     * Adds a column. It is appended after the last column unless `after` or `position` is given. The column is
+     * registered as nullable, since the rows already in the table have no value for it.
+     *
+     * @param {string} table - The name of the table.
+     * @param {string} column - The header of the new column.
+     * @param {Function|Object|string} [type=String] - The column type.
+     * @param {Object} [options] - Where to put the column.
+     * @param {string} [options.after] - The column the new column is inserted after.
+     * @param {number} [options.position] - The zero based index of the new column.
+     * @return {Promise<void>}
+     */
+    async addColumn(table, column, type = String, { after, position } = {}) {
+        const { sheetId, schema } = await this._sheet(table)
+        const header = await this._header(table)
+
+        if (this._find(table, header, column) !== -1) {
+            throw new ValidationError(`Column '${column}' already exists in table '${table}'.`)
+        }
+
+        let index = header.length
+        if (after !== undefined) {
+            index = this._indexOf(table, header, after) + 1
+        } else if (position !== undefined) {
+            index = Math.min(position, header.length)
+        }
+
+        const requests = []
+        if (index < header.length) {
+            requests.push({
+                insertDimension: {
+                    range: { sheetId, dimension: "COLUMNS", startIndex: index, endIndex: index + 1 },
+                    inheritFromBefore: false,
+                },
+            })
+        }
+
+        requests.push(this._headerRequest(sheetId, index, [column]))
+        const definition = { ...normalizeType(type), nullable: true }
+        requests.push(this._formatRequest(sheetId, index, definition.type))
+        requests.push(...this._schemaRequests(sheetId, { ...schema, [column]: definition }))
+
+        await this._update(requests)
+    }
+
+    /**
+     * Renames a column, keeping its cells and type.
+     *
+     * @param {string} table - The name of the table.
+     * @param {string} from - The current header of the column.
+     * @param {string} to - The new header of the column.
+     * @return {Promise<void>}
+     */
+    async renameColumn(table, from, to) {
+        const { sheetId, schema } = await this._sheet(table)
+        const header = await this._header(table)
+        const index = this._indexOf(table, header, from)
+
+        const renamed = Object.fromEntries(
+            Object.entries(schema).map(([column, type]) => [this._same(table, column, from) ? to : column, type])
+        )
+
+        await this._update([this._headerRequest(sheetId, index, [to]), ...this._schemaRequests(sheetId, renamed)])
+    }
+
+    /**
+     * Deletes a column and its cells.
+     *
+     * @param {string} table - The name of the table.
+     * @param {string} column - The header of the column.
+     * @return {Promise<void>}
+     */
+    async dropColumn(table, column) {
+        const { sheetId, schema } = await this._sheet(table)
+        const header = await this._header(table)
+        const index = this._indexOf(table, header, column)
+
+        const remaining = Object.fromEntries(Object.entries(schema).filter(([name]) => !this._same(table, name, column)))
+
+        await this._backup(table)
+        await this._update([
+            {
+                deleteDimension: {
+                    range: { sheetId, dimension: "COLUMNS", startIndex: index, endIndex: index + 1 },
+                },
+            },
+            ...this._schemaRequests(sheetId, remaining),
+        ])
+    }
+
+    /**
+     * Moves a column to another position.
+     *
+     * @param {string} table - The name of the table.
+     * @param {string} column - The header of the column.
+     * @param {Object} options - Where to move the column.
+     * @param {string} [options.after] - The column it is moved after.
+     * @param {number} [options.position] - The zero based index it is moved to.
+     * @return {Promise<void>}
+     */
+    async moveColumn(table, column, { after, position } = {}) {
+        const { sheetId } = await this._sheet(table)
+        const header = await this._header(table)
+        const index = this._indexOf(table, header, column)
+
+        let target
+        if (after !== undefined) {
+            target = this._indexOf(table, header, after) + 1
+        } else if (position !== undefined) {
+            // Destination indexes count the column being moved, like the Sheets API does
+            target = position > index ? position + 1 : position
+        } else {
+            throw new ValidationError("moveColumn() requires an `after` column or a `position`.")
+        }
+
+        if (target === index || target === index + 1) {
+            return
+        }
+
+        await this._update([
+            {
+                moveDimension: {
+                    source: { sheetId, dimension: "COLUMNS", startIndex: index, endIndex: index + 1 },
+                    destinationIndex: target,
+                },
+            },
+        ])
+    }
+
+    /**
+     * Changes the type (and cell format) of a column. Existing cells are not converted.
+     *
+     * @param {string} table - The name of the table.
+     * @param {string} column - The header of the column.
+     * @param {Function|Object|string} type - The new column type.
+     * @return {Promise<void>}
+     */
+    async changeFormat(table, column, type) {
+        const { sheetId, schema } = await this._sheet(table)
+        const header = await this._header(table)
+        const index = this._indexOf(table, header, column)
+
+        const changed = Object.fromEntries(Object.entries(schema).filter(([name]) => !this._same(table, name, column)))
+        changed[header[index]] = normalizeType(type)
+
+        await this._update([
+            this._formatRequest(sheetId, index, normalizeType(type).type),
+            ...this._schemaRequests(sheetId, changed),
+        ])
+    }
+
+    _client() {
+        return this.sheets.client.spreadsheets
+    }
+
+    // Backs up a table before its data is dropped, when automatic backups are on
+    async _backup(table) {
+        if (this.sheets.backups.auto) {
+            await this.sheets._backups({ spreadsheetId: this.spreadsheetId }).beforeWrite(table)
+        }
+    }
+
+    async _update(requests) {
+        await this._client().batchUpdate({ spreadsheetId: this.spreadsheetId, resource: { requests } })
+    }
+
+    /**
+     * Returns the sheet ID of a table and the schema stored on it (by original header).
+     */
+    async _sheet(table) {
+        const { data } = await this._client().get({
+            spreadsheetId: this.spreadsheetId,
+            fields: "sheets(properties(sheetId,title),developerMetadata)",
+        })
+
+        const sheet = (data.sheets || []).find((s) => s.properties.title === table)
+        if (!sheet) {
+            throw new TableNotFoundError(`Table '${table}' not found in the spreadsheet.`, { table })
+        }
+
+        const metadata = (sheet.developerMetadata || []).find((m) => m.metadataKey === SCHEMA_METADATA_KEY)
+        return { sheetId: sheet.properties.sheetId, schema: metadata ? JSON.parse(metadata.metadataValue) : {} }
+    }
+
+    async _header(table) {
+        const { data } = await this._client().values.get({ spreadsheetId: this.spreadsheetId, range: a1(table, "1:1") })
+        return (data.values && data.values[0]) || []
+    }
+
+    // Columns can be referred to by their header or by the key used on rows
+    _same(table, a, b) {
+        return a === b || this.sheets._columnKey(table, a) === this.sheets._columnKey(table, b)
+    }
+
+    _find(table, header, column) {
+        return header.findIndex((name) => this._same(table, name, column))
+    }
+
+    _indexOf(table, header, column) {
+        const index = this._find(table, header, column)
+        if (index === -1) {
+            throw new ValidationError(`Column '${column}' not found in table '${table}'.`)
+        }
+        return index
+    }
+
+    _headerRequest(sheetId, columnIndex, headers) {
+        return {
+            updateCells: {
+                start: { sheetId, rowIndex: 0, columnIndex },
+                rows: [{ values: headers.map(toCellData) }],
+                fields: "userEnteredValue",
+            },
+        }
+    }
+
+    _formatRequest(sheetId, columnIndex, type) {
+        return {
+            repeatCell: {
+                range: { sheetId, startRowIndex: 1, startColumnIndex: columnIndex, endColumnIndex: columnIndex + 1 },
+                cell: { userEnteredFormat: { numberFormat: numberFormat(type) } },
+                fields: "userEnteredFormat.numberFormat",
+            },
+        }
+    }
+
+    // Replaces the schema stored on the tab
+    _schemaRequests(sheetId, schema) {
+        const types = Object.fromEntries(Object.entries(schema).map(([column, type]) => [column, normalizeType(type)]))
+
+        return [
+            {
+                deleteDeveloperMetadata: {
+                    dataFilter: {
+                        developerMetadataLookup: { metadataKey: SCHEMA_METADATA_KEY, metadataLocation: { sheetId } },
+                    },
+                },
+            },
+            {
+                createDeveloperMetadata: {
+                    developerMetadata: {
+                        metadataKey: SCHEMA_METADATA_KEY,
+                        metadataValue: JSON.stringify(types),
+                        location: { sheetId },
+                        visibility: "DOCUMENT",
+                    },
+                },
+            },
+        ]
+    }
+}
+
+module.exports = SchemaBuilder
@@ -0,0 +1,167 @@
+const { ValidationError, wrapError } = require("../errors")
+
+/**
+ * Builds fake rows for a table from the definition registered with `Sheets.defineFactory()`, and inserts them.
+ *
+ * A definition is a function returning the fields of one row. It receives helpers to vary the rows:
+ *
+ * - `sequence`: a counter for the table, starting at 1 and continuing across make() and create() calls.
+ * - `index`: the position of the row in the current make() or create() call, starting at 0.
+ * - `cycle(...values)`: the values in turn, one per sequence number.
+ * - `pick(values)`: a random value of the list.
+ * - `number(min, max)`: a random integer between min and max (inclusive).
+ *
+ * Factories are immutable, count(), state() and sequence() return a new factory.
+ */
+class Factory {
+    /**
+     * @param {Sheets} sheets - The Sheets instance holding the factory definitions.
+     * @param {string} table - The name of the table (sheet).
+     * @param {Object} [options] - Set by the chained methods.
+     */
+    constructor(sheets, table, { amount = null, states = [], sequences = [] } = {}) {
+        if (!sheets.factories[table]) {
+            throw new ValidationError(`No factory defined for table '${table}'. Define one with defineFactory().`)
+        }
+
+        this.sheets = sheets
+        this.table = table
+        this.amount = amount
+        this.states = states
+        this.sequences = sequences
+    }
+
+    /**
+     * Sets how many rows make() and create() build. Without a count they build a single row.
+     *
+     * @param {number} amount - The number of rows.
+     * @return {Factory}
+     */
+    count(amount) {
+        if (!Number.isInteger(amount) || amount < 0) {
+            throw new ValidationError("Invalid count provided. It must be a non-negative integer.")
+        }
+        return this._with({ amount })
+    }
+
+    /**
+     * Applies overrides to every row: an object, or a function called with the row and the helpers that returns
+     * the fields to change.
+     *
+     * @param {Object|Function} state - The overrides.
+     * @return {Factory}
+     */
+    state(state) {
+        return this._with({ states: [...this.states, state] })
+    }
+
+    /**
+     * Applies the given overrides to the rows in turn: `sequence({ Role: "admin" }, { Role: "user" })` makes every
+     * other row an admin.
+     *
+     * @param {...(Object|Function)} states - The overrides, as for state().
+     * @return {Factory}
+     */
+    sequence(...states) {
+        if (!states.length) {
+            throw new ValidationError("A sequence needs at least one state.")
+        }
+        return this._with({ sequences: [...this.sequences, states] })
+    }
+
+    /**
+     * Builds rows without writing them.
+     *
+     * @param {Object|Function} [overrides] - Overrides applied last, as for state().
+     * @return {Object|Array<Object>} A row, or an array of rows when count() was called.
+     */
+    make(overrides) {
+        const amount = this.amount === null ? 1 : this.amount
+        const rows = Array.from({ length: amount }, (_, index) => this._build(index, overrides))
+
+        return this.amount === null ? rows[0] : rows
+    }
+
+    /**
+     * Builds rows and inserts them one by one through the insert() of a table handle, so keys are generated and
+     * checked and values are cast like any other insert.
+     *
+     * @param {Object|Function} [overrides] - Overrides applied last, as for state().
+     * @return {Promise<Object|Array<Object>>} The inserted row, or an array of rows when count() was called. Rows
+     *     cancelled by a hook are left out (a single row comes back as undefined).
+     */
+    async create(overrides) {
+        const started = Date.now()
+        try {
+            const built = [this.make(overrides)].flat()
+            const table = await this.sheets.table(this.table)
+
+            const created = []
+            for (const row of built) {
+                // Rows whose insert a hook or observer cancelled are left out
+                const entry = await table._insert(row)
+                if (entry) {
+                    created.push(entry)
+                }
+            }
+
+            this.sheets.logger.info("Factory rows created.", {
+                operation: "factory",
+                table: this.table,
+                rows: created.length,
+                duration: Date.now() - started,
+            })
+            return this.amount === null ? created[0] : created
+        } catch (error) {
+            this.sheets.logger.error("Failed to create rows with factory.", {
+                operation: "factory",
+                table: this.table,
+                error,
+            })
+            throw wrapError(`Failed to create rows for table '${this.table}'`, error)
+        }
+    }
+
+    _with(options) {
+        return new Factory(this.sheets, this.table, {
+            amount: this.amount,
+            states: this.states,
+            sequences: this.sequences,
+            ...options,
+        })
+    }
+
+    _build(index, overrides) {
+        const factory = this.sheets.factories[this.table]
+        factory.sequence++
+
+        const helpers = {
+            sequence: factory.sequence,
+            index,
+            cycle: (...values) => values.flat()[(factory.sequence - 1) % values.flat().length],
+            pick: (values) => values[Math.floor(Math.random() * values.length)],
+            number: (min, max) => min + Math.floor(Math.random() * (max - min + 1)),
+        }
+
+        const states = [
+            ...this.states,
+            ...this.sequences.map((states) => states[index % states.length]),
+            ...(overrides ? [overrides] : []),
+        ]
+
+        return states.reduce((row, state) => ({ ...row, ...resolve(state, row, helpers) }), factory.definition(helpers))
+    }
+}
+
+// Resolves a state to the fields it sets, calling the state and any field given as a function
+function resolve(state, row, helpers) {
+    const fields = typeof state === "function" ? state(row, helpers) : state
+    return Object.fromEntries(
+        Object.entries(fields || {}).map(([field, value]) => [
+            field,
+            typeof value === "function" ? value(helpers) : value,
+        ])
+    )
+}
+
+module.exports = Factory
@@ -0,0 +1,106 @@
+const fs = require("fs")
+const path = require("path")
+const { ValidationError } = require("../errors")
+
+/**
+ * Base class of seeders, which fill the tables of a development sheet. Run them with `Sheets.seed()`.
+ *
+ * A seeder either sets `table` and `count` to create that many rows with the factory of the table, or overrides
+ * run() to seed several tables or call other seeders:
+ *
+ * ```javascript
+ * class UsersSeeder extends Seeder {
+ *     table = "Users"
+ *     count = 50
+ * }
+ *
+ * class DatabaseSeeder extends Seeder {
+ *     async run() {
+ *         await this.call(UsersSeeder)
+ *         await this.factory("Orders").count(200).create()
+ *     }
+ * }
+ * ```
+ */
+class Seeder {
+    /**
+     * @param {Sheets} sheets - The initialized Sheets instance to seed.
+     */
+    constructor(sheets) {
+        this.sheets = sheets
+        this.table = null
+        this.count = 1
+        this.overrides = undefined
+    }
+
+    /**
+     * Seeds the table. By default creates `count` rows of `table` with its factory.
+     *
+     * @return {Promise<void>}
+     */
+    async run() {
+        if (!this.table) {
+            throw new ValidationError(`${this.constructor.name || "Seeder"} has to set a table or implement run().`)
+        }
+
+        await this.factory(this.table).count(this.count).create(this.overrides)
+    }
+
+    /**
+     * Returns the factory of a table, see `Sheets.factory()`.
+     *
+     * @param {string} table - The name of the table (sheet).
+     * @return {Factory}
+     */
+    factory(table) {
+        return this.sheets.factory(table)
+    }
+
+    /**
+     * Runs other seeders, in order.
+     *
+     * @param {...(Function|Object)} seeders - Seeder classes, objects with a run() method or functions.
+     * @return {Promise<void>}
+     */
+    async call(...seeders) {
+        for (const seeder of seeders.flat()) {
+            await Seeder.run(seeder, this.sheets)
+        }
+    }
+
+    /**
+     * Runs a seeder given as a Seeder class, an object with a run() method or a function taking the Sheets instance.
+     *
+     * @param {Function|Object} seeder - The seeder.
+     * @param {Sheets} sheets - The Sheets instance to seed.
+     * @return {Promise<void>}
+     */
+    static async run(seeder, sheets) {
+        if (typeof seeder === "function" && seeder.prototype instanceof Seeder) {
+            return new seeder(sheets).run()
+        }
+        if (typeof seeder === "function") {
+            return seeder(sheets)
+        }
+        if (seeder && typeof seeder.run === "function") {
+            return seeder.run(sheets)
+        }
+        throw new ValidationError("Invalid seeder. Pass a Seeder class, an object with run() or a function.")
+    }
+
+    /**
+     * Loads the seeders of a directory in file name order, named after their file.
+     *
+     * @param {string} directory - The directory holding the seeder modules.
+     * @return {Array<{name: string, seeder: (Function|Object)}>}
+     */
+    static load(directory) {
+        return fs
+            .readdirSync(directory)
+            .filter((file) => file.endsWith(".js"))
+            .sort()
+            .map((file) => ({ name: path.basename(file, ".js"), seeder: require(path.resolve(directory, file)) }))
+    }
+}
+
+module.exports = Seeder
@@ -0,0 +1,75 @@
+const aggregates = require("../src/aggregates")
+const { connect } = require("./helpers")
+
+function orders() {
+    return [
+        ["ID", "Customer", "Total", "Status"],
+        ["1", "10", "1,200", "paid"],
+        ["2", "11", "9", "paid"],
+        ["3", "10", "30", "refunded"],
+        ["4", "12", "", "paid"],
+        ["5", "10", "n/a", "paid"],
+    ]
+}
+
+describe("aggregates", () => {
+    test("sum and average the numeric cells only", () => {
+        const rows = [{ total: "1,000" }, { total: 5 }, { total: "" }, { total: "abc" }]
+
+        expect(aggregates.sum(rows, "total")).toBe(1005)
+        expect(aggregates.avg(rows, "total")).toBe(502.5)
+        expect(aggregates.avg([{ total: "" }], "total")).toBeNull()
+        expect(aggregates.toNumber(" 12 ")).toBe(12)
+    })
+
+    test("compare numeric columns as numbers and other columns as text", () => {
+        const rows = [{ n: "9", s: "banana" }, { n: "10", s: "Apple" }, { n: "", s: "cherry" }]
+
+        expect(aggregates.max(rows, "n")).toBe("10")
+        expect(aggregates.min(rows, "n")).toBe("9")
+        expect(aggregates.min(rows, "s")).toBe("Apple")
+        expect(aggregates.max([{ n: "" }], "n")).toBeNull()
+    })
+
+    test("run on the rows matching the where clauses", async () => {
+        const { db } = await connect({ Orders: orders() })
+        const paid = (await db.table("Orders")).where("status", "paid")
+
+        expect(paid.count()).toBe(4)
+        expect(paid.sum("total")).toBe(1209)
+        expect(paid.avg("total")).toBe(604.5)
+        expect(paid.max("customer")).toBe("12")
+        expect(paid.pluck("id")).toEqual(["1", "2", "4", "5"])
+        expect(paid.distinct("customer")).toEqual(["10", "11", "12"])
+        expect(paid.exists()).toBe(true)
+        expect(paid.where("customer", "99").exists()).toBe(false)
+    })
+
+    test("group rows with per-group aggregates, filtered like a having clause", async () => {
+        const { db } = await connect({ Orders: orders() })
+        const table = await db.table("Orders")
+
+        const groups = table.groupBy("customer")
+        expect(groups.map((group) => [group.key, group.count(), group.sum("total")])).toEqual([
+            ["10", 3, 1230],
+            ["11", 1, 9],
+            ["12", 1, 0],
+        ])
+
+        const repeat = groups.filter((group) => group.count() > 1).map((group) => group.key)
+        expect(repeat).toEqual(["10"])
+        expect(table.where("status", "paid").groupBy("customer")[0].pluck("id")).toEqual(["1", "5"])
+    })
+
+    test("select() projects the rows returned by get()", async () => {
+        const { db } = await connect({ Orders: orders() })
+        const table = await db.table("Orders")
+
+        const rows = table.select("id", "total").where("customer", "11").get()
+
+        expect(rows.map(({ id, total, status }) => ({ id, total, status }))).toEqual([
+            { id: "2", total: "9", status: undefined },
+        ])
+        expect(table.select().first().status).toBe("paid")
+    })
+})
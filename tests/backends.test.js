@@ -0,0 +1,125 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const Sheets = require("..")
+const { MemoryBackend, FileBackend, ValidationError } = Sheets
+const { connect, users } = require("./helpers")
+
+describe("MemoryBackend", () => {
+    let backend
+
+    beforeEach(() => {
+        backend = new MemoryBackend({
+            spreadsheets: { dev: { title: "Test Dev", sheets: { Users: [["ID", "Name"], ["1", "John"]] } } },
+        })
+    })
+
+    test("reads the seeded tabs", async () => {
+        const { data } = await backend.spreadsheets.get({ spreadsheetId: "dev" })
+        expect(data.properties.title).toBe("Test Dev")
+        expect(data.sheets.map((sheet) => sheet.properties.title)).toEqual(["Users"])
+
+        const { data: values } = await backend.spreadsheets.values.get({ spreadsheetId: "dev", range: "Users!A2:B" })
+        expect(values.values).toEqual([["1", "John"]])
+    })
+
+    test("appends and updates values", async () => {
+        await backend.spreadsheets.values.append({
+            spreadsheetId: "dev",
+            range: "Users",
+            valueInputOption: "RAW",
+            resource: { values: [["2", "Jane"]] },
+        })
+        await backend.spreadsheets.values.update({
+            spreadsheetId: "dev",
+            range: "Users!B2",
+            valueInputOption: "RAW",
+            resource: { values: [["Johnny"]] },
+        })
+
+        expect(backend.dump("dev", "Users")).toEqual([
+            ["ID", "Name"],
+            ["1", "Johnny"],
+            ["2", "Jane"],
+        ])
+    })
+
+    test("applies a batchUpdate atomically", async () => {
+        const update = backend.spreadsheets.batchUpdate({
+            spreadsheetId: "dev",
+            resource: {
+                requests: [
+                    { appendCells: { sheetId: 0, rows: [{ values: [{ userEnteredValue: { stringValue: "2" } }] }] } },
+                    { deleteSheet: { sheetId: 42 } },
+                ],
+            },
+        })
+
+        await expect(update).rejects.toMatchObject({ code: 400 })
+        expect(backend.dump("dev", "Users")).toHaveLength(2)
+    })
+
+    test("reads a bare cell-like title as a cell, like the Sheets API", async () => {
+        const { data } = await backend.spreadsheets.batchUpdate({
+            spreadsheetId: "dev",
+            resource: { requests: [{ addSheet: { properties: { title: "Q1" } } }] },
+        })
+        expect(data.replies).toHaveLength(1)
+
+        const { data: values } = await backend.spreadsheets.values.get({ spreadsheetId: "dev", range: "Q1" })
+        expect(values.range).toMatch(/^'Users'!/)
+    })
+
+    test("rejects unknown spreadsheets with a 404", async () => {
+        await expect(backend.spreadsheets.get({ spreadsheetId: "nope" })).rejects.toMatchObject({ code: 404 })
+    })
+})
+
+describe("cell-like tab titles", () => {
+    test("loads, inserts and saves rows of a tab called Q1", async () => {
+        const { db, dump } = await connect({ Users: users(), Q1: [["ID", "Total"], ["1", "10"]] })
+
+        const table = await db.table("Q1")
+        expect(table.rows.map((row) => row.total)).toEqual(["10"])
+
+        await table.insert({ id: "2", total: "20" })
+        table.find("1").total = "15"
+        await table.save()
+
+        expect(dump("Q1")).toEqual([
+            ["ID", "Total"],
+            ["1", "15"],
+            ["2", "20"],
+        ])
+        expect(dump("Users")).toEqual(users())
+    })
+})
+
+describe("FileBackend", () => {
+    let directory
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "nodequentsheets-"))
+    })
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true })
+    })
+
+    test("requires a path", () => {
+        expect(() => new FileBackend()).toThrow(ValidationError)
+    })
+
+    test("keeps the spreadsheets between instances", async () => {
+        const file = path.join(directory, "sheets.json")
+        const backend = new FileBackend({ path: file, spreadsheets: { dev: { sheets: { Users: [["ID"]] } } } })
+        const db = new Sheets({ developmentId: "dev", backend })
+        await db.setMode({ development: true })
+        await db.init()
+
+        const users = await db.table("Users")
+        await users.insert({ id: "1" })
+
+        expect(new FileBackend({ path: file }).dump("dev", "Users")).toEqual([["ID"], ["1"]])
+    })
+})
@@ -0,0 +1,149 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const { MemoryBackend, TableNotFoundError, ValidationError } = require("..")
+const { connect, users } = require("./helpers")
+
+describe("backups", () => {
+    let directory
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "nodequentsheets-"))
+    })
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true })
+    })
+
+    test("backs up a table to a hidden tab and restores it", async () => {
+        const { db, dump } = await connect({ Users: users() })
+
+        const backup = await db.backup("Users")
+        expect(backup).toMatchObject({ table: "Users", to: "sheet", reason: "manual", rows: 3 })
+        expect(dump(backup.title)).toEqual(users())
+        expect(db.getTables()).toEqual(["Users"])
+
+        const table = await db.table("Users")
+        table.rows.splice(0, 2)
+        await table.save()
+
+        await db.restore("Users", backup.id)
+        expect(dump("Users")).toEqual(users())
+        expect((await db.table("Users")).rows).toHaveLength(3)
+    })
+
+    test("backs up a table to a JSON file, formulas included", async () => {
+        const { db, dump } = await connect({ Users: [...users(), ["4", "Sum", "=1+1"]] }, { backups: { directory } })
+
+        const backup = await db.backup("Users", { to: "file" })
+        expect(fs.existsSync(backup.path)).toBe(true)
+
+        await (await db.table("Users")).import([], { mode: "replace" })
+        await db.restore("Users", backup.id)
+
+        expect(dump("Users")[4]).toEqual(["4", "Sum", "=1+1"])
+    })
+
+    test("lists the backups newest first and restores a point in time", async () => {
+        const { db, dump } = await connect({ Users: users() }, { backups: { directory } })
+
+        const first = await db.backup("Users")
+        const table = await db.table("Users")
+        table.find("1").name = "Changed"
+        await table.save()
+
+        // Backups are told apart by the time they were taken
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        const second = await db.backup("Users", { to: "file" })
+
+        const backups = await db.listBackups("Users")
+        expect(backups.map((backup) => backup.id)).toEqual([second.id, first.id])
+
+        await db.restore("Users", new Date(first.createdAt))
+        expect(dump("Users")[1]).toEqual(["1", "John", "30"])
+
+        await db.restore("Users")
+        expect(dump("Users")[1]).toEqual(["1", "Changed", "30"])
+    })
+
+    test("creates the tab again when it was deleted", async () => {
+        const { db, dump } = await connect({ Users: users() })
+
+        const backup = await db.backup("Users")
+        await db.migrate({
+            migrations: [{ name: "drop_users", up: (schema) => schema.dropTable("Users"), down: async () => {} }],
+        })
+        await db.restore("Users", backup.id)
+
+        expect(dump("Users")).toEqual(users())
+        expect(db.getTables()).toContain("Users")
+    })
+
+    test("keeps the newest backups", async () => {
+        const { db } = await connect({ Users: users() }, { backups: { keep: 2 } })
+
+        for (let i = 0; i < 4; i++) {
+            await db.backup("Users")
+        }
+
+        expect(await db.listBackups("Users")).toHaveLength(2)
+    })
+
+    test("backs up before destructive writes when auto is on", async () => {
+        const { db } = await connect({ Users: users() }, { backups: { auto: true } })
+        const table = await db.table("Users")
+
+        await table.insert({ id: "4", name: "Ann", age: "22" })
+        expect(await db.listBackups("Users")).toHaveLength(0)
+
+        table.find("1").name = "Changed"
+        await table.save()
+        await table.import([{ ID: "9" }], { mode: "replace", size: 1 })
+
+        const backups = await db.listBackups("Users")
+        expect(backups.map((backup) => [backup.reason, backup.rows])).toEqual([
+            ["auto", 4],
+            ["auto", 4],
+        ])
+    })
+
+    test("backs up before migrations drop data when auto is on", async () => {
+        const { db } = await connect({ Users: users(), Logs: [["ID"], ["1"]] }, { backups: { auto: true } })
+
+        await db.migrate({
+            migrations: [
+                {
+                    name: "cleanup",
+                    up: async (schema) => {
+                        await schema.dropColumn("Users", "Age")
+                        await schema.dropTable("Logs")
+                    },
+                    down: async () => {},
+                },
+            ],
+        })
+
+        expect((await db.listBackups()).map((backup) => backup.table).sort()).toEqual(["Logs", "Users"])
+    })
+
+    test("rejects unknown tables, backups and targets", async () => {
+        const { db } = await connect({ Users: users() })
+
+        await expect(db.backup("Nope")).rejects.toBeInstanceOf(TableNotFoundError)
+        await expect(db.restore("Users", "nope")).rejects.toBeInstanceOf(ValidationError)
+        await expect(db.backup("Users", { to: "file" })).rejects.toBeInstanceOf(ValidationError)
+        await expect(connect({}, { backups: { to: "cloud" } })).rejects.toBeInstanceOf(ValidationError)
+    })
+})
+
+describe("MemoryBackend", () => {
+    test("duplicates a tab with its values", async () => {
+        const backend = new MemoryBackend({ spreadsheets: { dev: { sheets: { Users: users() } } } })
+        await backend.spreadsheets.batchUpdate({
+            spreadsheetId: "dev",
+            resource: { requests: [{ duplicateSheet: { sourceSheetId: 0, newSheetId: 7, newSheetName: "Copy" } }] },
+        })
+
+        expect(backend.dump("dev", "Copy")).toEqual(backend.dump("dev", "Users"))
+    })
+})
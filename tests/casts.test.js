@@ -0,0 +1,76 @@
+const { ValidationError } = require("..")
+const { castValue, serializeValue } = require("../src/casts")
+const { connect, users } = require("./helpers")
+
+const context = { table: "Users", column: "age", row: 2 }
+
+describe("castValue()", () => {
+    test("casts values to the column type", () => {
+        expect(castValue("1,200.5", { type: "number", nullable: false }, context)).toBe(1200.5)
+        expect(castValue("Yes", { type: "boolean", nullable: false }, context)).toBe(true)
+        expect(castValue("0", { type: "boolean", nullable: false }, context)).toBe(false)
+        expect(castValue("2024-03-01", { type: "date", nullable: false }, context)).toEqual(new Date("2024-03-01"))
+        expect(castValue('{"a":1}', { type: "json", nullable: false }, context)).toEqual({ a: 1 })
+        expect(castValue(42, { type: "string", nullable: false }, context)).toBe("42")
+    })
+
+    test("casts empty cells to null, or an empty string in String columns", () => {
+        for (const type of ["number", "boolean", "date", "json"]) {
+            expect(castValue("", { type, nullable: false }, context)).toBeNull()
+            expect(castValue("  ", { type, nullable: true }, context)).toBeNull()
+        }
+        expect(castValue(undefined, { type: "string", nullable: false }, context)).toBe("")
+        expect(castValue("", { type: "string", nullable: true }, context)).toBeNull()
+    })
+
+    test("rejects values that do not fit the type, naming the table, column and row", () => {
+        expect(() => castValue("abc", { type: "number", nullable: true }, context)).toThrow(ValidationError)
+        expect(() => castValue("maybe", { type: "boolean", nullable: false }, context)).toThrow(
+            "Cannot cast value \"maybe\" in column 'age' (row 2) of table 'Users' to boolean."
+        )
+        expect(() => castValue("{", { type: "json", nullable: false }, context)).toThrow(ValidationError)
+    })
+
+    test("serializes values back to cells", () => {
+        expect(serializeValue(null, { type: "number", nullable: false }, context)).toBe("")
+        expect(serializeValue("2024-03-01", { type: "date", nullable: false }, context)).toBe("2024-03-01")
+        expect(serializeValue({ a: 1 }, { type: "json", nullable: false }, context)).toBe('{"a":1}')
+    })
+})
+
+describe("schemas", () => {
+    test("load a table with blank typed cells", async () => {
+        const { db } = await connect({
+            Users: [...users(), ["4", "Ann", ""], ["", "Nobody", "18"]],
+        })
+        db.setSchema("Users", { ID: Number, Name: String, Age: Number })
+
+        const table = await db.table("Users")
+
+        expect(table.rows.map(({ id, age }) => [id, age])).toEqual([
+            [1, 30],
+            [2, 25],
+            [3, 40],
+            [4, null],
+            [null, 18],
+        ])
+    })
+
+    test("insert a row without a value for a typed column", async () => {
+        const { db, dump } = await connect({ Users: users() })
+        db.setSchema("Users", { ID: Number, Name: String, Age: Number })
+
+        const table = await db.table("Users")
+        await table.insert({ name: "Ann" })
+
+        expect(dump("Users")[4]).toEqual(["", "Ann"])
+        expect((await db.table("Users")).rows[3]).toMatchObject({ id: null, name: "Ann", age: null })
+    })
+
+    test("still reject cells that do not fit the type", async () => {
+        const { db } = await connect({ Users: [...users(), ["4", "Ann", "old"]] })
+        db.setSchema("Users", { Age: Number })
+
+        await expect(db.table("Users")).rejects.toThrow("column 'age' (row 5) of table 'Users'")
+    })
+})
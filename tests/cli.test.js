@@ -0,0 +1,121 @@
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+const Cli = require("../src/Cli")
+
+// A stream collecting what is written to it
+function output() {
+    return {
+        text: "",
+        write(chunk) {
+            this.text += chunk
+        },
+    }
+}
+
+describe("Cli", () => {
+    let directory
+    let stdout
+    let stderr
+    let cli
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), "nodequentsheets-cli-"))
+        fs.writeFileSync(
+            path.join(directory, "nodequentsheets.config.js"),
+            `const { MemoryBackend } = require(${JSON.stringify(path.resolve(__dirname, ".."))})
+module.exports = {
+    backend: new MemoryBackend({
+        spreadsheets: {
+            dev: { sheets: { Users: [["ID", "Name", "Age"], ["1", "John", "30"], ["2", "Jane", "25"]] } },
+            prod: { sheets: { Users: [["ID", "Name", "Age"]] } },
+        },
+    }),
+    environments: { dev: "dev", prod: "prod" },
+    mode: "dev",
+}
+`
+        )
+
+        stdout = output()
+        stderr = output()
+        cli = new Cli({ stdout, stderr, cwd: directory })
+    })
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true })
+    })
+
+    const json = () => JSON.parse(stdout.text)
+
+    test("prints the usage without a command", async () => {
+        expect(await cli.run([])).toBe(0)
+        expect(stdout.text).toMatch(/^Usage: nodequentsheets <command>/)
+    })
+
+    test("rejects unknown commands and options", async () => {
+        expect(await cli.run(["frobnicate"])).toBe(1)
+        expect(stderr.text).toMatch(/^Unknown command 'frobnicate'/)
+
+        stderr.text = ""
+        expect(await cli.run(["dump", "Users", "--nope"])).toBe(1)
+        expect(stderr.text).toMatch(/Unknown option '--nope'/)
+    })
+
+    test("reports a missing config file", async () => {
+        expect(await cli.run(["tables", "--config", "missing.js"])).toBe(1)
+        expect(stderr.text).toBe("Error: Config file 'missing.js' not found.\n")
+    })
+
+    test("queries rows with where, order-by, select and limit", async () => {
+        const args = ["query", "Users", "-w", "age>=25", "--order-by", "name:desc", "--select", "ID, Name", "--json"]
+
+        expect(await cli.run([...args, "--limit", "1"])).toBe(0)
+        expect(json()).toEqual([{ id: "1", name: "John" }])
+
+        stdout.text = ""
+        expect(await cli.run(["query", "Users", "--where", "name like j%", "-w", "age<30", "-f", "json"])).toBe(0)
+        expect(json().map((row) => row.name)).toEqual(["Jane"])
+    })
+
+    test("rejects invalid conditions, directions and formats", async () => {
+        expect(await cli.run(["query", "Users", "-w", "age"])).toBe(1)
+        expect(await cli.run(["query", "Users", "--order-by", "age:up"])).toBe(1)
+        expect(await cli.run(["dump", "Users", "--format", "xml"])).toBe(1)
+        expect(stderr.text.split("\n").filter(Boolean)).toEqual([
+            "Error: Invalid condition 'age'. Use 'column operator value', e.g. \"age>=30\".",
+            "Error: Invalid sort direction 'up'. Use 'asc' or 'desc'.",
+            "Error: Invalid format 'xml'. Use 'table' or 'json'.",
+        ])
+    })
+
+    test("prints rows as a table", async () => {
+        expect(await cli.run(["dump", "Users", "--select", "id,name"])).toBe(0)
+        expect(stdout.text.split("\n")).toEqual([
+            "+----+------+",
+            "| id | name |",
+            "+----+------+",
+            "| 1  | John |",
+            "| 2  | Jane |",
+            "+----+------+",
+            "",
+        ])
+    })
+
+    test("inserts JSON rows and switches environments", async () => {
+        expect(await cli.run(["insert", "Users", '[{"ID":"3","Name":"Bob"}]', "--json"])).toBe(0)
+        expect(json()).toEqual([{ table: "Users", inserted: 1 }])
+
+        stdout.text = ""
+        expect(await cli.run(["env", "prod", "--json"])).toBe(0)
+        expect(json().find((environment) => environment.current)).toMatchObject({ environment: "prod", id: "prod" })
+
+        stdout.text = ""
+        await cli.run(["dump", "Users", "--json"])
+        expect(json()).toEqual([])
+
+        stdout.text = ""
+        await cli.run(["dump", "Users", "--env", "dev", "--json"])
+        expect(json().map((row) => row.id)).toEqual(["1", "2", "3"])
+    })
+})
@@ -0,0 +1,85 @@
+const { ConflictError, ValidationError } = require("..")
+const { connect, users } = require("./helpers")
+
+describe("conflicts", () => {
+    // Two handles on the same tab: `other` edits the sheet after `mine` loaded it
+    async function handles(options) {
+        const connection = await connect({ Users: users() }, options)
+        const mine = await connection.db.table("Users")
+        const other = await connection.db.table("Users")
+        return { ...connection, mine, other }
+    }
+
+    test("takes the rows changed only in the sheet", async () => {
+        const { mine, other, dump } = await handles()
+
+        other.find("1").age = "31"
+        await other.save()
+
+        mine.find("3").name = "Robert"
+        await mine.save()
+
+        expect(dump("Users")).toEqual([
+            ["ID", "Name", "Age"],
+            ["1", "John", "31"],
+            ["2", "Jane", "25"],
+            ["3", "Robert", "40"],
+        ])
+        expect(mine.find("1").age).toBe("31")
+    })
+
+    test("fails on rows changed on both sides by default", async () => {
+        const { mine, other, dump } = await handles()
+
+        other.find("2").name = "Theirs"
+        await other.save()
+        mine.find("2").name = "Ours"
+
+        const error = await mine.save().catch((e) => e)
+        expect(error).toBeInstanceOf(ConflictError)
+        expect(error.conflicts).toHaveLength(1)
+        expect(error.conflicts[0]).toMatchObject({ key: "2", columns: ["name"] })
+        expect(dump("Users")[2]).toEqual(["2", "Theirs", "25"])
+    })
+
+    test.each([
+        ["ours", ["2", "Ours", "25"]],
+        ["theirs", ["2", "Theirs", "25"]],
+    ])("resolves with %s", async (strategy, row) => {
+        const { mine, other, dump } = await handles()
+
+        other.find("2").name = "Theirs"
+        await other.save()
+        mine.find("2").name = "Ours"
+        await mine.save({ conflicts: strategy })
+
+        expect(dump("Users")[2]).toEqual(row)
+    })
+
+    test("merges the columns changed on each side", async () => {
+        const { mine, other, dump } = await handles({ conflicts: "merge" })
+
+        other.find("2").age = "26"
+        await other.save()
+        mine.find("2").name = "Janet"
+        await mine.save()
+
+        expect(dump("Users")[2]).toEqual(["2", "Janet", "26"])
+    })
+
+    test("fails to merge a column changed differently on both sides", async () => {
+        const { mine, other } = await handles()
+
+        other.find("2").name = "Theirs"
+        await other.save()
+        mine.find("2").name = "Ours"
+
+        await expect(mine.save({ conflicts: "merge" })).rejects.toBeInstanceOf(ConflictError)
+    })
+
+    test("rejects unknown strategies", async () => {
+        const { mine } = await handles()
+
+        await expect(mine.save({ conflicts: "never" })).rejects.toBeInstanceOf(ValidationError)
+    })
+})
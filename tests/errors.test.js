@@ -0,0 +1,61 @@
+const Sheets = require("..")
+const { MemoryBackend, NotFoundError, QuotaExceededError, SheetsError, TableNotFoundError, ValidationError } = Sheets
+const { wrapError } = require("../src/errors")
+const { connect, users } = require("./helpers")
+
+// An error shaped like the ones thrown by googleapis
+function apiError(status) {
+    const error = new Error(`HTTP ${status}`)
+    error.code = status
+    error.response = { status }
+    return error
+}
+
+describe("errors", () => {
+    test("API errors get the class of their HTTP status", () => {
+        const notFound = wrapError("Failed to read", apiError(404))
+        expect(notFound).toBeInstanceOf(NotFoundError)
+        expect(notFound).toMatchObject({ code: "NOT_FOUND", status: 404, message: "Failed to read: HTTP 404" })
+
+        expect(wrapError("Failed", apiError(429))).toBeInstanceOf(QuotaExceededError)
+        expect(wrapError("Failed", apiError(500))).toMatchObject({ code: "SHEETS_ERROR", status: 500 })
+    })
+
+    test("library errors keep their class and fields when wrapped", () => {
+        const error = new TableNotFoundError("Table 'Users' not found.", { table: "Users" })
+        const wrapped = wrapError("Failed to load", error)
+
+        expect(wrapped).toBeInstanceOf(TableNotFoundError)
+        expect(wrapped).toMatchObject({ code: "TABLE_NOT_FOUND", table: "Users", cause: error })
+    })
+
+    test("a missing spreadsheet throws a NotFoundError", async () => {
+        const db = new Sheets({ developmentId: "nope", backend: new MemoryBackend() })
+        await db.setMode({ development: true })
+
+        const error = await db.init().catch((e) => e)
+
+        expect(error).toBeInstanceOf(NotFoundError)
+        expect(error).toBeInstanceOf(SheetsError)
+        expect(error).toMatchObject({ code: "NOT_FOUND", status: 404 })
+    })
+
+    test("a missing tab throws a TableNotFoundError, which is a NotFoundError", async () => {
+        const { db } = await connect({ Users: users() })
+
+        const error = await db.table("Orders").catch((e) => e)
+
+        expect(error).toBeInstanceOf(TableNotFoundError)
+        expect(error).toBeInstanceOf(NotFoundError)
+        expect(error).toMatchObject({ code: "TABLE_NOT_FOUND", table: "Orders" })
+    })
+
+    test("a tab without a header throws EMPTY_TABLE", async () => {
+        const { db } = await connect({ Empty: [] })
+
+        const error = await db.table("Empty").catch((e) => e)
+
+        expect(error).toBeInstanceOf(ValidationError)
+        expect(error.code).toBe("EMPTY_TABLE")
+    })
+})
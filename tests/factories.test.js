@@ -0,0 +1,45 @@
+const { connect, users } = require("./helpers")
+
+describe("factories", () => {
+    test("make rows without writing them", async () => {
+        const { db, dump } = await connect({ Users: users() })
+        db.defineFactory("Users", (f) => ({ Name: `User ${f.sequence}`, Age: f.cycle(20, 30) }))
+
+        const rows = db.factory("Users").count(3).make({ Age: 50 })
+
+        expect(rows).toEqual([
+            { Name: "User 1", Age: 50 },
+            { Name: "User 2", Age: 50 },
+            { Name: "User 3", Age: 50 },
+        ])
+        expect(dump("Users")).toEqual(users())
+    })
+
+    test("create returns the inserted rows", async () => {
+        const { db, dump } = await connect({ Users: users() })
+        db.defineFactory("Users", (f) => ({ ID: String(f.sequence + 10), Name: `User ${f.sequence}` }))
+
+        const created = await db.factory("Users").count(2).create()
+
+        expect(created).toEqual([
+            { id: "11", name: "User 1", primary_key: 4 },
+            { id: "12", name: "User 2", primary_key: 5 },
+        ])
+        expect(dump("Users").slice(4)).toEqual([
+            ["11", "User 1"],
+            ["12", "User 2"],
+        ])
+    })
+
+    test("create leaves out the rows a hook cancelled", async () => {
+        const { db, dump } = await connect({ Users: users() })
+        db.defineFactory("Users", (f) => ({ ID: String(f.sequence + 10), Age: f.cycle("17", "30") }))
+        db.hook("Users", "creating", (row) => row.age !== "17")
+
+        const created = await db.factory("Users").count(4).create()
+
+        expect(created.map((row) => row.id)).toEqual(["12", "14"])
+        expect(dump("Users")).toHaveLength(6)
+        expect(await db.factory("Users").create({ Age: "17" })).toBeUndefined()
+    })
+})
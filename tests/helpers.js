@@ -0,0 +1,30 @@
+const Sheets = require("..")
+const { MemoryBackend } = Sheets
+
+/**
+ * Connects a Sheets instance to a MemoryBackend holding a single "dev" spreadsheet with the given tabs.
+ *
+ * @param {Object} tabs - The tabs of the spreadsheet, each an array of rows including the header row.
+ * @param {Object} [options] - More options for the Sheets constructor.
+ * @return {Promise<{db: Sheets, backend: MemoryBackend, dump: Function}>}
+ */
+async function connect(tabs, options = {}) {
+    const backend = new MemoryBackend({ spreadsheets: { dev: { title: "Test Dev", sheets: tabs } } })
+    const db = new Sheets({ developmentId: "dev", backend, ...options })
+    await db.setMode({ development: true })
+    await db.init()
+
+    return { db, backend, dump: (table) => backend.dump("dev", table) }
+}
+
+// A Users tab with a primary column, used by most specs
+function users() {
+    return [
+        ["ID", "Name", "Age"],
+        ["1", "John", "30"],
+        ["2", "Jane", "25"],
+        ["3", "Bob", "40"],
+    ]
+}
+
+module.exports = { connect, users }
@@ -0,0 +1,106 @@
+const { connect, users } = require("./helpers")
+
+function tabs() {
+    return { Users: [["ID", "Name", "Email", "Created At", "Updated At"], ["1", "John", "john@example.com", "", ""]] }
+}
+
+describe("hooks", () => {
+    test("change a row before it is inserted, or cancel the insert", async () => {
+        const { db, dump } = await connect(tabs())
+        db.hook("Users", "creating", (row) => {
+            if (!row.email) {
+                return false
+            }
+            row.email = row.email.toLowerCase()
+        })
+
+        const table = await db.table("Users")
+        await table.insert({ id: "2", name: "Jane", email: "JANE@example.com" })
+        await table.insert({ id: "3", name: "Nobody" })
+
+        expect(dump("Users").slice(2)).toEqual([["2", "Jane", "jane@example.com"]])
+        expect(table.rows.map((row) => row.id)).toEqual(["1", "2"])
+    })
+
+    test("run in order around a write, with the event and table", async () => {
+        const { db } = await connect({ Users: users() })
+        const calls = []
+        for (const event of ["saving", "creating", "created", "saved"]) {
+            db.hook("Users", event, async (row, context) => {
+                calls.push([context.event, context.table.name, row.id])
+            })
+        }
+
+        await (await db.table("Users")).insert({ id: "4", name: "Ann" })
+
+        expect(calls).toEqual([
+            ["saving", "Users", "4"],
+            ["creating", "Users", "4"],
+            ["created", "Users", "4"],
+            ["saved", "Users", "4"],
+        ])
+    })
+
+    test("revert a cancelled update and keep a row whose delete was cancelled", async () => {
+        const { db, dump } = await connect({ Users: users() })
+        db.hook("Users", "updating", (row, { original }) => original.name !== "John")
+        db.hook("Users", "deleting", (row) => row.id !== "3")
+
+        const table = await db.table("Users")
+        table.get().forEach((row) => row.update({ age: "50" }))
+        table.where("id", "3").get()[0].delete()
+        await table.save()
+
+        expect(dump("Users")).toEqual([
+            ["ID", "Name", "Age"],
+            ["1", "John", "30"],
+            ["2", "Jane", "50"],
+            ["3", "Bob", "50"],
+        ])
+        expect(table.find("1").age).toBe("30")
+    })
+
+    test("observers get a method per event, including retrieved", async () => {
+        const { db } = await connect({ Users: users() })
+        const retrieved = []
+        const deleted = []
+        db.observe("Users", {
+            retrieved: (row) => retrieved.push(row.id),
+            deleted: (row) => deleted.push(row.id),
+        })
+
+        const table = await db.table("Users")
+        table.where("id", "2").get()[0].delete()
+        await table.save()
+
+        expect(retrieved).toEqual(["1", "2", "3"])
+        expect(deleted).toEqual(["2"])
+    })
+})
+
+describe("timestamps()", () => {
+    test("stamp new rows with both times and changed rows with the update time", async () => {
+        jest.useFakeTimers({ now: new Date("2024-05-01T10:00:00Z"), doNotFake: ["setTimeout", "setImmediate"] })
+        try {
+            const { db, dump } = await connect(tabs())
+            db.timestamps("Users", { createdAt: "Created At", updatedAt: "Updated At" })
+
+            const table = await db.table("Users")
+            await table.insert({ id: "2", name: "Jane", email: "jane@example.com" })
+            expect(dump("Users")[2]).toEqual([
+                "2",
+                "Jane",
+                "jane@example.com",
+                "2024-05-01T10:00:00.000Z",
+                "2024-05-01T10:00:00.000Z",
+            ])
+
+            jest.setSystemTime(new Date("2024-05-02T10:00:00Z"))
+            table.find("1").name = "Johnny"
+            await table.save()
+            expect(dump("Users")[1]).toEqual(["1", "Johnny", "john@example.com", "", "2024-05-02T10:00:00.000Z"])
+        } finally {
+            jest.useRealTimers()
+        }
+    })
+})
@@ -0,0 +1,79 @@
+const { DuplicateKeyError } = require("..")
+const { connect, users } = require("./helpers")
+
+describe("export()", () => {
+    test("returns the rows of the query as CSV", async () => {
+        const { db } = await connect({ Users: users() })
+
+        const table = await db.table("Users")
+        const csv = await table.where("age", ">", 26).export({ format: "csv" })
+
+        expect(csv.trim().split("\n")).toEqual(["ID,Name,Age", "1,John,30", "3,Bob,40"])
+    })
+
+    test("returns the rows as JSON", async () => {
+        const { db } = await connect({ Users: users() })
+
+        const json = await (await db.table("Users")).where("id", "2").export({ format: "json" })
+
+        expect(JSON.parse(json)).toEqual([{ id: "2", name: "Jane", age: "25" }])
+    })
+})
+
+describe("import()", () => {
+    test("appends records and checks their keys first", async () => {
+        const { db, dump } = await connect({ Users: users() })
+        const table = await db.table("Users")
+
+        const result = await table.import(Buffer.from("ID,Name,Age\n4,Ann,22\n"), { format: "csv" })
+        expect(result).toEqual({ inserted: 1, updated: 0, deleted: 0 })
+        expect(dump("Users")[4]).toEqual(["4", "Ann", "22"])
+
+        await expect(table.import([{ ID: "5" }, { ID: "1" }])).rejects.toBeInstanceOf(DuplicateKeyError)
+        expect(dump("Users")).toHaveLength(5)
+    })
+
+    test("replaces every row", async () => {
+        const { db, dump } = await connect({ Users: users() })
+
+        const table = await db.table("Users")
+        const result = await table.import([{ ID: "9", Name: "Zed", Age: "50" }], { mode: "replace" })
+
+        expect(result).toEqual({ inserted: 1, updated: 0, deleted: 3 })
+        expect(dump("Users")).toEqual([
+            ["ID", "Name", "Age"],
+            ["9", "Zed", "50"],
+        ])
+    })
+
+    test("upserts on the primary column, with mapped fields", async () => {
+        const { db, dump } = await connect({ Users: users() })
+
+        const records = [
+            { id: "2", full_name: "Janet", note: "x" },
+            { id: "5", full_name: "Eve", note: "y" },
+        ]
+        const result = await (await db.table("Users")).import(records, {
+            mode: "upsert",
+            mapping: { full_name: "Name", note: null },
+        })
+
+        expect(result).toEqual({ inserted: 1, updated: 1, deleted: 0 })
+        expect(dump("Users")[2]).toEqual(["2", "Janet", "25"])
+        expect(dump("Users")[4]).toEqual(["5", "Eve"])
+    })
+
+    test("writes one batch per size and reads the tab once", async () => {
+        const { db, backend, dump } = await connect({ Users: users() })
+        const table = await db.table("Users")
+        const batchUpdate = jest.spyOn(backend.spreadsheets, "batchUpdate")
+        const get = jest.spyOn(backend.spreadsheets.values, "get")
+
+        const records = Array.from({ length: 5 }, (_, i) => ({ ID: String(i + 10), Name: `User ${i}` }))
+        await table.import(records, { mode: "upsert", size: 2 })
+
+        expect(batchUpdate).toHaveBeenCalledTimes(3)
+        expect(get).toHaveBeenCalledTimes(1)
+        expect(dump("Users")).toHaveLength(9)
+    })
+})
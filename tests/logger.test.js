@@ -0,0 +1,71 @@
+const { Logger, ValidationError } = require("..")
+const { connect, users } = require("./helpers")
+
+describe("Logger", () => {
+    test("logs nothing without a logger", () => {
+        const logger = new Logger()
+
+        expect(logger.enabled("error")).toBe(false)
+        expect(() => logger.error("Failed.", { error: new Error("boom") })).not.toThrow()
+    })
+
+    test("drops entries below the level", () => {
+        const entries = []
+        const logger = new Logger({ logger: (entry) => entries.push(entry), level: "warn" })
+
+        logger.info("Ignored.")
+        logger.warn("Kept.", { operation: "save" })
+
+        expect(entries).toEqual([{ level: "warn", message: "Kept.", operation: "save" }])
+        expect(() => new Logger({ level: "verbose" })).toThrow(ValidationError)
+    })
+
+    test("calls the level methods of logger objects with structured entries", () => {
+        const pino = { info: jest.fn(), error: jest.fn() }
+        const logger = new Logger({ logger: pino })
+        const error = Object.assign(new Error("Not found"), { response: { status: 404 } })
+
+        logger.info("Table saved.", { table: "Users", rows: 2 })
+        logger.error("Failed to save.", { table: "Users", error })
+        logger.warn("Falls back to info.")
+
+        expect(pino.info.mock.calls).toEqual([
+            [{ message: "Table saved.", table: "Users", rows: 2 }],
+            [{ message: "Falls back to info." }],
+        ])
+        expect(pino.error).toHaveBeenCalledWith({
+            message: "Failed to save.",
+            table: "Users",
+            error: "Not found",
+            status: 404,
+        })
+    })
+})
+
+describe("logging", () => {
+    test("writes entries with the operation, table, rows and duration", async () => {
+        const entries = []
+        const { db } = await connect({ Users: users() }, { logger: (entry) => entries.push(entry) })
+
+        const table = await db.table("Users")
+        await table.insert({ id: "4", name: "Ann" })
+
+        const inserted = entries.find((entry) => entry.message === "Row inserted.")
+        expect(inserted).toMatchObject({ level: "info", operation: "insert", key: "4", rows: 1 })
+        expect(inserted.duration).toEqual(expect.any(Number))
+        expect(entries.every((entry) => entry.level !== "debug")).toBe(true)
+    })
+
+    test("logs every API request and its latency at the debug level", async () => {
+        const entries = []
+        const { db } = await connect({ Users: users() }, { logger: (entry) => entries.push(entry), logLevel: "debug" })
+
+        await db.table("Users")
+
+        const requests = entries.filter((entry) => entry.message === "Sheets API request.")
+        const responses = entries.filter((entry) => entry.message === "Sheets API response.")
+        expect(requests.map((entry) => entry.operation)).toContain("spreadsheets.values.get")
+        expect(responses).toHaveLength(requests.length)
+        expect(responses[0]).toMatchObject({ level: "debug", attempt: 0, duration: expect.any(Number) })
+    })
+})
@@ -0,0 +1,60 @@
+const { connect, users } = require("./helpers")
+
+const migrations = [
+    {
+        name: "001_create_orders",
+        up: (schema) => schema.createTable("Orders", { ID: Number, Total: Number }),
+        down: (schema) => schema.dropTable("Orders"),
+    },
+    {
+        name: "002_add_score",
+        up: (schema) => schema.addColumn("Users", "Score", Number),
+        down: (schema) => schema.dropColumn("Users", "Score"),
+    },
+]
+
+describe("migrations", () => {
+    test("report every migration as pending without creating the ledger", async () => {
+        const { db, backend } = await connect({ Users: users() })
+        const batchUpdate = jest.spyOn(backend.spreadsheets, "batchUpdate")
+
+        const status = await db.migrationStatus({ migrations })
+
+        expect(status.map(({ name, applied }) => [name, applied])).toEqual([
+            ["001_create_orders", false],
+            ["002_add_score", false],
+        ])
+        expect(batchUpdate).not.toHaveBeenCalled()
+        expect(backend.store.dev.sheets.map((sheet) => sheet.properties.title)).toEqual(["Users"])
+    })
+
+    test("run the pending migrations as one batch and roll them back", async () => {
+        const { db, dump } = await connect({ Users: users() })
+
+        expect(await db.migrate({ migrations })).toEqual(["001_create_orders", "002_add_score"])
+        expect(await db.migrate({ migrations })).toEqual([])
+        expect(dump("Users")[0]).toEqual(["ID", "Name", "Age", "Score"])
+
+        const status = await db.migrationStatus({ migrations })
+        expect(status.map(({ applied, batch }) => [applied, batch])).toEqual([
+            [true, 1],
+            [true, 1],
+        ])
+
+        expect(await db.rollback({ migrations })).toEqual(["002_add_score", "001_create_orders"])
+        expect(dump("Users")).toEqual(users())
+        expect((await db.migrationStatus({ migrations })).every(({ applied }) => !applied)).toBe(true)
+    })
+
+    test("register added columns as nullable, so existing rows still load", async () => {
+        const { db } = await connect({ Users: users() })
+        await db.migrate({ migrations: [migrations[1]] })
+
+        const table = await db.table("Users")
+
+        expect(db.getSchema("Users").score).toEqual({ type: "number", nullable: true })
+        expect(table.rows.map((row) => row.score)).toEqual([null, null, null])
+        await table.insert({ id: "4", name: "Ann", age: "22", score: "7" })
+        expect((await db.table("Users")).rows[3].score).toBe(7)
+    })
+})
@@ -0,0 +1,97 @@
+const Sheets = require("..")
+const { MemoryBackend, TableNotFoundError, ValidationError } = Sheets
+
+// A staging and a prod spreadsheet, staging being the current environment
+async function environments(staging, prod, options = {}) {
+    const backend = new MemoryBackend({
+        spreadsheets: { staging: { sheets: staging }, prod: { sheets: prod } },
+    })
+    const db = new Sheets({ backend, environments: { staging: "staging", prod: "prod" }, mode: "staging", ...options })
+    await db.init()
+
+    return { db, backend }
+}
+
+const staging = () => ({
+    Users: [
+        ["ID", "Name", "Code"],
+        ["1", "John", "007"],
+        ["2", "Jane", "=1+1"],
+    ],
+})
+
+describe("diff()", () => {
+    test("lists the columns and rows that differ", async () => {
+        const { db } = await environments(staging(), {
+            Users: [
+                ["ID", "Name", "Legacy"],
+                ["1", "Jon", "x"],
+            ],
+        })
+
+        const diff = await db.diff("Users", { from: "staging", to: "prod" })
+
+        expect(diff.identical).toBe(false)
+        expect(diff.columns.added).toEqual(["Code"])
+        expect(diff.columns.removed).toEqual(["Legacy"])
+        expect(diff.rows.added.map((row) => row.key)).toEqual(["2"])
+        expect(diff.rows.changed.map((row) => row.key)).toEqual(["1"])
+    })
+})
+
+describe("promote()", () => {
+    test("creates the tab and copies the rows as they were entered", async () => {
+        const { db, backend } = await environments(staging(), { Other: [["ID"]] })
+
+        await db.promote("Users", { from: "staging", to: "prod", schema: true, data: true })
+
+        expect(backend.dump("prod", "Users")).toEqual(staging().Users)
+    })
+
+    test("replaces the rows of the target in a single batchUpdate", async () => {
+        const { db, backend } = await environments(staging(), {
+            Users: [
+                ["ID", "Name", "Code"],
+                ["9", "Old", "x"],
+                ["8", "Older", "y"],
+            ],
+        })
+        const batchUpdate = jest.spyOn(backend.spreadsheets, "batchUpdate")
+        const update = jest.spyOn(backend.spreadsheets.values, "update")
+
+        await db.promote("Users", { from: "staging", to: "prod", schema: false, data: true })
+
+        expect(batchUpdate).toHaveBeenCalledTimes(1)
+        expect(update).not.toHaveBeenCalled()
+        expect(backend.dump("prod", "Users")).toEqual(staging().Users)
+    })
+
+    test("backs up the target first when auto backups are on", async () => {
+        const { db } = await environments(
+            staging(),
+            {
+                Users: [
+                    ["ID", "Name", "Code"],
+                    ["9", "Old", "x"],
+                ],
+            },
+            { backups: { auto: true } }
+        )
+
+        await db.promote("Users", { from: "staging", to: "prod", schema: false, data: true })
+        await db.use("prod")
+
+        const backups = await db.listBackups("Users")
+        expect(backups).toHaveLength(1)
+        expect(backups[0]).toMatchObject({ reason: "auto", rows: 1 })
+    })
+
+    test("rejects missing tables and unknown environments", async () => {
+        const { db } = await environments(staging(), {})
+
+        await expect(db.promote("Nope", { from: "staging", to: "prod" })).rejects.toBeInstanceOf(TableNotFoundError)
+        await expect(db.promote("Users", { from: "staging", to: "qa" })).rejects.toBeInstanceOf(ValidationError)
+        const data = db.promote("Users", { from: "staging", to: "prod", schema: false, data: true })
+        await expect(data).rejects.toBeInstanceOf(TableNotFoundError)
+    })
+})
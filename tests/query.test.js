@@ -0,0 +1,86 @@
+const QueryBuilder = require("../src/QueryBuilder")
+const { ValidationError } = require("..")
+const { connect } = require("./helpers")
+
+const rows = [
+    { id: "1", name: "John", age: "30", status: "active", score: "" },
+    { id: "2", name: "Jane", age: "25", status: "pending", score: "15" },
+    { id: "3", name: "Bob", age: "40", status: "banned", score: "22" },
+    { id: "4", name: "johanna", age: "25", status: "active", score: "12" },
+]
+
+const ids = (query) => query.apply(rows).map((row) => row.id)
+
+describe("QueryBuilder", () => {
+    test("chains where clauses with AND", () => {
+        expect(ids(new QueryBuilder().where("age", "25").where("status", "active"))).toEqual(["4"])
+        expect(ids(new QueryBuilder().where({ column: "age", operator: ">", value: 26 }))).toEqual(["1", "3"])
+    })
+
+    test("binds AND tighter than OR", () => {
+        const query = new QueryBuilder().where("status", "active").where("age", ">", 26).orWhere("name", "Bob")
+
+        expect(ids(query)).toEqual(["1", "3"])
+    })
+
+    test("groups nested clauses", () => {
+        const query = new QueryBuilder()
+            .where("age", "25")
+            .where((q) => q.where("status", "active").orWhere((inner) => inner.where("score", ">", 14)))
+
+        expect(ids(query)).toEqual(["2", "4"])
+    })
+
+    test("supports the comparison operators", () => {
+        expect(ids(new QueryBuilder().where("age", ">=", 30))).toEqual(["1", "3"])
+        expect(ids(new QueryBuilder().where("age", "<", 30))).toEqual(["2", "4"])
+        expect(ids(new QueryBuilder().where("status", "!=", "active"))).toEqual(["2", "3"])
+        expect(ids(new QueryBuilder().where("status", "<>", "active"))).toEqual(["2", "3"])
+    })
+
+    test("matches like patterns case-insensitively, and regular expressions", () => {
+        expect(ids(new QueryBuilder().where("name", "like", "jo%"))).toEqual(["1", "4"])
+        expect(ids(new QueryBuilder().where("name", "like", "_ane"))).toEqual(["2"])
+        expect(ids(new QueryBuilder().where("name", "not like", "%o%"))).toEqual(["2"])
+        expect(ids(new QueryBuilder().where("name", "regexp", "^J"))).toEqual(["1", "2"])
+        expect(ids(new QueryBuilder().where("name", "not regexp", "n"))).toEqual(["3"])
+    })
+
+    test("filters on lists, empty cells and ranges", () => {
+        expect(ids(new QueryBuilder().whereIn("status", ["pending", "banned"]))).toEqual(["2", "3"])
+        expect(ids(new QueryBuilder().whereNotIn("status", ["active"]).orWhereNull("score"))).toEqual(["1", "2", "3"])
+        expect(ids(new QueryBuilder().whereNotNull("score"))).toEqual(["2", "3", "4"])
+        expect(ids(new QueryBuilder().whereBetween("score", [12, 20]))).toEqual(["2", "4"])
+        expect(ids(new QueryBuilder().whereNotBetween("age", [26, 35]))).toEqual(["2", "3", "4"])
+    })
+
+    test("sorts on several columns, and with a callback", () => {
+        const query = new QueryBuilder().orderBy({ column: "age" }).orderBy({ column: "name", direction: "DESC" })
+        expect(ids(query)).toEqual(["4", "2", "1", "3"])
+
+        const raw = new QueryBuilder().orderByRaw((results) => [...results].reverse())
+        expect(ids(raw)).toEqual(["4", "3", "2", "1"])
+    })
+
+    test("rejects unknown operators and invalid arguments", () => {
+        expect(() => new QueryBuilder().where("age", "~", 1)).toThrow(ValidationError)
+        expect(() => new QueryBuilder().whereIn("age", 1)).toThrow(ValidationError)
+        expect(() => new QueryBuilder().whereBetween("age", [1])).toThrow(ValidationError)
+        expect(() => new QueryBuilder().orderBy({ column: "age", direction: "up" })).toThrow(ValidationError)
+    })
+})
+
+describe("Table queries", () => {
+    test("stack the clauses and evaluate them lazily", async () => {
+        const { db } = await connect({
+            Users: [["ID", "Name", "Age"], ...rows.map((row) => [row.id, row.name, row.age])],
+        })
+
+        const table = await db.table("Users")
+        table.where("age", "25").orWhere("name", "like", "b%").orderBy({ column: "name" })
+        table.rows.push({ id: "5", name: "Ann", age: "25", primary_key: 5 })
+
+        expect(table.get().map((row) => row.name)).toEqual(["Ann", "Bob", "Jane", "johanna"])
+        expect(table.first().name).toBe("Ann")
+    })
+})
@@ -0,0 +1,63 @@
+const { DuplicateKeyError } = require("..")
+const { connect, users } = require("./helpers")
+
+describe("save()", () => {
+    test("writes the changed cells in a single batchUpdate", async () => {
+        const { db, backend, dump } = await connect({ Users: users() })
+        const batchUpdate = jest.spyOn(backend.spreadsheets, "batchUpdate")
+
+        const table = await db.table("Users")
+        table.find("2").name = "Janet"
+        await table.save()
+
+        expect(batchUpdate).toHaveBeenCalledTimes(1)
+        const { requests } = batchUpdate.mock.calls[0][0].resource
+        expect(requests).toEqual([
+            {
+                updateCells: {
+                    start: { sheetId: 0, rowIndex: 2, columnIndex: 1 },
+                    rows: [{ values: [{ userEnteredValue: { stringValue: "Janet" } }] }],
+                    fields: "userEnteredValue",
+                },
+            },
+        ])
+        expect(dump("Users")[2]).toEqual(["2", "Janet", "25"])
+    })
+
+    test("deletes removed rows and appends new ones", async () => {
+        const { db, dump } = await connect({ Users: users() })
+
+        const table = await db.table("Users")
+        table.rows.splice(0, 1)
+        table.rows.push({ id: "4", name: "Ann", age: "22" })
+        await table.save()
+
+        expect(dump("Users")).toEqual([
+            ["ID", "Name", "Age"],
+            ["2", "Jane", "25"],
+            ["3", "Bob", "40"],
+            ["4", "Ann", "22"],
+        ])
+        expect(table.rows.map((row) => row.primary_key)).toEqual([1, 2, 3])
+    })
+
+    test("skips the write when nothing changed", async () => {
+        const { db, backend } = await connect({ Users: users() })
+        const batchUpdate = jest.spyOn(backend.spreadsheets, "batchUpdate")
+
+        await (await db.table("Users")).save()
+
+        expect(batchUpdate).not.toHaveBeenCalled()
+    })
+
+    test("refuses duplicate primary keys without writing", async () => {
+        const { db, dump } = await connect({ Users: users() })
+
+        const table = await db.table("Users")
+        table.rows[1].id = "1"
+
+        await expect(table.save()).rejects.toMatchObject({ code: "DUPLICATE_KEY", keys: ["1"] })
+        await expect(table.save()).rejects.toBeInstanceOf(DuplicateKeyError)
+        expect(dump("Users")).toEqual(users())
+    })
+})
@@ -0,0 +1,83 @@
+const { MemoryBackend, RequestScheduler } = require("..")
+
+// An error shaped like the ones thrown by googleapis
+function apiError(status) {
+    const error = new Error(`HTTP ${status}`)
+    error.code = status
+    error.response = { status, headers: {} }
+    return error
+}
+
+describe("RequestScheduler", () => {
+    let scheduler
+    let backend
+    let client
+
+    beforeEach(() => {
+        scheduler = new RequestScheduler({ maxRetries: 2, baseDelay: 1, maxDelay: 1 })
+        backend = new MemoryBackend({ spreadsheets: { dev: { sheets: { Users: [["ID"], ["1"]] } } } })
+        client = scheduler.wrap(backend.spreadsheets, "spreadsheets")
+    })
+
+    test("retries idempotent calls on 5xx and network errors", async () => {
+        const get = jest
+            .spyOn(backend.spreadsheets.values, "get")
+            .mockRejectedValueOnce(apiError(503))
+            .mockRejectedValueOnce(Object.assign(new Error("reset"), { code: "ECONNRESET" }))
+        const retries = []
+        scheduler.on("retry", ({ operation, status }) => retries.push([operation, status]))
+
+        const { data } = await client.values.get({ spreadsheetId: "dev", range: "Users" })
+
+        expect(data.values).toEqual([["ID"], ["1"]])
+        expect(get).toHaveBeenCalledTimes(3)
+        expect(retries).toEqual([
+            ["spreadsheets.values.get", 503],
+            ["spreadsheets.values.get", undefined],
+        ])
+    })
+
+    test("does not retry appends on 5xx errors, to avoid duplicate rows", async () => {
+        const append = jest.spyOn(backend.spreadsheets.values, "append").mockRejectedValueOnce(apiError(500))
+
+        const call = client.values.append({ spreadsheetId: "dev", range: "Users", resource: { values: [["2"]] } })
+
+        await expect(call).rejects.toMatchObject({ code: 500 })
+        expect(append).toHaveBeenCalledTimes(1)
+    })
+
+    test("retries appends on quota errors", async () => {
+        jest.spyOn(backend.spreadsheets.values, "append").mockRejectedValueOnce(apiError(429))
+
+        await client.values.append({ spreadsheetId: "dev", range: "Users", resource: { values: [["2"]] } })
+
+        expect(backend.dump("dev", "Users")).toEqual([["ID"], ["1"], ["2"]])
+    })
+
+    test("retries a batchUpdate only when it overwrites cells in place", async () => {
+        const updateCells = { updateCells: { start: { sheetId: 0 }, rows: [], fields: "userEnteredValue" } }
+        const appendCells = { appendCells: { sheetId: 0, rows: [], fields: "userEnteredValue" } }
+
+        const idempotent = (...requests) =>
+            scheduler.isIdempotent("spreadsheets.batchUpdate", [{ resource: { requests } }])
+        expect(idempotent(updateCells)).toBe(true)
+        expect(idempotent(updateCells, appendCells)).toBe(false)
+
+        const batchUpdate = jest.spyOn(backend.spreadsheets, "batchUpdate").mockRejectedValueOnce(apiError(502))
+        const call = client.batchUpdate({ spreadsheetId: "dev", resource: { requests: [appendCells] } })
+
+        await expect(call).rejects.toMatchObject({ code: 502 })
+        expect(batchUpdate).toHaveBeenCalledTimes(1)
+    })
+
+    test("lets direct callers opt out of retries on transient errors", async () => {
+        const task = jest.fn().mockRejectedValue(apiError(503))
+
+        await expect(scheduler.schedule(task, { idempotent: false })).rejects.toMatchObject({ code: 503 })
+        expect(task).toHaveBeenCalledTimes(1)
+
+        task.mockClear()
+        await expect(scheduler.schedule(task)).rejects.toMatchObject({ code: 503 })
+        expect(task).toHaveBeenCalledTimes(3)
+    })
+})
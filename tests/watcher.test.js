@@ -0,0 +1,105 @@
+const Watcher = require("../src/Watcher")
+const { ValidationError } = require("..")
+const { connect, users } = require("./helpers")
+
+// Writes cells straight to the backend, like someone editing the tab
+function edit(backend, range, values) {
+    const params = { spreadsheetId: "dev", range, valueInputOption: "RAW", resource: { values } }
+    return backend.spreadsheets.values.update(params)
+}
+
+describe("Watcher", () => {
+    test("reports inserted, updated and deleted rows by primary key", async () => {
+        const { db, backend } = await connect({ Users: users() })
+        const watcher = new Watcher(await db.table("Users"))
+        const events = []
+        for (const event of ["inserted", "updated", "deleted"]) {
+            watcher.on(event, ({ key }) => events.push([event, key]))
+        }
+
+        expect(await watcher.poll()).toBeNull()
+
+        // Bob's row moves up when John's row is removed, but keeps its identity
+        await edit(backend, "Users!A2:C4", [
+            ["2", "Janet", "25"],
+            ["3", "Bob", "40"],
+            ["4", "Ann", "22"],
+        ])
+        const changes = await watcher.poll()
+
+        expect(events).toEqual([
+            ["updated", "2"],
+            ["inserted", "4"],
+            ["deleted", "1"],
+        ])
+        expect(changes.updated[0]).toMatchObject({
+            old: { name: "Jane" },
+            new: { name: "Janet" },
+            changes: ["name"],
+        })
+        expect(changes.deleted[0].row).toMatchObject({ id: "1", name: "John" })
+    })
+
+    test("reports rows once they get a primary key", async () => {
+        const { db, backend } = await connect({ Users: users() })
+        const watcher = new Watcher(await db.table("Users"))
+        await watcher.poll()
+
+        await edit(backend, "Users!A5:C5", [["", "Ann", "22"]])
+        expect(await watcher.poll()).toEqual({ inserted: [], updated: [], deleted: [] })
+
+        await edit(backend, "Users!A5", [["4"]])
+        expect((await watcher.poll()).inserted.map(({ key }) => key)).toEqual(["4"])
+    })
+
+    test("only reads the tab when the Drive revision changed", async () => {
+        const { db, backend } = await connect({ Users: users() })
+        const watcher = new Watcher(await db.table("Users"), { revisions: true })
+        const get = jest.spyOn(backend.spreadsheets.values, "get")
+
+        await watcher.poll()
+        await watcher.poll()
+        expect(get).toHaveBeenCalledTimes(1)
+
+        await edit(backend, "Users!B2", [["Johnny"]])
+        expect((await watcher.poll()).updated.map(({ key }) => key)).toEqual(["1"])
+        expect(get).toHaveBeenCalledTimes(2)
+    })
+
+    test("polls until stopped", async () => {
+        const { db, backend } = await connect({ Users: users() })
+        const watcher = (await db.table("Users")).watch({ interval: 5 })
+
+        await new Promise((resolve) => watcher.once("ready", resolve))
+        await edit(backend, "Users!A5:C5", [["4", "Ann", "22"]])
+        const { row } = await new Promise((resolve) => watcher.once("inserted", resolve))
+
+        const stopped = jest.fn()
+        watcher.on("stop", stopped)
+        watcher.stop().stop()
+
+        expect(row).toMatchObject({ id: "4", name: "Ann" })
+        expect(stopped).toHaveBeenCalledTimes(1)
+        expect(watcher._timer).toBeNull()
+    })
+
+    test("rejects invalid intervals", async () => {
+        const { db } = await connect({ Users: users() })
+        const table = await db.table("Users")
+
+        expect(() => table.watch({ interval: 0 })).toThrow(ValidationError)
+        expect(() => table.watch({ interval: 1.5 })).toThrow(ValidationError)
+    })
+})
+
+describe("MemoryBackend revisions", () => {
+    test("bumps the Drive version on every write", async () => {
+        const { backend } = await connect({ Users: users() })
+
+        const before = (await backend.drive.files.get({ fileId: "dev" })).data.version
+        await backend.spreadsheets.values.clear({ spreadsheetId: "dev", range: "Users!A2:B" })
+        const after = (await backend.drive.files.get({ fileId: "dev" })).data.version
+
+        expect(Number(after)).toBeGreaterThan(Number(before))
+    })
+})